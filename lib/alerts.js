@@ -0,0 +1,243 @@
+/*
+ * Price and move alerts. A rule watches one market and range:
+ *
+ *   { id, type: 'price_below'|'price_above', market, range, ticker, threshold }
+ *   { id, type: 'move', market, range, ticker: (string|null), threshold }
+ *
+ * `price_below`/`price_above` fire when the ticker's price crosses the
+ * threshold; `move` fires when |changePercent| over the range exceeds
+ * the threshold (in percent), for one ticker or, with a null ticker, for
+ * any ticker in the market. Rules are evaluated against every refreshed
+ * snapshot and fire on the transition into the alerting state, so a
+ * condition that stays true is reported once rather than on every
+ * refresh. Rules, that per-rule state and the most recent fired events
+ * are persisted in a JSON file through lib/store.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+const RULE_TYPES = ['price_below', 'price_above', 'move'];
+// Number of fired events kept.
+const MAX_EVENTS = 500;
+// Most rules that may exist at once.
+const MAX_RULES = 200;
+
+/**
+ * A rejected alert operation. `status` is the HTTP status the routes
+ * answer with: 400 for invalid input, 404 for an unknown rule.
+ */
+class AlertError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'AlertError';
+    this.status = status;
+  }
+}
+
+/**
+ * Whether a quote meets a rule's condition.
+ *
+ * @param {object} rule
+ * @param {{price: (number|null), changePercent: (number|null)}} quote
+ * @returns {boolean}
+ */
+function matches(rule, quote) {
+  switch (rule.type) {
+    case 'price_below':
+      return quote.price != null && quote.price < rule.threshold;
+    case 'price_above':
+      return quote.price != null && quote.price > rule.threshold;
+    case 'move':
+      return quote.changePercent != null && Math.abs(quote.changePercent) > rule.threshold;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Human-readable description of a fired rule.
+ *
+ * @param {object} rule
+ * @param {object} quote
+ * @returns {string}
+ */
+function describe(rule, quote) {
+  const price = quote.price != null ? `$${quote.price.toFixed(2)}` : 'n/a';
+  if (rule.type === 'price_below') {
+    return `${quote.ticker} is below $${rule.threshold} (now ${price})`;
+  }
+  if (rule.type === 'price_above') {
+    return `${quote.ticker} is above $${rule.threshold} (now ${price})`;
+  }
+  const sign = quote.changePercent > 0 ? '+' : '';
+  return `${quote.ticker} moved ${sign}${quote.changePercent.toFixed(2)}% over the ${rule.range}`;
+}
+
+/**
+ * Create an alert store.
+ *
+ * @param {object} options
+ * @param {string} options.file JSON file for rules and events
+ * @param {string[]} options.markets Markets rules may watch
+ * @param {string[]} options.ranges Ranges rules may watch
+ * @param {RegExp} options.tickerPattern Accepted ticker symbols
+ * @param {function(): number} [options.now] Clock, injectable for tests
+ */
+function createAlertStore({ file, markets, ranges, tickerPattern, now = Date.now }) {
+  const store = createJsonStore({ file, initial: () => ({ rules: [], events: [] }) });
+
+  /**
+   * Validate the body of a new rule.
+   *
+   * @param {object} input
+   * @returns {object} The rule without id and state
+   */
+  function normalizeRule(input) {
+    const { type, market = 'sp500', range = 'day', ticker = null, threshold } = input || {};
+    if (!RULE_TYPES.includes(type)) {
+      throw new AlertError(400, `Unknown rule type "${type}". Expected one of: ${RULE_TYPES.join(', ')}.`);
+    }
+    if (!markets.includes(market)) {
+      throw new AlertError(400, `Unknown market "${market}". Expected one of: ${markets.join(', ')}.`);
+    }
+    if (!ranges.includes(range)) {
+      throw new AlertError(400, `Unknown range "${range}". Expected one of: ${ranges.join(', ')}.`);
+    }
+    if (ticker != null && (typeof ticker !== 'string' || !tickerPattern.test(ticker.trim()))) {
+      throw new AlertError(400, `Invalid ticker "${ticker}".`);
+    }
+    if (ticker == null && type !== 'move') {
+      throw new AlertError(400, 'Price rules need a ticker.');
+    }
+    const value = Number(threshold);
+    if (threshold === null || threshold === '' || !Number.isFinite(value) || value <= 0) {
+      throw new AlertError(400, 'Threshold must be a positive number.');
+    }
+    return {
+      type,
+      market,
+      range,
+      ticker: ticker == null ? null : ticker.trim().toUpperCase(),
+      threshold: value
+    };
+  }
+
+  async function listRules() {
+    const doc = await store.read();
+    return doc.rules.map((rule) => ({ ...rule }));
+  }
+
+  /**
+   * @param {object} input See normalizeRule
+   * @returns {Promise<object>} The new rule
+   */
+  function createRule(input) {
+    const rule = {
+      id: crypto.randomUUID(),
+      ...normalizeRule(input),
+      createdAt: new Date(now()).toISOString(),
+      // Tickers currently meeting the condition; see evaluate().
+      active: []
+    };
+    return store.update((doc) => {
+      if (doc.rules.length >= MAX_RULES) {
+        throw new AlertError(400, `At most ${MAX_RULES} alert rules may exist.`);
+      }
+      doc.rules.push(rule);
+      return { ...rule };
+    });
+  }
+
+  function deleteRule(id) {
+    return store.update((doc) => {
+      if (!doc.rules.some((rule) => rule.id === id)) {
+        throw new AlertError(404, `Unknown alert rule "${id}".`);
+      }
+      doc.rules = doc.rules.filter((rule) => rule.id !== id);
+    });
+  }
+
+  /**
+   * Fired events, newest first, optionally only those after `since`.
+   *
+   * @param {{since?: number}} [options]
+   * @returns {Promise<Array<object>>}
+   */
+  async function listEvents({ since = -Infinity } = {}) {
+    const doc = await store.read();
+    return doc.events.filter((event) => Date.parse(event.firedAt) > since).reverse();
+  }
+
+  /**
+   * The distinct market/range pairs watched by at least one rule.
+   *
+   * @returns {Promise<Array<{market: string, range: string}>>}
+   */
+  async function watchedTopics() {
+    const doc = await store.read();
+    const keys = new Set(doc.rules.map((rule) => `${rule.market}:${rule.range}`));
+    return [...keys].map((key) => {
+      const [market, range] = key.split(':');
+      return { market, range };
+    });
+  }
+
+  /**
+   * Evaluate the rules for a market and range against a refreshed
+   * snapshot. Records and resolves to the events of rules that started
+   * matching a ticker; tickers that stopped matching are re-armed.
+   *
+   * @param {string} market
+   * @param {string} range
+   * @param {Array<object>} quotes
+   * @returns {Promise<Array<object>>}
+   */
+  async function evaluate(market, range, quotes) {
+    const doc = await store.read();
+    if (!doc.rules.some((rule) => rule.market === market && rule.range === range)) return [];
+    return store.update((current) => {
+      const fired = [];
+      const firedAt = new Date(now()).toISOString();
+      for (const rule of current.rules) {
+        if (rule.market !== market || rule.range !== range) continue;
+        const candidates = rule.ticker ? quotes.filter((quote) => quote.ticker === rule.ticker) : quotes;
+        const wasActive = new Set(rule.active);
+        // A ticker whose quote failed this time keeps its previous state
+        // rather than being re-armed and firing again once data is back.
+        const known = candidates.filter((quote) =>
+          (rule.type === 'move' ? quote.changePercent : quote.price) != null);
+        const unknown = candidates
+          .filter((quote) => !known.includes(quote) && wasActive.has(quote.ticker))
+          .map((quote) => quote.ticker);
+        const matching = known.filter((quote) => matches(rule, quote));
+        for (const quote of matching) {
+          if (wasActive.has(quote.ticker)) continue;
+          fired.push({
+            id: crypto.randomUUID(),
+            ruleId: rule.id,
+            type: rule.type,
+            market,
+            range,
+            ticker: quote.ticker,
+            price: quote.price ?? null,
+            changePercent: quote.changePercent ?? null,
+            message: describe(rule, quote),
+            firedAt
+          });
+        }
+        rule.active = matching.map((quote) => quote.ticker).concat(unknown);
+      }
+      current.events = current.events.concat(fired).slice(-MAX_EVENTS);
+      return fired;
+    });
+  }
+
+  return { listRules, createRule, deleteRule, listEvents, watchedTopics, evaluate };
+}
+
+module.exports = { createAlertStore, AlertError, RULE_TYPES };
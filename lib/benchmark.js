@@ -0,0 +1,44 @@
+/*
+ * Benchmark-relative returns. On a day the whole market falls, every
+ * ticker's absolute change is red and nothing stands out; the excess
+ * return over a benchmark (e.g. SPY) shows which tickers did better or
+ * worse than the market. Requests opt in with `?relativeTo=SPY`.
+ *
+ * The excess return is the simple difference of the two changes over
+ * the same range, in percentage points: a ticker down 1% on a day SPY
+ * fell 2% has an excess return of +1.
+ */
+
+/**
+ * Resolve the `?relativeTo` query parameter to an upper-cased benchmark
+ * ticker.
+ *
+ * @param {*} value
+ * @param {RegExp} tickerPattern Tickers accepted by the server
+ * @returns {string|null} The ticker, '' when absent, or null if it is
+ *   not a ticker
+ */
+function parseBenchmark(value, tickerPattern) {
+  if (value === undefined || value === '') return '';
+  return typeof value === 'string' && tickerPattern.test(value) ? value.toUpperCase() : null;
+}
+
+/**
+ * Add each quote's return relative to a benchmark: `benchmark` (its
+ * ticker) and `excessChangePercent`, null when either change is
+ * unknown. The quotes are copied, not modified, since they are shared
+ * with the cache.
+ *
+ * @param {Array<{changePercent: (number|null)}>} quotes
+ * @param {{ticker: string, changePercent: number}} benchmark
+ * @returns {Array<object>}
+ */
+function addExcessReturns(quotes, benchmark) {
+  return quotes.map((quote) => ({
+    ...quote,
+    benchmark: benchmark.ticker,
+    excessChangePercent: quote.changePercent == null ? null : quote.changePercent - benchmark.changePercent
+  }));
+}
+
+module.exports = { parseBenchmark, addExcessReturns };
@@ -0,0 +1,134 @@
+/*
+ * In-memory snapshot cache for upstream data. Each key holds the last
+ * good value and when it was fetched. Reads within the TTL are served
+ * from memory; concurrent misses for the same key share one upstream
+ * load; and when a load fails the last good value is served marked as
+ * stale instead of surfacing the error.
+ */
+
+/**
+ * @typedef {object} CacheResult
+ * @property {*} value The cached or freshly loaded value
+ * @property {number} fetchedAt Timestamp (ms) of the upstream load that
+ *   produced `value`
+ * @property {'hit'|'miss'|'stale'} status `hit` when served from memory,
+ *   `miss` when loaded (or joined an in-flight load), `stale` when the
+ *   load failed and the last good value was used
+ * @property {Error} [error] The load failure, for `stale` results
+ */
+
+/**
+ * Create a cache.
+ *
+ * @param {object} [options]
+ * @param {function(): number} [options.now] Clock, injectable for tests
+ * @returns {{get: function(string, number, function(): Promise<*>): Promise<CacheResult>, peek: function(string): (CacheResult|null), invalidate: function(string): void, clear: function(): void, stats: function(): CacheStats}}
+ */
+function createCache({ now = Date.now } = {}) {
+  const entries = new Map();
+  const pending = new Map();
+  // Outcomes of get() calls, by CacheResult status plus `error` for
+  // rejected calls.
+  const counts = { hit: 0, miss: 0, stale: 0, error: 0 };
+
+  /**
+   * Return the value for `key`, calling `load` when there is no entry
+   * younger than `ttl` milliseconds. Rejects only if the load fails and
+   * there is no previous value to fall back to.
+   *
+   * @param {string} key
+   * @param {number} ttl
+   * @param {function(): Promise<*>} load
+   * @returns {Promise<CacheResult>}
+   */
+  async function get(key, ttl, load) {
+    const entry = entries.get(key);
+    if (entry && now() - entry.fetchedAt < ttl) {
+      counts.hit++;
+      return { ...entry, status: 'hit' };
+    }
+    let promise = pending.get(key);
+    if (!promise) {
+      promise = Promise.resolve()
+        .then(load)
+        .then((value) => {
+          const fresh = { value, fetchedAt: now() };
+          // A load invalidated while in flight still answers its callers
+          // but is not stored.
+          if (pending.get(key) === promise) entries.set(key, fresh);
+          return fresh;
+        })
+        .finally(() => {
+          if (pending.get(key) === promise) pending.delete(key);
+        });
+      pending.set(key, promise);
+    }
+    try {
+      const result = { ...(await promise), status: 'miss' };
+      counts.miss++;
+      return result;
+    } catch (err) {
+      if (entry) {
+        counts.stale++;
+        return { ...entry, status: 'stale', error: err };
+      }
+      counts.error++;
+      throw err;
+    }
+  }
+
+  /**
+   * Return the last good value for `key` without loading, or null.
+   *
+   * @param {string} key
+   * @returns {CacheResult|null}
+   */
+  function peek(key) {
+    const entry = entries.get(key);
+    return entry ? { ...entry, status: 'hit' } : null;
+  }
+
+  /**
+   * Drop every entry whose key starts with `prefix`, e.g. after the data
+   * behind them was edited. Loads already in flight still answer their
+   * callers, but the next get() starts a new load and their result is
+   * not stored.
+   *
+   * @param {string} prefix
+   */
+  function invalidate(prefix) {
+    for (const key of entries.keys()) {
+      if (key.startsWith(prefix)) entries.delete(key);
+    }
+    for (const key of pending.keys()) {
+      if (key.startsWith(prefix)) pending.delete(key);
+    }
+  }
+
+  function clear() {
+    entries.clear();
+  }
+
+  /**
+   * @typedef {object} CacheStats
+   * @property {number} hit get() calls served from memory
+   * @property {number} miss get() calls that loaded (or joined a load)
+   * @property {number} stale get() calls answered with the last good
+   *   value after a failed load
+   * @property {number} error get() calls that rejected
+   * @property {number} entries Keys currently holding a value
+   */
+
+  /**
+   * Counters for monitoring, since the cache was created.
+   *
+   * @returns {CacheStats}
+   */
+  function stats() {
+    return { ...counts, entries: entries.size };
+  }
+
+  return { get, peek, invalidate, clear, stats };
+}
+
+module.exports = { createCache };
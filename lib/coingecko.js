@@ -0,0 +1,148 @@
+const fetch = require('./fetch');
+const { probeUrl } = require('./fetch');
+
+/*
+ * Adapter for the CoinGecko markets API. The `/api/crypto` route only
+ * talks to the object returned by createCoinGeckoAdapter(), so the
+ * upstream can be pointed at a local fixture server (via `baseUrl`) or
+ * replaced by another adapter with the same `getQuotes` method.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.coingecko.com/api/v3';
+
+/**
+ * CoinGecko reports changes over fixed windows. Each supported range maps
+ * onto one of them; the value is the suffix used both in the
+ * `price_change_percentage` query parameter and in the response field
+ * `price_change_percentage_{window}_in_currency`.
+ */
+const RANGE_WINDOWS = {
+  hour: '1h',
+  day: '24h',
+  week: '7d',
+  month: '30d',
+  year: '1y'
+};
+
+/**
+ * Days of history requested from `/coins/{id}/market_chart` for each
+ * range. CoinGecko picks the granularity from the span (5‑minute points
+ * for one day, hourly up to 90 days, daily beyond), so the hour range
+ * requests a day and is trimmed to the last hour.
+ */
+const HISTORY_DAYS = {
+  hour: 1,
+  day: 1,
+  week: 7,
+  month: 30,
+  year: 365
+};
+
+/**
+ * Create a CoinGecko adapter.
+ *
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] API root, without a trailing slash
+ * @param {string} [options.apiKey] Optional demo API key, sent as the
+ *   `x-cg-demo-api-key` header
+ * @returns {{getQuotes: function(string[], string): Promise<Array<{ticker: string, name: string, price: (number|null), changePercent: (number|null), marketCap: (number|null), volume: (number|null)}>>, getHistory: function(string, string): Promise<{name: (string|null), points: Array<{time: number, close: number}>}>, probe: function({timeout?: number}=): Promise<void>}}
+ */
+function createCoinGeckoAdapter({ baseUrl = DEFAULT_BASE_URL, apiKey } = {}) {
+  const headers = apiKey ? { 'x-cg-demo-api-key': apiKey } : {};
+  // Quotes are keyed by symbol but CoinGecko endpoints take ids, so the
+  // mapping seen in the last getQuotes call is kept for getHistory.
+  const coinsBySymbol = new Map();
+
+  /**
+   * Fetch the latest price and the change over `range` for each coin.
+   * Coins are identified by their CoinGecko id (e.g. "bitcoin") and
+   * returned in the requested order with their symbol as the ticker,
+   * along with market cap and 24h volume (CoinGecko only reports volume
+   * over 24 hours, whatever the range).
+   * Ids CoinGecko does not recognise are omitted from the result.
+   *
+   * @param {string[]} coinIds
+   * @param {string} range One of the keys of RANGE_WINDOWS
+   * @returns {Promise<Array<{ticker: string, name: string, price: (number|null), changePercent: (number|null), marketCap: (number|null), volume: (number|null)}>>}
+   */
+  async function getQuotes(coinIds, range) {
+    const window = RANGE_WINDOWS[range];
+    if (!window) {
+      throw new Error(`Unsupported range for CoinGecko: ${range}`);
+    }
+    const params = new URLSearchParams({
+      vs_currency: 'usd',
+      ids: coinIds.join(','),
+      price_change_percentage: Object.values(RANGE_WINDOWS).join(','),
+      per_page: String(coinIds.length),
+      page: '1'
+    });
+    const url = `${baseUrl}/coins/markets?${params}`;
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch crypto prices from ${baseUrl}: ${response.statusText}`);
+    }
+    const markets = await response.json();
+    const byId = new Map((Array.isArray(markets) ? markets : []).map((coin) => [coin.id, coin]));
+    return coinIds
+      .filter((id) => byId.has(id))
+      .map((id) => {
+        const coin = byId.get(id);
+        const ticker = String(coin.symbol || id).toUpperCase();
+        coinsBySymbol.set(ticker, { id, name: coin.name || null });
+        return {
+          ticker,
+          name: coin.name || ticker,
+          price: coin.current_price ?? null,
+          changePercent: coin[`price_change_percentage_${window}_in_currency`] ?? null,
+          marketCap: coin.market_cap ?? null,
+          volume: coin.total_volume ?? null
+        };
+      });
+  }
+
+  /**
+   * Fetch recent prices for one coin, oldest first. `ticker` is the
+   * symbol returned by getQuotes; unknown symbols are tried as a
+   * CoinGecko id.
+   *
+   * @param {string} ticker
+   * @param {string} range One of the keys of HISTORY_DAYS
+   * @returns {Promise<{name: (string|null), points: Array<{time: number, close: number}>}>}
+   */
+  async function getHistory(ticker, range) {
+    const days = HISTORY_DAYS[range];
+    if (!days) {
+      throw new Error(`Unsupported range for CoinGecko: ${range}`);
+    }
+    const coin = coinsBySymbol.get(ticker.toUpperCase()) || { id: ticker.toLowerCase(), name: null };
+    const url = `${baseUrl}/coins/${encodeURIComponent(coin.id)}/market_chart?vs_currency=usd&days=${days}`;
+    const response = await fetch(url, { headers });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch crypto history from ${baseUrl}: ${response.statusText}`);
+    }
+    const data = await response.json();
+    let points = (Array.isArray(data && data.prices) ? data.prices : [])
+      .filter((pair) => Array.isArray(pair) && pair[1] != null)
+      .map(([time, close]) => ({ time, close }));
+    if (range === 'hour' && points.length > 0) {
+      const cutoff = points[points.length - 1].time - 60 * 60 * 1000;
+      points = points.filter((point) => point.time >= cutoff);
+    }
+    return { name: coin.name, points };
+  }
+
+  /**
+   * Check that the API answers, using its `/ping` endpoint.
+   *
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<void>}
+   */
+  function probe({ timeout } = {}) {
+    return probeUrl(`${baseUrl}/ping`, { timeout, headers });
+  }
+
+  return { getQuotes, getHistory, probe };
+}
+
+module.exports = { createCoinGeckoAdapter, RANGE_WINDOWS, HISTORY_DAYS };
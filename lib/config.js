@@ -0,0 +1,210 @@
+const path = require('path');
+const { UNIVERSE_PROVIDERS, PRICE_PROVIDERS } = require('./providers');
+
+/*
+ * Server configuration, read from environment variables in one place.
+ * Every setting has a default so the app starts with no configuration
+ * at all; values that are set but invalid (a port that is not a number,
+ * an unknown provider, a malformed URL) stop the server at startup with
+ * a ConfigError listing every problem, instead of surfacing later as a
+ * confusing runtime failure. Settings that are valid but will make some
+ * routes fail, such as the Intrinio provider without a key, are
+ * reported as warnings.
+ */
+
+const DEFAULT_CRYPTO_COINS = [
+  'bitcoin', 'ethereum', 'tether', 'binancecoin', 'solana', 'ripple',
+  'usd-coin', 'dogecoin', 'cardano', 'tron', 'avalanche-2', 'chainlink',
+  'shiba-inu', 'polkadot', 'bitcoin-cash', 'litecoin', 'near',
+  'uniswap', 'internet-computer', 'render-token', 'fetch-ai',
+  'the-graph', 'bittensor', 'injective-protocol', 'stellar'
+];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Raised for an invalid configuration. `problems` lists one message per
+ * invalid variable.
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string[]} problems
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {object} Config
+ * @property {number} port `PORT`
+ * @property {string} dataDir `DATA_DIR`: where watchlists, snapshots and
+ *   alerts are stored
+ * @property {number} sp500Limit `SP500_LIMIT`: constituents shown in the
+ *   stock bubble field
+ * @property {number} snapshotRetention `SNAPSHOT_RETENTION_DAYS`, in ms
+ * @property {{provider: string, file: (string|undefined), url: string, timeout: number, refreshInterval: number}} universe
+ *   `UNIVERSE_PROVIDER`, `UNIVERSE_FILE`, `SLICKCHARTS_URL`,
+ *   `SLICKCHARTS_TIMEOUT_MS` and `CONSTITUENTS_REFRESH_HOURS` (in ms; 0
+ *   never refreshes)
+ * @property {{provider: string, apiKey: (string|undefined), baseUrl: string, file: (string|undefined), fetcher: object}} prices
+ *   `PRICE_PROVIDER`, `INTRINIO_API_KEY`, `INTRINIO_BASE_URL`,
+ *   `PRICE_FILE` and the Intrinio request queue settings (see
+ *   lib/fetcher)
+ * @property {{coins: string[], baseUrl: string, apiKey: (string|undefined)}} crypto
+ *   `CRYPTO_COINS`, `COINGECKO_BASE_URL` and `COINGECKO_API_KEY`
+ * @property {{probeTimeout: number}} health `HEALTH_PROBE_TIMEOUT_MS`:
+ *   how long `/readyz` waits for each upstream
+ * @property {string[]} warnings Valid settings that will make some
+ *   routes fail
+ */
+
+/**
+ * Read and validate the configuration.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @param {object} [options]
+ * @param {string} [options.rootDir] Directory relative defaults are
+ *   resolved against
+ * @returns {Readonly<Config>}
+ * @throws {ConfigError}
+ */
+function loadConfig(env, { rootDir = path.join(__dirname, '..') } = {}) {
+  const problems = [];
+
+  /**
+   * Read an integer variable within [min, max].
+   *
+   * @param {string} name
+   * @param {number} fallback Used when the variable is unset or empty
+   * @param {number} min
+   * @param {number} [max]
+   * @returns {number}
+   */
+  function integer(name, fallback, min, max = Number.MAX_SAFE_INTEGER) {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      const bound = max === Number.MAX_SAFE_INTEGER ? `>= ${min}` : `between ${min} and ${max}`;
+      problems.push(`${name} must be an integer ${bound}, got "${value}".`);
+      return fallback;
+    }
+    return number;
+  }
+
+  /**
+   * Read a positive number variable.
+   *
+   * @param {string} name
+   * @param {number} fallback
+   * @returns {number}
+   */
+  function positiveNumber(name, fallback) {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      problems.push(`${name} must be a positive number, got "${value}".`);
+      return fallback;
+    }
+    return number;
+  }
+
+  /**
+   * Read an http(s) URL variable. A trailing slash is removed, since the
+   * URLs are used as roots that paths are appended to.
+   *
+   * @param {string} name
+   * @param {string} fallback
+   * @returns {string}
+   */
+  function httpUrl(name, fallback) {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    let url;
+    try {
+      url = new URL(value);
+    } catch (err) {
+      url = null;
+    }
+    if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+      problems.push(`${name} must be an http or https URL, got "${value}".`);
+      return fallback;
+    }
+    return value.replace(/\/+$/, '');
+  }
+
+  /**
+   * Read a variable naming a key of `registry`.
+   *
+   * @param {string} name
+   * @param {object} registry
+   * @param {string} fallback
+   * @returns {string}
+   */
+  function oneOf(name, registry, fallback) {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    if (!Object.prototype.hasOwnProperty.call(registry, value)) {
+      problems.push(`${name} must be one of ${Object.keys(registry).join(', ')}, got "${value}".`);
+      return fallback;
+    }
+    return value;
+  }
+
+  const coins = env.CRYPTO_COINS
+    ? env.CRYPTO_COINS.split(',').map((id) => id.trim()).filter(Boolean)
+    : DEFAULT_CRYPTO_COINS;
+  if (coins.length === 0) {
+    problems.push('CRYPTO_COINS must list at least one CoinGecko id.');
+  }
+
+  const config = {
+    port: integer('PORT', 3000, 0, 65535),
+    dataDir: env.DATA_DIR || path.join(rootDir, 'storage'),
+    sp500Limit: integer('SP500_LIMIT', 100, 1, 1000),
+    snapshotRetention: positiveNumber('SNAPSHOT_RETENTION_DAYS', 7) * DAY,
+    universe: {
+      provider: oneOf('UNIVERSE_PROVIDER', UNIVERSE_PROVIDERS, 'constituents'),
+      file: env.UNIVERSE_FILE || undefined,
+      url: httpUrl('SLICKCHARTS_URL', 'https://www.slickcharts.com/sp500'),
+      timeout: integer('SLICKCHARTS_TIMEOUT_MS', 10000, 1),
+      refreshInterval: integer('CONSTITUENTS_REFRESH_HOURS', 0, 0) * HOUR
+    },
+    prices: {
+      provider: oneOf('PRICE_PROVIDER', PRICE_PROVIDERS, 'intrinio'),
+      apiKey: env.INTRINIO_API_KEY || undefined,
+      baseUrl: httpUrl('INTRINIO_BASE_URL', 'https://api-v2.intrinio.com'),
+      file: env.PRICE_FILE || undefined,
+      fetcher: {
+        concurrency: integer('INTRINIO_CONCURRENCY', 8, 1),
+        retries: integer('INTRINIO_RETRIES', 3, 0),
+        timeout: integer('INTRINIO_TIMEOUT_MS', 10000, 1),
+        budget: { limit: integer('INTRINIO_REQUESTS_PER_MINUTE', 600, 1), windowMs: 60 * 1000 }
+      }
+    },
+    crypto: {
+      coins,
+      baseUrl: httpUrl('COINGECKO_BASE_URL', 'https://api.coingecko.com/api/v3'),
+      apiKey: env.COINGECKO_API_KEY || undefined
+    },
+    health: {
+      probeTimeout: integer('HEALTH_PROBE_TIMEOUT_MS', 5000, 1)
+    },
+    warnings: []
+  };
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  if (config.prices.provider === 'intrinio' && !config.prices.apiKey) {
+    config.warnings.push('INTRINIO_API_KEY is not set; stock routes will answer 500 until it is.');
+  }
+  return Object.freeze(config);
+}
+
+module.exports = { loadConfig, ConfigError };
@@ -0,0 +1,331 @@
+/*
+ * The S&P 500 constituents: ticker, company name, sector and index
+ * weight, largest weight first. The app ships with a list under
+ * `data/constituents/` named `sp500-{YYYY-MM-DD}.csv`, the date being
+ * the day the list reflects; the newest file is used. Updating the
+ * bundled list means adding a newer file.
+ *
+ * The list can optionally be refreshed from an upstream universe
+ * provider (the slickcharts scrape). Every list, bundled or refreshed,
+ * is validated before it is used (see validateConstituents): a page
+ * layout change that makes the scrape return nothing, or garbage, is
+ * logged as an error and the last good list stays in use. The last
+ * good refreshed list is written to a state file so it survives
+ * restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, toNumber } = require('./csv');
+const { writeJsonAtomic } = require('./store');
+
+const BUNDLED_DIR = path.join(__dirname, '..', 'data', 'constituents');
+const BUNDLED_FILE = /^sp500-(\d{4}-\d{2}-\d{2})\.csv$/;
+
+// Index tickers: one to five capital letters with an optional share
+// class suffix, e.g. "BRK.B".
+const TICKER_FORMAT = /^[A-Z]{1,5}(\.[A-Z])?$/;
+// The index holds 500 companies, a few with more than one share class.
+// A list far outside this range means its source is broken.
+const MIN_COUNT = 480;
+const MAX_COUNT = 520;
+// Weights are percentages of the index and should add up to about 100.
+const MIN_TOTAL_WEIGHT = 90;
+const MAX_TOTAL_WEIGHT = 110;
+// Offending tickers quoted per problem; the rest are counted.
+const MAX_EXAMPLES = 10;
+
+/**
+ * Raised for a constituents list that fails validation. `problems`
+ * lists one message per failed check.
+ */
+class ConstituentsError extends Error {
+  /**
+   * @param {string[]} problems
+   */
+  constructor(problems) {
+    super(`Invalid constituents list:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConstituentsError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {object} Constituent
+ * @property {string} ticker
+ * @property {string|undefined} name
+ * @property {string|undefined} sector
+ * @property {number|null} weight Percent of the index
+ */
+
+/**
+ * Parse a constituents CSV with `ticker`, `name`, `sector` and `weight`
+ * columns. Nothing is checked here; see validateConstituents.
+ *
+ * @param {string} text
+ * @returns {Constituent[]}
+ */
+function parseConstituents(text) {
+  return parseCsv(text).map((row) => ({
+    ticker: (row.ticker || '').toUpperCase(),
+    name: row.name || undefined,
+    sector: row.sector || undefined,
+    weight: toNumber(row.weight)
+  }));
+}
+
+/**
+ * Describe the offending tickers of a failed check, e.g. `A, B (and 3
+ * more)`.
+ *
+ * @param {string[]} tickers
+ * @returns {string}
+ */
+function examples(tickers) {
+  const shown = tickers.slice(0, MAX_EXAMPLES).map((ticker) => JSON.stringify(ticker)).join(', ');
+  return tickers.length > MAX_EXAMPLES ? `${shown} (and ${tickers.length - MAX_EXAMPLES} more)` : shown;
+}
+
+/**
+ * Check a constituents list: the number of entries, the ticker format,
+ * duplicates, and that every entry has a weight and the weights add up
+ * to about 100%. Returns the entries sorted by descending weight, so no
+ * source has to list them in order.
+ *
+ * @param {Constituent[]} entries
+ * @param {{minCount?: number, maxCount?: number}} [options] Accepted
+ *   list sizes
+ * @returns {Constituent[]}
+ * @throws {ConstituentsError}
+ */
+function validateConstituents(entries, { minCount = MIN_COUNT, maxCount = MAX_COUNT } = {}) {
+  const problems = [];
+  if (entries.length < minCount || entries.length > maxCount) {
+    problems.push(`Expected ${minCount} to ${maxCount} constituents, got ${entries.length}.`);
+  }
+  const malformed = [];
+  const duplicates = [];
+  const unweighted = [];
+  const seen = new Set();
+  let totalWeight = 0;
+  for (const entry of entries) {
+    if (!TICKER_FORMAT.test(entry.ticker)) malformed.push(entry.ticker);
+    if (seen.has(entry.ticker)) duplicates.push(entry.ticker);
+    seen.add(entry.ticker);
+    if (typeof entry.weight !== 'number' || !Number.isFinite(entry.weight) || entry.weight < 0) {
+      unweighted.push(entry.ticker);
+    } else {
+      totalWeight += entry.weight;
+    }
+  }
+  if (malformed.length > 0) problems.push(`Malformed tickers: ${examples(malformed)}.`);
+  if (duplicates.length > 0) problems.push(`Duplicate tickers: ${examples(duplicates)}.`);
+  if (unweighted.length > 0) {
+    problems.push(`Missing or invalid weights: ${examples(unweighted)}.`);
+  } else if (entries.length > 0 && (totalWeight < MIN_TOTAL_WEIGHT || totalWeight > MAX_TOTAL_WEIGHT)) {
+    problems.push(`Weights add up to ${totalWeight.toFixed(1)}%, expected about 100%.`);
+  }
+  if (problems.length > 0) {
+    throw new ConstituentsError(problems);
+  }
+  return [...entries].sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Load and validate the newest bundled list in `dir`.
+ *
+ * @param {string} [dir]
+ * @returns {{version: string, source: string, entries: Constituent[]}}
+ * @throws {Error} When there is no bundled list or it is invalid
+ */
+function loadBundled(dir = BUNDLED_DIR) {
+  const files = fs.readdirSync(dir).filter((name) => BUNDLED_FILE.test(name)).sort();
+  if (files.length === 0) {
+    throw new Error(`No bundled constituents list (sp500-YYYY-MM-DD.csv) in ${dir}.`);
+  }
+  const file = files[files.length - 1];
+  const entries = parseConstituents(fs.readFileSync(path.join(dir, file), 'utf8'));
+  try {
+    return { version: BUNDLED_FILE.exec(file)[1], source: 'bundled', entries: validateConstituents(entries) };
+  } catch (err) {
+    err.message = `${file}: ${err.message}`;
+    throw err;
+  }
+}
+
+/**
+ * Create the constituents source. The bundled list is loaded (and
+ * validated) right away, so a broken bundled file stops the server at
+ * startup.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dir] Directory of the bundled lists
+ * @param {string} [options.stateFile] JSON file the last good refreshed
+ *   list is kept in; without one, refreshes only last until a restart
+ * @param {{name: string, getUniverse: function(): Promise<Array<{ticker: string, name?: string, weight?: (number|null)}>>}} [options.upstream]
+ *   Universe provider to refresh from; none disables refreshing
+ * @param {number} [options.refreshInterval] Time (ms) between refreshes;
+ *   0 disables refreshing
+ * @param {function(): number} [options.now] Clock, injectable for tests
+ * @param {{warn: Function, error: Function}} [options.logger]
+ */
+function createConstituents({
+  dir = BUNDLED_DIR,
+  stateFile,
+  upstream = null,
+  refreshInterval = 0,
+  now = Date.now,
+  logger = console
+} = {}) {
+  const bundled = loadBundled(dir);
+  // The list in use: the bundled one, or a refreshed one with
+  // `fetchedAt` (ms).
+  let current = bundled;
+  // When the last refresh was attempted and how it went.
+  let lastRefresh = { at: null, ok: null, error: null };
+  let refreshFailures = 0;
+  let restoring = null;
+  let refreshing = null;
+
+  /**
+   * Pick up the last good refreshed list from the state file, unless
+   * the bundled list is newer. A missing file is normal; an unreadable
+   * or invalid one is reported and ignored.
+   */
+  async function restore() {
+    if (!stateFile) return;
+    let saved;
+    try {
+      saved = JSON.parse(await fs.promises.readFile(stateFile, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn(`Ignoring saved constituents list ${stateFile}: ${err.message}`);
+      return;
+    }
+    try {
+      const entries = validateConstituents(Array.isArray(saved.entries) ? saved.entries : []);
+      if (saved.version >= bundled.version) {
+        current = { version: saved.version, source: saved.source, fetchedAt: saved.fetchedAt, entries };
+        lastRefresh = { at: saved.fetchedAt, ok: true, error: null };
+      }
+    } catch (err) {
+      logger.warn(`Ignoring saved constituents list ${stateFile}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Merge a scraped list with the current one: the scrape decides which
+   * tickers are in the index and their weights, the current list fills
+   * in what the scrape lacks (names, and sectors, which the components
+   * page does not show).
+   *
+   * @param {Array<{ticker: string, name?: string, weight?: (number|null)}>} scraped
+   * @returns {Constituent[]}
+   */
+  function merge(scraped) {
+    const known = new Map(current.entries.map((entry) => [entry.ticker, entry]));
+    return scraped.map((entry) => {
+      const ticker = String(entry.ticker || '').toUpperCase();
+      const previous = known.get(ticker) || {};
+      return {
+        ticker,
+        name: entry.name || previous.name,
+        sector: previous.sector,
+        weight: typeof entry.weight === 'number' ? entry.weight : null
+      };
+    });
+  }
+
+  async function runRefresh() {
+    const at = now();
+    let entries;
+    try {
+      entries = validateConstituents(merge(await upstream.getUniverse()));
+    } catch (err) {
+      refreshFailures++;
+      lastRefresh = { at, ok: false, error: err.message };
+      logger.error(
+        `Constituents refresh from ${upstream.name} failed; keeping the ${current.source} list of ` +
+        `${current.version} (${current.entries.length} tickers). ${err.message}`
+      );
+      return;
+    }
+    current = { version: new Date(at).toISOString().slice(0, 10), source: upstream.name, fetchedAt: at, entries };
+    lastRefresh = { at, ok: true, error: null };
+    const unsectored = entries.filter((entry) => !entry.sector).map((entry) => entry.ticker);
+    if (unsectored.length > 0) {
+      logger.warn(`New constituents without a sector: ${examples(unsectored)}. Add them to the bundled list in ${dir}.`);
+    }
+    if (stateFile) {
+      await writeJsonAtomic(stateFile, current).catch((err) => {
+        logger.error(`Failed to save the constituents list to ${stateFile}:`, err);
+      });
+    }
+  }
+
+  /**
+   * Refresh the list from the upstream now. Never rejects: a failed or
+   * invalid refresh is logged and counted, and the current list stays
+   * in use. Concurrent calls share one refresh.
+   *
+   * @returns {Promise<object>} The status afterwards (see status())
+   */
+  async function refresh() {
+    if (!upstream) throw new Error('No upstream to refresh the constituents from.');
+    if (!restoring) restoring = restore();
+    await restoring;
+    if (!refreshing) {
+      refreshing = runRefresh().finally(() => { refreshing = null; });
+    }
+    await refreshing;
+    return status();
+  }
+
+  function refreshDue() {
+    return Boolean(upstream) && refreshInterval > 0 &&
+      (lastRefresh.at === null || now() - lastRefresh.at >= refreshInterval);
+  }
+
+  /**
+   * The largest `limit` constituents of the list in use. A refresh that
+   * is due is started in the background rather than waited for, so a
+   * slow or hung upstream never holds up the callers; they get the
+   * refreshed list once it has arrived and passed validation.
+   *
+   * @param {{limit?: number}} [options]
+   * @returns {Promise<Constituent[]>}
+   */
+  async function getUniverse({ limit = Infinity } = {}) {
+    if (!restoring) restoring = restore();
+    await restoring;
+    if (refreshDue() && !refreshing) refresh();
+    return current.entries.slice(0, limit).map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Which list is in use and how refreshing goes, for `/readyz` and the
+   * metrics.
+   *
+   * @returns {{source: string, version: string, count: number, fetchedAt: (number|null), lastRefresh: {at: (number|null), ok: (boolean|null), error: (string|null)}, refreshFailures: number}}
+   */
+  function status() {
+    return {
+      source: current.source,
+      version: current.version,
+      count: current.entries.length,
+      fetchedAt: current.fetchedAt || null,
+      lastRefresh: { ...lastRefresh },
+      refreshFailures
+    };
+  }
+
+  return { getUniverse, refresh, status };
+}
+
+module.exports = {
+  createConstituents,
+  parseConstituents,
+  validateConstituents,
+  loadBundled,
+  ConstituentsError,
+  BUNDLED_DIR
+};
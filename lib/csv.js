@@ -0,0 +1,117 @@
+/*
+ * Minimal CSV support for the bundled data files, user uploads and
+ * exports.
+ * Handles quoted fields (including embedded commas, newlines and doubled
+ * quotes) and both LF and CRLF line endings. The first row is treated as
+ * the header.
+ */
+
+/**
+ * Split CSV text into rows of raw string fields.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines so trailing newlines and spacer rows are harmless.
+  return rows.filter((r) => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parse CSV text into objects keyed by the (trimmed, lower-cased) header
+ * names. Values are trimmed strings; missing trailing fields are empty
+ * strings.
+ *
+ * @param {string} text
+ * @returns {Array<Object<string, string>>}
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const keys = header.map((key) => key.trim().toLowerCase());
+  return rows.map((row) => {
+    const record = {};
+    keys.forEach((key, i) => {
+      record[key] = (row[i] || '').trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Parse a numeric CSV field, returning null for blanks and non-numbers.
+ *
+ * @param {string|undefined} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(String(value).replace(/[%$,]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Format one CSV field: null and undefined become empty, and fields
+ * containing commas, quotes or line breaks are quoted.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function formatField(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format objects as CSV text with a header row of `columns`, taking each
+ * row's values from the properties of those names. Lines end with CRLF
+ * as RFC 4180 recommends.
+ *
+ * @param {Array<object>} records
+ * @param {string[]} columns
+ * @returns {string}
+ */
+function formatCsv(records, columns) {
+  const lines = [columns.map(formatField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => formatField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, parseRows, toNumber, formatCsv };
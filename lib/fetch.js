@@ -0,0 +1,98 @@
+/*
+ * Node fetch is used to make HTTPS requests. It must be installed as a
+ * dependency (see package.json). Using an ESM require shim allows it to
+ * work in CommonJS. Modules that talk to upstream services share this
+ * shim rather than each importing node-fetch themselves, which also
+ * makes it the one place upstream calls can be observed (see
+ * observeUpstream), e.g. for the server's metrics.
+ */
+
+const observers = new Set();
+
+/**
+ * @typedef {object} UpstreamResult
+ * @property {string} host Host (and port) of the requested URL
+ * @property {number} duration Time (ms) until the response headers
+ *   arrived or the request failed
+ * @property {number} [status] HTTP status, when a response arrived
+ * @property {Error} [error] The failure, when none did
+ */
+
+/**
+ * Report a finished request to every observer. Observers must not break
+ * the request, so their errors are only logged.
+ *
+ * @param {UpstreamResult} result
+ */
+function notify(result) {
+  for (const observer of observers) {
+    try {
+      observer(result);
+    } catch (err) {
+      console.error('Upstream observer failed:', err);
+    }
+  }
+}
+
+/**
+ * node-fetch's fetch, reporting each request to the observers.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @returns {Promise<Response>}
+ */
+async function fetch(url, options) {
+  const { default: nodeFetch } = await import('node-fetch');
+  const host = new URL(url).host;
+  const started = Date.now();
+  try {
+    const response = await nodeFetch(url, options);
+    notify({ host, duration: Date.now() - started, status: response.status });
+    return response;
+  } catch (err) {
+    notify({ host, duration: Date.now() - started, error: err });
+    throw err;
+  }
+}
+
+/**
+ * Call `observer` with an UpstreamResult after every request made
+ * through this module.
+ *
+ * @param {function(UpstreamResult): void} observer
+ * @returns {function(): void} Stops observing
+ */
+function observeUpstream(observer) {
+  observers.add(observer);
+  return () => observers.delete(observer);
+}
+
+/**
+ * Check that a URL can be reached: resolves once it answers with a
+ * status below 500 within `timeout` ms and rejects otherwise. Any such
+ * answer counts, since a root URL may well be a 404 or need a key.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.timeout]
+ * @param {Object<string, string>} [options.headers]
+ * @returns {Promise<void>}
+ */
+async function probeUrl(url, { timeout = 5000, headers } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, { method: 'HEAD', headers, signal: controller.signal });
+    if (response.status >= 500) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+  } catch (err) {
+    throw err.name === 'AbortError' ? new Error(`No response within ${timeout}ms`) : err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = fetch;
+module.exports.observeUpstream = observeUpstream;
+module.exports.probeUrl = probeUrl;
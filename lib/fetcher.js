@@ -0,0 +1,191 @@
+const defaultFetch = require('./fetch');
+
+/*
+ * Rate-limited JSON fetcher for per-ticker upstream calls. Requests are
+ * queued behind a concurrency limit, retried with exponential backoff on
+ * 429/5xx responses, timeouts and network errors, aborted after a
+ * per-request timeout, and counted against a global request budget so a
+ * burst of refreshes cannot drain the upstream quota. Failures are
+ * reported as UpstreamError with a machine-readable `reason`.
+ */
+
+/**
+ * Error raised for a request that did not produce a usable response.
+ * `reason` is one of:
+ *
+ *  - `rate_limited`: HTTP 429 after all retries
+ *  - `upstream_error`: HTTP 5xx after all retries
+ *  - `http_<status>`: any other non-OK status (not retried)
+ *  - `timeout`: no complete response within the timeout
+ *  - `network_error`: connection failure or invalid JSON
+ *  - `budget_exhausted`: the request budget for the window is used up
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} reason
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] HTTP status, if a response arrived
+   * @param {number} [details.retryAfter] Server-requested delay in ms
+   */
+  constructor(reason, message, { status, retryAfter } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.reason = reason;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const RETRYABLE_REASONS = new Set(['rate_limited', 'upstream_error', 'timeout', 'network_error']);
+
+/**
+ * Map an HTTP status to an UpstreamError reason.
+ *
+ * @param {number} status
+ * @returns {string}
+ */
+function reasonForStatus(status) {
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'upstream_error';
+  return `http_${status}`;
+}
+
+/**
+ * Parse a `Retry-After` header given in seconds into milliseconds.
+ * HTTP-date values are ignored and fall back to the backoff schedule.
+ *
+ * @param {string|null} value
+ * @returns {number|undefined}
+ */
+function parseRetryAfter(value) {
+  const seconds = Number(value);
+  return value && Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : undefined;
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a fetcher.
+ *
+ * @param {object} [options]
+ * @param {number} [options.concurrency] Maximum requests in flight
+ * @param {number} [options.retries] Retries after the first attempt
+ * @param {number} [options.baseDelay] Backoff before the first retry (ms);
+ *   doubled for every further retry
+ * @param {number} [options.maxDelay] Upper bound for a single backoff (ms)
+ * @param {number} [options.timeout] Per-attempt timeout (ms), covering
+ *   both the response and its body
+ * @param {{limit: number, windowMs: number}|null} [options.budget] At most
+ *   `limit` attempts (including retries) per sliding `windowMs`
+ * @param {Function} [options.fetchImpl] fetch implementation
+ * @param {function(number): Promise<void>} [options.sleep] Delay function
+ * @param {function(): number} [options.now] Clock
+ * @returns {{fetchJson: function(string): Promise<*>}}
+ */
+function createFetcher({
+  concurrency = 8,
+  retries = 3,
+  baseDelay = 500,
+  maxDelay = 8000,
+  timeout = 10000,
+  budget = null,
+  fetchImpl = defaultFetch,
+  sleep = defaultSleep,
+  now = Date.now
+} = {}) {
+  let active = 0;
+  const waiting = [];
+  const attempts = [];
+
+  function acquire() {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  /**
+   * Record an attempt against the budget, or report that none is left.
+   *
+   * @returns {boolean}
+   */
+  function spendBudget() {
+    if (!budget) return true;
+    const cutoff = now() - budget.windowMs;
+    while (attempts.length > 0 && attempts[0] <= cutoff) {
+      attempts.shift();
+    }
+    if (attempts.length >= budget.limit) return false;
+    attempts.push(now());
+    return true;
+  }
+
+  async function attempt(url) {
+    if (!spendBudget()) {
+      throw new UpstreamError('budget_exhausted', `Request budget of ${budget.limit} per ${budget.windowMs}ms exhausted`);
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const response = await fetchImpl(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new UpstreamError(reasonForStatus(response.status), `HTTP ${response.status} ${response.statusText}`, {
+          status: response.status,
+          retryAfter: parseRetryAfter(response.headers.get('retry-after'))
+        });
+      }
+      return await response.json();
+    } catch (err) {
+      if (err instanceof UpstreamError) throw err;
+      if (err.name === 'AbortError') {
+        throw new UpstreamError('timeout', `No response within ${timeout}ms`);
+      }
+      throw new UpstreamError('network_error', err.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Fetch `url` and parse the body as JSON, queueing behind the
+   * concurrency limit and retrying transient failures.
+   *
+   * @param {string} url
+   * @returns {Promise<*>}
+   * @throws {UpstreamError}
+   */
+  async function fetchJson(url) {
+    await acquire();
+    try {
+      for (let retry = 0; ; retry++) {
+        try {
+          return await attempt(url);
+        } catch (err) {
+          if (!RETRYABLE_REASONS.has(err.reason) || retry >= retries) throw err;
+          const backoff = Math.min(maxDelay, baseDelay * 2 ** retry);
+          // Add up to 20% jitter so retries from a burst spread out.
+          await sleep(Math.min(maxDelay, err.retryAfter ?? backoff * (1 + Math.random() * 0.2)));
+        }
+      }
+    } finally {
+      release();
+    }
+  }
+
+  return { fetchJson };
+}
+
+module.exports = { createFetcher, UpstreamError };
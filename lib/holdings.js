@@ -0,0 +1,191 @@
+/*
+ * Portfolio holdings: the positions the bubble field's portfolio market
+ * shows, imported from a CSV of ticker, quantity and cost basis and
+ * persisted in a JSON file through lib/store. The document looks like:
+ *
+ *   { holdings: [{ ticker: 'AAPL', quantity: 10, costBasis: 1500 }], updatedAt }
+ *
+ * `costBasis` is what the whole position cost, in dollars, or null when
+ * the CSV leaves it blank. Several rows for one ticker (e.g. separate
+ * lots) are merged into one holding. An import replaces the previous
+ * holdings as a whole, so the file always matches the last upload.
+ */
+
+const { createJsonStore } = require('./store');
+const { parseCsv, toNumber } = require('./csv');
+
+// Most holdings a portfolio may hold; each one costs a price call per
+// refresh, as a watchlist ticker does.
+const MAX_HOLDINGS = 200;
+// Header names accepted for each column (lower-cased, see parseCsv).
+const COLUMNS = {
+  ticker: ['ticker', 'symbol'],
+  quantity: ['quantity', 'shares', 'qty'],
+  costBasis: ['cost basis', 'costbasis', 'cost_basis', 'cost']
+};
+
+/**
+ * A rejected holdings operation. `status` is the HTTP status the routes
+ * answer with: 400 for an invalid upload.
+ */
+class HoldingsError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HoldingsError';
+    this.status = status;
+  }
+}
+
+/**
+ * The header of a record that names a column, if any.
+ *
+ * @param {Object<string, string>} record
+ * @param {string[]} names
+ * @returns {string|undefined}
+ */
+function findColumn(record, names) {
+  return names.find((name) => Object.prototype.hasOwnProperty.call(record, name));
+}
+
+/**
+ * Parse a holdings CSV. The header must name a ticker and a quantity
+ * column; the cost basis column is optional. Rows are numbered from 1
+ * after the header in error messages.
+ *
+ * @param {*} text
+ * @param {RegExp} tickerPattern Accepted ticker symbols
+ * @returns {Array<{ticker: string, quantity: number, costBasis: (number|null)}>}
+ */
+function parseHoldingsCsv(text, tickerPattern) {
+  if (typeof text !== 'string') {
+    throw new HoldingsError(400, 'Send the holdings as CSV text (Content-Type: text/csv).');
+  }
+  const records = parseCsv(text);
+  if (records.length === 0) return [];
+  const tickerColumn = findColumn(records[0], COLUMNS.ticker);
+  const quantityColumn = findColumn(records[0], COLUMNS.quantity);
+  const costColumn = findColumn(records[0], COLUMNS.costBasis);
+  if (!tickerColumn || !quantityColumn) {
+    throw new HoldingsError(400, 'The CSV needs a ticker and a quantity column.');
+  }
+  const holdings = new Map();
+  records.forEach((record, i) => {
+    const ticker = record[tickerColumn];
+    if (!tickerPattern.test(ticker)) {
+      throw new HoldingsError(400, `Row ${i + 1}: invalid ticker "${ticker}".`);
+    }
+    const quantity = toNumber(record[quantityColumn]);
+    if (quantity === null || quantity <= 0) {
+      throw new HoldingsError(400, `Row ${i + 1}: the quantity must be a positive number.`);
+    }
+    const costBasis = costColumn ? toNumber(record[costColumn]) : null;
+    if (costColumn && record[costColumn] !== '' && (costBasis === null || costBasis < 0)) {
+      throw new HoldingsError(400, `Row ${i + 1}: the cost basis must be a number of dollars.`);
+    }
+    const symbol = ticker.toUpperCase();
+    const lot = holdings.get(symbol);
+    if (lot) {
+      lot.quantity += quantity;
+      // The merged cost is only known if every lot's is.
+      lot.costBasis = lot.costBasis === null || costBasis === null ? null : lot.costBasis + costBasis;
+    } else {
+      holdings.set(symbol, { ticker: symbol, quantity, costBasis });
+    }
+  });
+  if (holdings.size > MAX_HOLDINGS) {
+    throw new HoldingsError(400, `A portfolio holds at most ${MAX_HOLDINGS} tickers.`);
+  }
+  return [...holdings.values()];
+}
+
+/**
+ * Dollars rounded to cents, or null.
+ *
+ * @param {number|null} amount
+ * @returns {number|null}
+ */
+function cents(amount) {
+  return amount === null ? null : Math.round(amount * 100) / 100;
+}
+
+/**
+ * Add each holding's position to its quote: `quantity`, `costBasis`,
+ * `positionValue` (quantity × price), `positionChange` (the dollars the
+ * position moved over the quote's range) and `positionGain` (value less
+ * cost basis). Each is null when the price, change or cost it needs is
+ * unknown. The quotes are copied, not modified.
+ *
+ * @param {Array<{ticker: string, price: (number|null), changePercent: (number|null)}>} quotes
+ * @param {Array<{ticker: string, quantity: number, costBasis: (number|null)}>} holdings
+ * @returns {Array<object>}
+ */
+function valuePositions(quotes, holdings) {
+  const byTicker = new Map(holdings.map((holding) => [holding.ticker, holding]));
+  return quotes.map((quote) => {
+    const { quantity, costBasis } = byTicker.get(quote.ticker);
+    const value = quote.price == null ? null : quantity * quote.price;
+    // The value at the start of the range, backed out of the change.
+    const change = value === null || quote.changePercent == null
+      ? null
+      : value - value / (1 + quote.changePercent / 100);
+    return {
+      ...quote,
+      quantity,
+      costBasis,
+      positionValue: cents(value),
+      positionChange: cents(change),
+      positionGain: cents(value === null || costBasis === null ? null : value - costBasis)
+    };
+  });
+}
+
+/**
+ * Create a holdings store.
+ *
+ * @param {object} options
+ * @param {string} options.file JSON file the holdings are kept in
+ * @param {RegExp} options.tickerPattern Accepted ticker symbols
+ * @param {function(): number} [options.now] Clock, injectable for tests
+ */
+function createHoldingsStore({ file, tickerPattern, now = Date.now }) {
+  const store = createJsonStore({ file, initial: () => ({ holdings: [], updatedAt: null }) });
+
+  /**
+   * @returns {Promise<{holdings: Array<object>, updatedAt: (string|null)}>}
+   */
+  async function get() {
+    const doc = await store.read();
+    return { holdings: doc.holdings.map((holding) => ({ ...holding })), updatedAt: doc.updatedAt };
+  }
+
+  /**
+   * Replace the holdings with those of a CSV (see parseHoldingsCsv).
+   *
+   * @param {*} text
+   * @returns {Promise<{holdings: Array<object>, updatedAt: string}>}
+   */
+  function importCsv(text) {
+    const holdings = parseHoldingsCsv(text, tickerPattern);
+    return replace(holdings);
+  }
+
+  function clear() {
+    return replace([]).then(() => undefined);
+  }
+
+  function replace(holdings) {
+    return store.update((doc) => {
+      doc.holdings = holdings;
+      doc.updatedAt = new Date(now()).toISOString();
+      return { holdings: holdings.map((holding) => ({ ...holding })), updatedAt: doc.updatedAt };
+    });
+  }
+
+  return { get, importCsv, clear };
+}
+
+module.exports = { createHoldingsStore, parseHoldingsCsv, valuePositions, HoldingsError };
@@ -0,0 +1,185 @@
+/*
+ * Minimal metrics registry rendering the Prometheus text exposition
+ * format (version 0.0.4), enough for the server's `/metrics` route
+ * without a client library. Supports counters and histograms updated as
+ * events happen, and metrics whose value is collected from elsewhere
+ * (e.g. a gauge, or a counter kept by another module) when rendered.
+ */
+
+/**
+ * Escape a label value: backslash, double quote and line feed.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a sample value; infinities use Prometheus' spelling.
+ *
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Format a sample line.
+ *
+ * @param {string} name
+ * @param {Object<string, *>} labels
+ * @param {number} value
+ * @returns {string}
+ */
+function sample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+}
+
+/**
+ * Create a registry.
+ *
+ * @returns {{counter: Function, collected: Function, histogram: Function, render: function(): string}}
+ */
+function createMetrics() {
+  const families = [];
+
+  /**
+   * Key of a label set in a family's series map.
+   *
+   * @param {string[]} labelNames
+   * @param {Object<string, *>} labels
+   * @returns {string}
+   */
+  function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map((label) => String(labels[label] ?? '')));
+  }
+
+  /**
+   * Pick the declared labels from `labels`, so every series of a family
+   * has the same label names.
+   *
+   * @param {string[]} labelNames
+   * @param {Object<string, *>} labels
+   * @returns {Object<string, string>}
+   */
+  function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((label) => [label, String(labels[label] ?? '')]));
+  }
+
+  /**
+   * Register a counter.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} [labelNames]
+   * @returns {{inc: function(Object<string, *>=, number=): void}}
+   */
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: 'counter',
+      lines: () => [...series.values()].map(({ labels, value }) => sample(name, labels, value))
+    });
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  /**
+   * Register a metric whose value is read from `collect` on every
+   * render: either a number, or `{ labels, value }` samples for a
+   * labelled metric.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {'gauge'|'counter'} type
+   * @param {function(): (number|Array<{labels: Object<string, *>, value: number}>)} collect
+   */
+  function collected(name, help, type, collect) {
+    families.push({
+      name,
+      help,
+      type,
+      lines: () => {
+        const value = collect();
+        return Array.isArray(value)
+          ? value.map((entry) => sample(name, entry.labels, entry.value))
+          : [sample(name, {}, value)];
+      }
+    });
+  }
+
+  /**
+   * Register a histogram with the given upper bucket bounds (ascending);
+   * a `+Inf` bucket is added.
+   *
+   * @param {string} name
+   * @param {string} help
+   * @param {string[]} labelNames
+   * @param {number[]} buckets
+   * @returns {{observe: function(Object<string, *>, number): void}}
+   */
+  function histogram(name, help, labelNames, buckets) {
+    const bounds = [...buckets, Infinity];
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: 'histogram',
+      lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => {
+        let cumulative = 0;
+        return [
+          ...bounds.map((bound, i) => {
+            cumulative += counts[i];
+            return sample(`${name}_bucket`, { ...labels, le: formatValue(bound) }, cumulative);
+          }),
+          sample(`${name}_sum`, labels, sum),
+          sample(`${name}_count`, labels, count)
+        ];
+      })
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        entry.counts[bounds.findIndex((bound) => value <= bound)]++;
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  /**
+   * Render every metric in the text exposition format.
+   *
+   * @returns {string}
+   */
+  function render() {
+    return families.map((family) => [
+      `# HELP ${family.name} ${family.help}`,
+      `# TYPE ${family.name} ${family.type}`,
+      ...family.lines()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, collected, histogram, render };
+}
+
+module.exports = { createMetrics };
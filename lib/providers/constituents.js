@@ -0,0 +1,44 @@
+const { createConstituents } = require('../constituents');
+const { createSlickchartsUniverseProvider } = require('./slickcharts');
+
+/**
+ * Universe provider serving the maintained constituents list (see
+ * lib/constituents): the bundled list, optionally refreshed from the
+ * slickcharts components page every `refreshInterval` ms.
+ *
+ * @param {object} [options]
+ * @param {string} [options.url] Components page to refresh from
+ * @param {number} [options.timeout] How long (ms) a scrape may take
+ * @param {number} [options.refreshInterval] 0 (the default) never
+ *   refreshes
+ * @param {string} [options.stateFile] Where the last good refreshed
+ *   list is kept
+ * @param {string} [options.dir] Directory of the bundled lists
+ * @returns {{name: string, getUniverse: function({limit?: number}=): Promise<Array<{ticker: string, name: (string|undefined), sector: (string|undefined), weight: (number|null)}>>, status: function(): object, probe: function(): Promise<void>}}
+ */
+function createConstituentsUniverseProvider({ url, timeout, refreshInterval = 0, stateFile, dir } = {}) {
+  const constituents = createConstituents({
+    dir,
+    stateFile,
+    upstream: refreshInterval > 0 ? createSlickchartsUniverseProvider({ url, timeout }) : null,
+    refreshInterval
+  });
+
+  /**
+   * The bundled list is always there to fall back on, so the universe
+   * never holds up readiness; refresh failures show in the logs, the
+   * metrics and the status instead.
+   *
+   * @returns {Promise<void>}
+   */
+  async function probe() {}
+
+  return {
+    name: 'constituents',
+    getUniverse: constituents.getUniverse,
+    status: constituents.status,
+    probe
+  };
+}
+
+module.exports = { createConstituentsUniverseProvider };
@@ -0,0 +1,115 @@
+const path = require('path');
+const { createConstituentsUniverseProvider } = require('./constituents');
+const { createSlickchartsUniverseProvider } = require('./slickcharts');
+const { createIntrinioPriceProvider } = require('./intrinio');
+const { createStaticUniverseProvider, createStaticPriceProvider } = require('./static');
+
+/*
+ * Market data is split into two roles so vendors can be swapped
+ * independently:
+ *
+ *  - A universe provider answers "which tickers?" through
+ *    `getUniverse({ limit })`, resolving to `{ ticker, ...metadata }`
+ *    entries in display order.
+ *  - A price provider answers "how did they move?" through
+ *    `getQuotes(tickers, range)`, resolving to one
+ *    `{ ticker, price, changePercent }` entry per ticker, and reports
+ *    missing configuration through `configurationError()`. Quotes may
+ *    also carry the traded `volume` over the range. A price provider may
+ *    also implement `getHistory(ticker, range)`, resolving to
+ *    `{ name, points: [{ time, close }] }` oldest first, for the detail
+ *    panel's sparkline, and `getFundamentals(tickers)`, resolving to
+ *    `{ [ticker]: { marketCap, name, sector } }`, for sizing bubbles by
+ *    market cap and filtering them by sector.
+ *
+ * Either role may also implement `probe()`, resolving when its upstream
+ * (a website, an API or a file) can be reached and rejecting otherwise,
+ * for the server's readiness check. A universe provider may implement
+ * `status()`, describing the list it serves (see lib/constituents), for
+ * the readiness check and the metrics.
+ *
+ * Providers are looked up by name from the registries below. To add a
+ * vendor, write a factory that returns an object implementing the role
+ * and register it here.
+ */
+
+const UNIVERSE_PROVIDERS = {
+  constituents: createConstituentsUniverseProvider,
+  slickcharts: createSlickchartsUniverseProvider,
+  static: createStaticUniverseProvider
+};
+
+const PRICE_PROVIDERS = {
+  intrinio: createIntrinioPriceProvider,
+  static: createStaticPriceProvider
+};
+
+/**
+ * Look up a factory in a registry, failing loudly on unknown names so a
+ * typo in the environment is caught at startup.
+ *
+ * @param {Object<string, Function>} registry
+ * @param {string} kind Used in the error message
+ * @param {string} name
+ * @returns {Function}
+ */
+function lookup(registry, kind, name) {
+  if (!Object.prototype.hasOwnProperty.call(registry, name)) {
+    throw new Error(`Unknown ${kind} provider "${name}". Expected one of: ${Object.keys(registry).join(', ')}.`);
+  }
+  return registry[name];
+}
+
+/**
+ * @param {string} name Key of UNIVERSE_PROVIDERS
+ * @param {object} [options] Passed to the provider factory
+ */
+function createUniverseProvider(name, options) {
+  return lookup(UNIVERSE_PROVIDERS, 'universe', name)(options);
+}
+
+/**
+ * @param {string} name Key of PRICE_PROVIDERS
+ * @param {object} [options] Passed to the provider factory
+ */
+function createPriceProvider(name, options) {
+  return lookup(PRICE_PROVIDERS, 'price', name)(options);
+}
+
+/**
+ * Build the providers selected in the configuration (see lib/config):
+ * the universe provider from `config.universe` (`constituents`, which
+ * refreshes from `url` every `refreshInterval` ms and keeps its state in
+ * `dataDir`, `slickcharts` with its `url` and `timeout`, or `static` with an optional
+ * `file`) and the price provider
+ * from `config.prices` (`intrinio` with its `apiKey`, `baseUrl` and
+ * request queue settings, or `static` with an optional `file`).
+ *
+ * @param {{universe: object, prices: object, dataDir: string}} config
+ * @returns {{universe: object, prices: object}}
+ */
+function createProviders({ universe, prices, dataDir }) {
+  return {
+    universe: createUniverseProvider(universe.provider, {
+      file: universe.file,
+      url: universe.url,
+      timeout: universe.timeout,
+      refreshInterval: universe.refreshInterval,
+      stateFile: path.join(dataDir, 'constituents.json')
+    }),
+    prices: createPriceProvider(prices.provider, {
+      apiKey: prices.apiKey,
+      baseUrl: prices.baseUrl,
+      file: prices.file,
+      fetcher: prices.fetcher
+    })
+  };
+}
+
+module.exports = {
+  UNIVERSE_PROVIDERS,
+  PRICE_PROVIDERS,
+  createUniverseProvider,
+  createPriceProvider,
+  createProviders
+};
@@ -0,0 +1,185 @@
+const { probeUrl } = require('../fetch');
+const { createFetcher } = require('../fetcher');
+const { computeChange } = require('../ranges');
+
+const DEFAULT_BASE_URL = 'https://api-v2.intrinio.com';
+
+/**
+ * How each range is fetched from Intrinio. Every range requests a short,
+ * newest-first series that comfortably reaches back past the reference
+ * date even across weekends and market holidays:
+ *
+ *  - `hour` uses 5‑minute intraday intervals from the 15‑minute delayed
+ *    source (`delayed_sip`) to avoid exchange fees.
+ *  - `day`, `week` and `month` use daily bars.
+ *  - `year` uses weekly bars so a single page covers the whole lookback.
+ *
+ * `historyPageSize` is the larger page requested for price history
+ * (sparklines), covering a few lookbacks' worth of the same bars.
+ */
+const SERIES = {
+  hour: { intraday: true, intervalSize: '5m', pageSize: 24, historyPageSize: 78 },
+  day: { frequency: 'daily', pageSize: 2, historyPageSize: 30 },
+  week: { frequency: 'daily', pageSize: 10, historyPageSize: 30 },
+  month: { frequency: 'daily', pageSize: 30, historyPageSize: 66 },
+  year: { frequency: 'weekly', pageSize: 60, historyPageSize: 104 }
+};
+
+/**
+ * Normalise an Intrinio price response into
+ * `{ time, close, percentChange, volume }` records sorted newest first. Daily/weekly responses carry a `date`
+ * field in `stock_prices`; intraday responses carry a `time` field in
+ * `intervals`. Records without a usable timestamp are dropped.
+ *
+ * @param {object} data Parsed JSON body
+ * @returns {Array<{time: number, close: (number|null), percentChange: (number|null), volume: (number|null)}>}
+ */
+function toPriceRecords(data) {
+  const rows = (data && (data.stock_prices || data.intervals)) || [];
+  return rows
+    .map((row) => ({
+      time: Date.parse(row.time || row.date),
+      close: row.close ?? null,
+      percentChange: row.percent_change ?? null,
+      volume: row.volume ?? null
+    }))
+    .filter((record) => !Number.isNaN(record.time))
+    .sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Price provider backed by Intrinio's `/securities/{ticker}/prices`
+ * endpoints.
+ *
+ * Per-ticker requests go through a rate-limited fetcher (see
+ * lib/fetcher), tuned with the `fetcher` option: `concurrency`,
+ * `retries`, `timeout` and a `budget` of requests per window.
+ *
+ * @param {object} options
+ * @param {string} [options.apiKey] Intrinio API key
+ * @param {string} [options.baseUrl] API root, without a trailing slash
+ * @param {object} [options.fetcher] Options for createFetcher
+ * @returns {{name: string, configurationError: function(): (string|null), getQuotes: function(string[], string): Promise<Array<{ticker: string, price: (number|null), changePercent: (number|null), error?: string}>>, getHistory: function(string, string): Promise<{name: (string|null), points: Array<{time: number, close: number}>}>, probe: function({timeout?: number}=): Promise<void>}}
+ */
+function createIntrinioPriceProvider({ apiKey, baseUrl = DEFAULT_BASE_URL, fetcher: fetcherOptions } = {}) {
+  const fetcher = createFetcher(fetcherOptions);
+
+  /**
+   * Build the Intrinio URL that returns the price series for a ticker
+   * and range.
+   *
+   * @param {string} ticker
+   * @param {string} range
+   * @param {number} [pageSize] Defaults to the range's quote page size
+   * @returns {string}
+   */
+  function seriesUrl(ticker, range, pageSize = SERIES[range].pageSize) {
+    const spec = SERIES[range];
+    const base = `${baseUrl}/securities/${encodeURIComponent(ticker)}`;
+    if (spec.intraday) {
+      return `${base}/prices/intervals?interval_size=${spec.intervalSize}&source=delayed_sip&page_size=${pageSize}&api_key=${apiKey}`;
+    }
+    return `${base}/prices?frequency=${spec.frequency}&page_size=${pageSize}&sort_order=desc&api_key=${apiKey}`;
+  }
+
+  /**
+   * Report why the provider cannot serve requests, if it cannot.
+   *
+   * @returns {string|null}
+   */
+  function configurationError() {
+    return apiKey ? null : 'INTRINIO_API_KEY is not configured on the server.';
+  }
+
+  /**
+   * Fetch a price series for each ticker through the fetcher queue and
+   * compare the latest close with the close at the start of the range
+   * (see computeChange). If a request fails or the series is empty,
+   * price and changePercent are null for that ticker and `error` holds
+   * the reason (an UpstreamError reason, or `no_data`).
+   *
+   * @param {string[]} tickers
+   * @param {string} range
+   * @returns {Promise<Array<{ticker: string, price: (number|null), changePercent: (number|null), error?: string}>>}
+   */
+  async function getQuotes(tickers, range) {
+    const quotes = await Promise.all(tickers.map(async (ticker) => {
+      try {
+        const records = toPriceRecords(await fetcher.fetchJson(seriesUrl(ticker, range)));
+        if (records.length === 0) {
+          return { ticker, price: null, changePercent: null, error: 'no_data' };
+        }
+        return { ticker, ...computeChange(records, range) };
+      } catch (err) {
+        return { ticker, price: null, changePercent: null, error: err.reason || 'network_error' };
+      }
+    }));
+    const failures = quotes.filter((quote) => quote.error);
+    if (failures.length > 0) {
+      const counts = {};
+      failures.forEach((quote) => { counts[quote.error] = (counts[quote.error] || 0) + 1; });
+      console.warn(`Intrinio ${range} prices failed for ${failures.length}/${tickers.length} tickers:`, counts);
+    }
+    return quotes;
+  }
+
+  /**
+   * Fetch recent closes for one ticker, using the same series as
+   * getQuotes with a larger page. Points are returned oldest first.
+   * The security name comes from the `security` object Intrinio
+   * includes in price responses.
+   *
+   * @param {string} ticker
+   * @param {string} range
+   * @returns {Promise<{name: (string|null), points: Array<{time: number, close: number}>}>}
+   * @throws {UpstreamError}
+   */
+  async function getHistory(ticker, range) {
+    const data = await fetcher.fetchJson(seriesUrl(ticker, range, SERIES[range].historyPageSize));
+    const points = toPriceRecords(data)
+      .filter((record) => record.close != null)
+      .map((record) => ({ time: record.time, close: record.close }))
+      .reverse();
+    return { name: (data && data.security && data.security.name) || null, points };
+  }
+
+  /**
+   * Fetch slow-moving company data for each ticker: the latest market
+   * capitalisation from Intrinio's `marketcap` data point, and the
+   * company name and sector from its company profile. Fields whose
+   * request fails are null.
+   *
+   * @param {string[]} tickers
+   * @returns {Promise<Object<string, {marketCap: (number|null), name: (string|null), sector: (string|null)}>>}
+   */
+  async function getFundamentals(tickers) {
+    const entries = await Promise.all(tickers.map(async (ticker) => {
+      const id = encodeURIComponent(ticker);
+      const [marketCap, company] = await Promise.all([
+        fetcher.fetchJson(`${baseUrl}/data_point/${id}/marketcap/number?api_key=${apiKey}`).catch(() => null),
+        fetcher.fetchJson(`${baseUrl}/companies/${id}?api_key=${apiKey}`).catch(() => null)
+      ]);
+      return [ticker, {
+        marketCap: typeof marketCap === 'number' ? marketCap : null,
+        name: (company && company.name) || null,
+        sector: (company && company.sector) || null
+      }];
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Check that the API answers at all. The probe bypasses the request
+   * queue and budget so health checks never compete with quotes.
+   *
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<void>}
+   */
+  function probe({ timeout } = {}) {
+    return probeUrl(`${baseUrl}/`, { timeout });
+  }
+
+  return { name: 'intrinio', configurationError, getQuotes, getHistory, getFundamentals, probe };
+}
+
+module.exports = { createIntrinioPriceProvider, toPriceRecords, SERIES };
@@ -0,0 +1,133 @@
+const fetch = require('../fetch');
+const { probeUrl } = require('../fetch');
+
+const DEFAULT_URL = 'https://www.slickcharts.com/sp500';
+// How long (ms) a scrape may take before it is aborted.
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Strip tags and decode the few HTML entities that appear in company
+ * names on the components page.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+function textContent(html) {
+  return html
+    .replace(/<[^>]*>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extract `{ ticker, name, weight }` entries from the components table.
+ * Each table row links the company name and the ticker to
+ * `/symbol/{TICKER}` and shows the index weight as a percentage in its
+ * own cell. Rows without a symbol link are skipped; the first row for a
+ * ticker wins.
+ *
+ * @param {string} html
+ * @returns {Array<{ticker: string, name: (string|undefined), weight: (number|null)}>}
+ */
+function parseComponentRows(html) {
+  const entries = [];
+  const rowRegex = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+  let row;
+  while ((row = rowRegex.exec(html)) !== null) {
+    const cells = row[1];
+    const link = /<a[^>]*href="\/symbol\/([A-Za-z\.]+)"[^>]*>([\s\S]*?)<\/a>/i.exec(cells);
+    if (!link) continue;
+    const name = textContent(link[2]);
+    const weight = />\s*([\d.]+)\s*%\s*</.exec(cells);
+    entries.push({
+      ticker: link[1],
+      name: name && name !== link[1] ? name : undefined,
+      weight: weight ? Number(weight[1]) : null
+    });
+  }
+  return entries;
+}
+
+/**
+ * Universe provider that scrapes the public S&P 500 components page on
+ * slickcharts. The page lists companies in order of index weight, so the
+ * first `limit` tickers are the largest constituents.
+ *
+ * @param {object} [options]
+ * @param {string} [options.url] Components page to scrape
+ * @param {number} [options.timeout] How long (ms) fetching the page may
+ *   take before it is aborted
+ * @returns {{name: string, getUniverse: function({limit?: number}=): Promise<Array<{ticker: string, name: (string|undefined), weight: (number|null)}>>, probe: function({timeout?: number}=): Promise<void>}}
+ */
+function createSlickchartsUniverseProvider({ url = DEFAULT_URL, timeout = DEFAULT_TIMEOUT } = {}) {
+  /**
+   * Fetch the HTML for the S&P 500 components page and extract up to
+   * `limit` constituents. Name and weight come from the components
+   * table (see parseComponentRows). If the table cannot be parsed, fall
+   * back to capturing bare tickers from `/symbol/{TICKER}` links.
+   * Duplicates are filtered to ensure each ticker appears once. A page
+   * that does not arrive within the timeout rejects.
+   *
+   * @param {{limit?: number}} [options]
+   * @returns {Promise<Array<{ticker: string, name: (string|undefined), weight: (number|null)}>>}
+   */
+  async function getUniverse({ limit = Infinity } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    let html;
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch tickers from ${url}: ${response.statusText}`);
+      }
+      html = await response.text();
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        throw new Error(`Failed to fetch tickers from ${url}: no response within ${timeout}ms`);
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+    let candidates = parseComponentRows(html);
+    if (candidates.length === 0) {
+      // Match all instances of /symbol/XYZ where XYZ contains letters or
+      // a period (e.g. "BRK.B"). This regex returns the ticker in the
+      // first capture group.
+      const regex = /\/symbol\/([A-Za-z\.]+)"/g;
+      let match;
+      while ((match = regex.exec(html)) !== null) {
+        candidates.push({ ticker: match[1], weight: null });
+      }
+    }
+    // The page contains the tickers more than once (in the company row
+    // and in a dropdown), so filter out duplicates.
+    const universe = [];
+    const seen = new Set();
+    for (const entry of candidates) {
+      if (universe.length >= limit) break;
+      if (!seen.has(entry.ticker)) {
+        seen.add(entry.ticker);
+        universe.push(entry);
+      }
+    }
+    return universe;
+  }
+
+  /**
+   * Check that the components page answers.
+   *
+   * @param {{timeout?: number}} [options]
+   * @returns {Promise<void>}
+   */
+  function probe({ timeout } = {}) {
+    return probeUrl(url, { timeout });
+  }
+
+  return { name: 'slickcharts', getUniverse, probe };
+}
+
+module.exports = { createSlickchartsUniverseProvider, parseComponentRows };
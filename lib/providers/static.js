@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, toNumber } = require('../csv');
+const { RANGES } = require('../ranges');
+
+/*
+ * Offline providers backed by CSV files on disk. They make it possible
+ * to run the whole app without network access or an API key, e.g. for
+ * development or demos. The files are re-read on every request so edits
+ * take effect without a restart.
+ */
+
+const SAMPLE_DIR = path.join(__dirname, '..', '..', 'data', 'sample');
+
+/**
+ * Universe provider reading a CSV with a `ticker` column and optional
+ * `name`, `sector` and `weight` columns. Rows keep their file order,
+ * which should be descending index weight.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] Path to the CSV file
+ * @returns {{name: string, getUniverse: function({limit?: number}=): Promise<Array<{ticker: string, name: (string|undefined), sector: (string|undefined), weight: (number|null)}>>, probe: function({timeout?: number}=): Promise<void>}}
+ */
+function createStaticUniverseProvider({ file = path.join(SAMPLE_DIR, 'universe.csv') } = {}) {
+  async function getUniverse({ limit = Infinity } = {}) {
+    const rows = parseCsv(await fs.promises.readFile(file, 'utf8'));
+    const seen = new Set();
+    const universe = [];
+    for (const row of rows) {
+      const ticker = (row.ticker || '').toUpperCase();
+      if (!ticker || seen.has(ticker)) continue;
+      seen.add(ticker);
+      universe.push({
+        ticker,
+        name: row.name || undefined,
+        sector: row.sector || undefined,
+        weight: toNumber(row.weight)
+      });
+      if (universe.length >= limit) break;
+    }
+    return universe;
+  }
+
+  /**
+   * @returns {Promise<void>} Rejects when the file cannot be read
+   */
+  function probe() {
+    return fs.promises.access(file, fs.constants.R_OK);
+  }
+
+  return { name: 'static', getUniverse, probe };
+}
+
+/**
+ * Price provider reading a CSV with a `ticker` and `price` column plus
+ * one column per range (`hour`, `day`, `week`, `month`, `year`) holding
+ * the percent change over that range, and optional `volume`,
+ * `market_cap`, `name` and `sector` columns. Tickers missing from the file are returned with
+ * null price and change.
+ *
+ * @param {object} [options]
+ * @param {string} [options.file] Path to the CSV file
+ * @returns {{name: string, configurationError: function(): (string|null), getQuotes: function(string[], string): Promise<Array<{ticker: string, price: (number|null), changePercent: (number|null)}>>, probe: function({timeout?: number}=): Promise<void>}}
+ */
+function createStaticPriceProvider({ file = path.join(SAMPLE_DIR, 'quotes.csv') } = {}) {
+  function configurationError() {
+    return fs.existsSync(file) ? null : `Static price file not found: ${file}`;
+  }
+
+  async function readRows() {
+    const rows = parseCsv(await fs.promises.readFile(file, 'utf8'));
+    return new Map(rows.map((row) => [(row.ticker || '').toUpperCase(), row]));
+  }
+
+  async function getQuotes(tickers, range) {
+    if (!RANGES[range]) {
+      throw new Error(`Unsupported range: ${range}`);
+    }
+    const byTicker = await readRows();
+    return tickers.map((ticker) => {
+      const row = byTicker.get(ticker.toUpperCase());
+      return {
+        ticker,
+        price: row ? toNumber(row.price) : null,
+        changePercent: row ? toNumber(row[range]) : null,
+        volume: row ? toNumber(row.volume) : null
+      };
+    });
+  }
+
+  async function getFundamentals(tickers) {
+    const byTicker = await readRows();
+    return Object.fromEntries(tickers.map((ticker) => {
+      const row = byTicker.get(ticker.toUpperCase());
+      return [ticker, {
+        marketCap: row ? toNumber(row.market_cap) : null,
+        name: (row && row.name) || null,
+        sector: (row && row.sector) || null
+      }];
+    }));
+  }
+
+  function probe() {
+    return fs.promises.access(file, fs.constants.R_OK);
+  }
+
+  return { name: 'static', configurationError, getQuotes, getFundamentals, probe };
+}
+
+module.exports = { createStaticUniverseProvider, createStaticPriceProvider };
@@ -0,0 +1,98 @@
+/*
+ * Time ranges shared by every data source. A range describes how far
+ * back the reference close lies; providers decide how to fetch a series
+ * that reaches that far and then hand it to computeChange().
+ *
+ *  - `hour` compares against the close roughly one hour before the
+ *    latest record (intraday data).
+ *  - `day` compares the two most recent records.
+ *  - `week`, `month` and `year` walk back from the latest close by the
+ *    given calendar offset and use the last close on or before that date.
+ *
+ * `cacheTtl` is how long (ms) a computed snapshot for the range stays
+ * fresh on the server. Short ranges move quickly; a year-over-year change
+ * barely moves within a few hours.
+ */
+const MINUTE = 60 * 1000;
+const RANGES = {
+  hour: { lookback: { minutes: 60 }, cacheTtl: MINUTE },
+  day: { lookback: null, cacheTtl: 5 * MINUTE },
+  week: { lookback: { days: 7 }, cacheTtl: 15 * MINUTE },
+  month: { lookback: { months: 1 }, cacheTtl: 60 * MINUTE },
+  year: { lookback: { years: 1 }, cacheTtl: 6 * 60 * MINUTE }
+};
+const DEFAULT_RANGE = 'day';
+
+/**
+ * Resolve the `?range` query parameter to a key of RANGES, defaulting to
+ * DEFAULT_RANGE when it is absent.
+ *
+ * @param {string|undefined} value
+ * @returns {string|null} The range, or null if it is not supported
+ */
+function parseRange(value) {
+  const range = value || DEFAULT_RANGE;
+  return Object.prototype.hasOwnProperty.call(RANGES, range) ? range : null;
+}
+
+/**
+ * Compute the timestamp the reference close must be on or before.
+ *
+ * @param {number} latestTime Timestamp of the latest record
+ * @param {{minutes?: number, days?: number, months?: number, years?: number}} lookback
+ * @returns {number}
+ */
+function referenceTime(latestTime, lookback) {
+  const date = new Date(latestTime);
+  if (lookback.minutes) date.setUTCMinutes(date.getUTCMinutes() - lookback.minutes);
+  if (lookback.days) date.setUTCDate(date.getUTCDate() - lookback.days);
+  if (lookback.months) date.setUTCMonth(date.getUTCMonth() - lookback.months);
+  if (lookback.years) date.setUTCFullYear(date.getUTCFullYear() - lookback.years);
+  return date.getTime();
+}
+
+/**
+ * Derive `{ price, changePercent, volume }` for a range from newest-first
+ * price records. The price is the latest close. The change is measured
+ * against the previous record for ranges without a lookback, otherwise
+ * against the last close on or before the reference time. If the series
+ * does not reach back that far, the oldest available close is used
+ * instead. The volume is the total traded in the records after the
+ * reference record (just the latest record for the day range), or null
+ * if the records carry no volume.
+ *
+ * For the day range the record's own `percentChange` is used as a
+ * fallback when no previous close is available, since upstreams report
+ * it relative to the previous close.
+ *
+ * @param {Array<{time: number, close: (number|null), percentChange: (number|null), volume?: (number|null)}>} records
+ * @param {string} range Key of RANGES
+ * @returns {{price: (number|null), changePercent: (number|null), volume: (number|null)}}
+ */
+function computeChange(records, range) {
+  if (records.length === 0) {
+    return { price: null, changePercent: null, volume: null };
+  }
+  const { lookback } = RANGES[range];
+  const latest = records[0];
+  let prev = null;
+  if (!lookback) {
+    prev = records.length > 1 ? records[1] : null;
+  } else if (records.length > 1) {
+    const cutoff = referenceTime(latest.time, lookback);
+    prev = records.find((record) => record.time <= cutoff) || records[records.length - 1];
+  }
+  const price = latest.close;
+  let changePercent = null;
+  if (prev && prev.close != null && prev.close !== 0 && latest.close != null) {
+    changePercent = ((latest.close - prev.close) / prev.close) * 100;
+  } else if (!lookback && latest.percentChange != null) {
+    changePercent = latest.percentChange;
+  }
+  const traded = prev ? records.slice(0, records.indexOf(prev)) : [latest];
+  const volumes = traded.map((record) => record.volume).filter((volume) => volume != null);
+  const volume = volumes.length > 0 ? volumes.reduce((sum, v) => sum + v, 0) : null;
+  return { price, changePercent, volume };
+}
+
+module.exports = { RANGES, DEFAULT_RANGE, parseRange, referenceTime, computeChange };
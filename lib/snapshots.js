@@ -0,0 +1,117 @@
+/*
+ * Recorded market snapshots for replaying how a day or week unfolded.
+ * Every time the server refreshes a market from upstream, the result is
+ * written to `{dir}/{market}/{range}/{fetchedAt}.json` as
+ * `{ fetchedAt, quotes }`. One file per snapshot keeps listing cheap (a
+ * directory read) and lets old snapshots be pruned one by one. Snapshots
+ * older than the retention period are deleted when a newer one for the
+ * same market and range is recorded.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { writeJsonAtomic } = require('./store');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a snapshot store.
+ *
+ * @param {object} options
+ * @param {string} options.dir Root directory of the recordings
+ * @param {number} [options.retention] How long (ms) snapshots are kept
+ * @param {function(): number} [options.now] Clock, injectable for tests
+ */
+function createSnapshotStore({ dir, retention = 7 * DAY, now = Date.now }) {
+  // Last fetchedAt recorded per market/range. Coalesced cache misses
+  // report the same snapshot to several callers; it is written once.
+  const lastRecorded = new Map();
+
+  function folder(market, range) {
+    return path.join(dir, market, range);
+  }
+
+  /**
+   * Timestamps of the snapshots on disk for a market and range, oldest
+   * first.
+   *
+   * @param {string} market
+   * @param {string} range
+   * @returns {Promise<number[]>}
+   */
+  async function timestamps(market, range) {
+    let names;
+    try {
+      names = await fs.readdir(folder(market, range));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return names
+      .map((name) => /^(\d+)\.json$/.exec(name))
+      .filter(Boolean)
+      .map((match) => Number(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  async function prune(market, range) {
+    const cutoff = now() - retention;
+    const expired = (await timestamps(market, range)).filter((time) => time < cutoff);
+    await Promise.all(expired.map((time) =>
+      fs.rm(path.join(folder(market, range), `${time}.json`), { force: true })));
+  }
+
+  /**
+   * Persist a refreshed snapshot, then prune expired ones.
+   *
+   * @param {string} market
+   * @param {string} range
+   * @param {number} fetchedAt
+   * @param {Array<object>} quotes
+   * @returns {Promise<void>}
+   */
+  async function record(market, range, fetchedAt, quotes) {
+    const key = `${market}:${range}`;
+    if (lastRecorded.get(key) >= fetchedAt) return;
+    lastRecorded.set(key, fetchedAt);
+    await writeJsonAtomic(path.join(folder(market, range), `${fetchedAt}.json`), { fetchedAt, quotes });
+    await prune(market, range);
+  }
+
+  /**
+   * Snapshots recorded for a market and range, oldest first, optionally
+   * limited to `from <= fetchedAt <= to`.
+   *
+   * @param {string} market
+   * @param {string} range
+   * @param {{from?: number, to?: number}} [bounds]
+   * @returns {Promise<Array<{fetchedAt: number}>>}
+   */
+  async function list(market, range, { from = -Infinity, to = Infinity } = {}) {
+    return (await timestamps(market, range))
+      .filter((time) => time >= from && time <= to)
+      .map((fetchedAt) => ({ fetchedAt }));
+  }
+
+  /**
+   * One recorded snapshot, or null if there is none at `fetchedAt`.
+   *
+   * @param {string} market
+   * @param {string} range
+   * @param {number} fetchedAt
+   * @returns {Promise<{fetchedAt: number, quotes: Array<object>}|null>}
+   */
+  async function get(market, range, fetchedAt) {
+    try {
+      const text = await fs.readFile(path.join(folder(market, range), `${fetchedAt}.json`), 'utf8');
+      return JSON.parse(text);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  return { record, list, get };
+}
+
+module.exports = { createSnapshotStore };
@@ -0,0 +1,92 @@
+/*
+ * Small JSON file store for server-side state that has to survive a
+ * restart (e.g. watchlists). The whole document is kept in memory and
+ * written back after every update. Writes go to a temporary file that
+ * is then renamed over the real one, so a crash mid-write never leaves
+ * a truncated file, and updates are applied one at a time so concurrent
+ * requests cannot overwrite each other's changes.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Write `data` as JSON to `file`, creating its directory. The text goes
+ * to a temporary file first and is renamed into place, so readers see
+ * either the old or the new content, never a partial write.
+ *
+ * @param {string} file
+ * @param {*} data
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+  await fs.rename(tmp, file);
+}
+
+/**
+ * Create a store backed by `file`.
+ *
+ * @param {object} options
+ * @param {string} options.file Path of the JSON file; created (with its
+ *   directory) on the first update
+ * @param {function(): *} options.initial Document to start from when the
+ *   file does not exist yet
+ * @returns {{read: function(): Promise<*>, update: function(function(*): *): Promise<*>}}
+ */
+function createJsonStore({ file, initial }) {
+  let loaded = null;
+  // Tail of the update queue.
+  let queue = Promise.resolve();
+
+  function load() {
+    if (!loaded) {
+      loaded = fs.readFile(file, 'utf8').then(
+        (text) => JSON.parse(text),
+        (err) => {
+          if (err.code === 'ENOENT') return initial();
+          throw err;
+        }
+      );
+      // A corrupt or unreadable file is retried on the next call rather
+      // than cached as a failure.
+      loaded.catch(() => { loaded = null; });
+    }
+    return loaded;
+  }
+
+  /**
+   * Resolve to the current document. Callers must not mutate it; use
+   * update() instead.
+   *
+   * @returns {Promise<*>}
+   */
+  function read() {
+    return load();
+  }
+
+  /**
+   * Apply `change` to the document and persist it. `change` receives the
+   * document and may mutate it; whatever it returns is passed through
+   * to the caller. If it throws, nothing is written.
+   *
+   * @param {function(*): *} change
+   * @returns {Promise<*>}
+   */
+  function update(change) {
+    const run = queue.then(async () => {
+      const doc = await load();
+      const result = change(doc);
+      await writeJsonAtomic(file, doc);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { read, update };
+}
+
+module.exports = { createJsonStore, writeJsonAtomic };
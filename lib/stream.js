@@ -0,0 +1,146 @@
+/*
+ * Server-Sent Events hub for live bubble updates. Clients subscribe to a
+ * topic (a market and range, optionally relative to a benchmark). While a topic has subscribers it is polled
+ * on a fixed tick through the same cached loader as the REST routes, so
+ * upstream traffic is still governed by the cache TTLs. Whenever the
+ * loader returns a snapshot fetched after the last one broadcast, the hub
+ * sends only the tickers whose quote changed.
+ *
+ * Events:
+ *  - `snapshot`: `{ fetchedAt, quotes }`, the full dataset, sent once on
+ *    subscribe
+ *  - `delta`: `{ fetchedAt, changes, removed }`, where `changes` holds
+ *    new or updated quotes and `removed` the tickers no longer present
+ *
+ * A comment line is written on every tick to keep proxies from closing
+ * idle connections.
+ */
+
+/**
+ * Shallow equality of two quotes.
+ *
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function sameQuote(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+}
+
+/**
+ * Compute the changes between two snapshots.
+ *
+ * @param {Array<{ticker: string, price: (number|null), changePercent: (number|null)}>} previous
+ * @param {Array<{ticker: string, price: (number|null), changePercent: (number|null)}>} next
+ * @returns {{changes: Array<object>, removed: string[]}}
+ */
+function diffQuotes(previous, next) {
+  const before = new Map(previous.map((quote) => [quote.ticker, quote]));
+  const changes = next.filter((quote) => {
+    const old = before.get(quote.ticker);
+    return !old || !sameQuote(old, quote);
+  });
+  const present = new Set(next.map((quote) => quote.ticker));
+  const removed = previous.filter((quote) => !present.has(quote.ticker)).map((quote) => quote.ticker);
+  return { changes, removed };
+}
+
+/**
+ * Write one SSE event.
+ *
+ * @param {import('http').ServerResponse} res
+ * @param {string} event
+ * @param {*} data Serialised as JSON
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Create a hub.
+ *
+ * @param {object} options
+ * @param {function(string, string, string): Promise<{value: Array<object>, fetchedAt: number}>} options.load
+ *   Cached loader for a market, range and benchmark ticker ('' for none)
+ * @param {number} [options.tick] Poll interval per topic (ms)
+ * @returns {{subscribe: function(string, string, import('express').Request, import('express').Response): Promise<void>, topicCount: function(): number}}
+ */
+function createStreamHub({ load, tick = 15000 }) {
+  const topics = new Map();
+
+  async function refresh(topic) {
+    if (topic.refreshing) return;
+    topic.refreshing = true;
+    try {
+      const result = await load(topic.market, topic.range, topic.relativeTo);
+      for (const res of topic.clients) res.write(': tick\n\n');
+      if (result.fetchedAt <= topic.fetchedAt) return;
+      const { changes, removed } = diffQuotes(topic.quotes, result.value);
+      topic.quotes = result.value;
+      topic.fetchedAt = result.fetchedAt;
+      if (changes.length === 0 && removed.length === 0) return;
+      for (const res of topic.clients) {
+        writeEvent(res, 'delta', { fetchedAt: result.fetchedAt, changes, removed });
+      }
+    } catch (err) {
+      console.error(`Stream refresh failed for ${topic.key}:`, err);
+    } finally {
+      topic.refreshing = false;
+    }
+  }
+
+  /**
+   * Attach a response as an SSE subscriber to `market`/`range`. Sends the
+   * current snapshot immediately and removes the subscriber (stopping
+   * the topic's poller when it was the last one) when the connection
+   * closes.
+   *
+   * @param {string} market
+   * @param {string} range
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {string} [relativeTo] Benchmark ticker, passed on to the
+   *   loader; each benchmark is a topic of its own
+   */
+  async function subscribe(market, range, req, res, relativeTo = '') {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const key = relativeTo ? `${market}:${range}:${relativeTo}` : `${market}:${range}`;
+    let topic = topics.get(key);
+    if (!topic) {
+      topic = { key, market, range, relativeTo, clients: new Set(), quotes: [], fetchedAt: -Infinity, refreshing: false };
+      topic.timer = setInterval(() => refresh(topic), tick);
+      topics.set(key, topic);
+    }
+    topic.clients.add(res);
+    req.on('close', () => {
+      topic.clients.delete(res);
+      if (topic.clients.size === 0) {
+        clearInterval(topic.timer);
+        topics.delete(key);
+      }
+    });
+    try {
+      const result = await load(market, range, relativeTo);
+      if (result.fetchedAt > topic.fetchedAt) {
+        topic.quotes = result.value;
+        topic.fetchedAt = result.fetchedAt;
+      }
+      writeEvent(res, 'snapshot', { fetchedAt: topic.fetchedAt, quotes: topic.quotes });
+    } catch (err) {
+      console.error(`Stream snapshot failed for ${key}:`, err);
+    }
+  }
+
+  function topicCount() {
+    return topics.size;
+  }
+
+  return { subscribe, topicCount };
+}
+
+module.exports = { createStreamHub, diffQuotes, writeEvent };
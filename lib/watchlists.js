@@ -0,0 +1,175 @@
+/*
+ * User-defined watchlists: named lists of stock tickers that the client
+ * can show instead of the S&P 500 universe. They are persisted in a JSON
+ * file through lib/store. Each watchlist looks like:
+ *
+ *   { id, name, tickers: ['AAPL', 'BRK.B'], createdAt, updatedAt }
+ *
+ * Tickers are stored upper-cased, in the order they were added, without
+ * duplicates.
+ */
+
+const crypto = require('crypto');
+const { createJsonStore } = require('./store');
+
+// Longest accepted watchlist name.
+const MAX_NAME_LENGTH = 60;
+// Most tickers a single watchlist may hold; each one costs a price call
+// per refresh.
+const MAX_TICKERS = 200;
+
+/**
+ * A rejected watchlist operation. `status` is the HTTP status the routes
+ * answer with: 400 for invalid input, 404 for an unknown watchlist.
+ */
+class WatchlistError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} message
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'WatchlistError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate and trim a watchlist name.
+ *
+ * @param {*} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new WatchlistError(400, 'Watchlist name is required.');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    throw new WatchlistError(400, `Watchlist name must be at most ${MAX_NAME_LENGTH} characters.`);
+  }
+  return name.trim();
+}
+
+/**
+ * Create a watchlist store.
+ *
+ * @param {object} options
+ * @param {string} options.file JSON file the watchlists are kept in
+ * @param {RegExp} options.tickerPattern Accepted ticker symbols
+ * @param {function(): number} [options.now] Clock, injectable for tests
+ */
+function createWatchlistStore({ file, tickerPattern, now = Date.now }) {
+  const store = createJsonStore({ file, initial: () => ({ watchlists: [] }) });
+
+  function normalizeTicker(ticker) {
+    if (typeof ticker !== 'string' || !tickerPattern.test(ticker.trim())) {
+      throw new WatchlistError(400, `Invalid ticker "${ticker}".`);
+    }
+    return ticker.trim().toUpperCase();
+  }
+
+  function normalizeTickers(tickers) {
+    if (!Array.isArray(tickers)) {
+      throw new WatchlistError(400, 'Tickers must be an array.');
+    }
+    const unique = [...new Set(tickers.map(normalizeTicker))];
+    if (unique.length > MAX_TICKERS) {
+      throw new WatchlistError(400, `A watchlist holds at most ${MAX_TICKERS} tickers.`);
+    }
+    return unique;
+  }
+
+  function find(doc, id) {
+    const watchlist = doc.watchlists.find((item) => item.id === id);
+    if (!watchlist) throw new WatchlistError(404, `Unknown watchlist "${id}".`);
+    return watchlist;
+  }
+
+  /**
+   * Apply `change` to watchlist `id` and bump its `updatedAt`.
+   *
+   * @param {string} id
+   * @param {function(object): void} change
+   * @returns {Promise<object>} The updated watchlist
+   */
+  function modify(id, change) {
+    return store.update((doc) => {
+      const watchlist = find(doc, id);
+      change(watchlist);
+      watchlist.updatedAt = new Date(now()).toISOString();
+      return { ...watchlist };
+    });
+  }
+
+  async function list() {
+    const doc = await store.read();
+    return doc.watchlists.map((watchlist) => ({ ...watchlist }));
+  }
+
+  async function get(id) {
+    return { ...find(await store.read(), id) };
+  }
+
+  /**
+   * @param {{name: string, tickers?: string[]}} input
+   * @returns {Promise<object>} The new watchlist
+   */
+  function create({ name, tickers = [] } = {}) {
+    const watchlist = {
+      id: crypto.randomUUID(),
+      name: normalizeName(name),
+      tickers: normalizeTickers(tickers),
+      createdAt: new Date(now()).toISOString()
+    };
+    watchlist.updatedAt = watchlist.createdAt;
+    return store.update((doc) => {
+      doc.watchlists.push(watchlist);
+      return { ...watchlist };
+    });
+  }
+
+  /**
+   * Rename a watchlist and/or replace its tickers.
+   *
+   * @param {string} id
+   * @param {{name?: string, tickers?: string[]}} changes
+   * @returns {Promise<object>}
+   */
+  function update(id, { name, tickers } = {}) {
+    const nextName = name === undefined ? undefined : normalizeName(name);
+    const nextTickers = tickers === undefined ? undefined : normalizeTickers(tickers);
+    return modify(id, (watchlist) => {
+      if (nextName !== undefined) watchlist.name = nextName;
+      if (nextTickers !== undefined) watchlist.tickers = nextTickers;
+    });
+  }
+
+  function remove(id) {
+    return store.update((doc) => {
+      find(doc, id);
+      doc.watchlists = doc.watchlists.filter((item) => item.id !== id);
+    });
+  }
+
+  function addTicker(id, ticker) {
+    const symbol = normalizeTicker(ticker);
+    return modify(id, (watchlist) => {
+      if (watchlist.tickers.includes(symbol)) return;
+      if (watchlist.tickers.length >= MAX_TICKERS) {
+        throw new WatchlistError(400, `A watchlist holds at most ${MAX_TICKERS} tickers.`);
+      }
+      watchlist.tickers = [...watchlist.tickers, symbol];
+    });
+  }
+
+  function removeTicker(id, ticker) {
+    const symbol = normalizeTicker(ticker);
+    return modify(id, (watchlist) => {
+      watchlist.tickers = watchlist.tickers.filter((item) => item !== symbol);
+    });
+  }
+
+  return { list, get, create, update, remove, addTicker, removeTicker };
+}
+
+module.exports = { createWatchlistStore, WatchlistError };
@@ -0,0 +1,180 @@
+    /**
+     * Alerts: the panel behind the "Alerts" button manages the rules
+     * stored on the server (`/api/alerts/rules`) and lists recent alerts.
+     * Alerts fired by the server arrive over `/api/alerts/stream` and are
+     * shown as a toast, as a browser notification when the user allowed
+     * them, and by flashing the matching bubble if it is on screen.
+     */
+
+    import { field, streamMarket } from './app.js';
+
+    (function initAlerts() {
+      const toggle = document.getElementById('alerts-toggle');
+      const panel = document.getElementById('alerts-panel');
+      const form = panel.querySelector('.alerts-form');
+      const statusEl = panel.querySelector('.alerts-status');
+      const notifyButton = panel.querySelector('.alerts-notify');
+      const rulesEl = panel.querySelector('.alerts-rules');
+      const eventsEl = panel.querySelector('.alerts-events');
+      const toasts = document.getElementById('toasts');
+      // How long (ms) a toast stays up, and how many recent alerts the
+      // panel lists.
+      const toastDuration = 8000;
+      const maxEvents = 20;
+      const marketLabels = { sp500: 'Stocks', crypto: 'Crypto' };
+      let events = [];
+
+      /**
+       * Call the alerts API and resolve to the parsed JSON body (or null
+       * for 204). Rejects with the server's error message.
+       * @param {string} method
+       * @param {string} path Relative to /api/alerts
+       * @param {object} [body]
+       * @returns {Promise<*>}
+       */
+      async function api(method, path, body) {
+        const response = await fetch('/api/alerts' + path, {
+          method: method,
+          headers: body ? { 'Content-Type': 'application/json' } : undefined,
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+          throw new Error((data && data.error) || 'Alert request failed');
+        }
+        return data;
+      }
+
+      function describeRule(rule) {
+        const subject = rule.ticker || 'Any ticker';
+        const condition = rule.type === 'price_below' ? 'below $' + rule.threshold
+          : rule.type === 'price_above' ? 'above $' + rule.threshold
+            : 'moves > ' + rule.threshold + '%';
+        return subject + ' ' + condition + ' (' + marketLabels[rule.market] + ', ' + rule.range + ')';
+      }
+
+      function renderRules(rules) {
+        rulesEl.innerHTML = '';
+        if (rules.length === 0) {
+          const empty = document.createElement('li');
+          empty.textContent = 'No rules yet.';
+          rulesEl.appendChild(empty);
+        }
+        for (const rule of rules) {
+          const item = document.createElement('li');
+          item.textContent = describeRule(rule);
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.textContent = '×';
+          remove.setAttribute('aria-label', 'Delete rule');
+          remove.addEventListener('click', () => run(async () => {
+            await api('DELETE', '/rules/' + encodeURIComponent(rule.id));
+            await loadRules();
+          }));
+          item.appendChild(remove);
+          rulesEl.appendChild(item);
+        }
+      }
+
+      function renderEvents() {
+        eventsEl.innerHTML = '';
+        for (const event of events) {
+          const item = document.createElement('li');
+          item.textContent = event.message;
+          const time = document.createElement('time');
+          time.dateTime = event.firedAt;
+          time.textContent = new Date(event.firedAt).toLocaleTimeString();
+          item.appendChild(time);
+          eventsEl.appendChild(item);
+        }
+      }
+
+      async function loadRules() {
+        renderRules(await api('GET', '/rules'));
+      }
+
+      async function loadEvents() {
+        events = (await api('GET', '/events')).slice(0, maxEvents);
+        renderEvents();
+      }
+
+      /**
+       * Run an action, showing its error in the panel instead of throwing.
+       * @param {function(): Promise<void>} action
+       */
+      function run(action) {
+        statusEl.textContent = '';
+        action().catch((err) => {
+          console.error(err);
+          statusEl.textContent = err.message;
+        });
+      }
+
+      function showToast(message) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.setAttribute('role', 'status');
+        toast.textContent = message;
+        toast.addEventListener('click', () => toast.remove());
+        toasts.appendChild(toast);
+        setTimeout(() => toast.remove(), toastDuration);
+      }
+
+      /**
+       * Deliver an alert pushed by the server.
+       * @param {object} event
+       */
+      function deliver(event) {
+        events = [event].concat(events).slice(0, maxEvents);
+        renderEvents();
+        showToast(event.message);
+        if (window.Notification && Notification.permission === 'granted') {
+          new Notification('Bubble alert', { body: event.message, tag: event.id });
+        }
+        // Only a bubble of the market the alert is about: another market
+        // may show the same ticker for something else.
+        if (event.ticker && event.market === streamMarket() && field.findBubble(event.ticker)) {
+          field.flash(event.ticker);
+        }
+      }
+
+      function updateNotifyButton() {
+        const supported = !!window.Notification;
+        notifyButton.hidden = !supported || Notification.permission !== 'default';
+      }
+
+      toggle.addEventListener('click', function () {
+        panel.hidden = !panel.hidden;
+        if (!panel.hidden) run(() => Promise.all([loadRules(), loadEvents()]));
+      });
+      panel.querySelector('.alerts-close').addEventListener('click', function () {
+        panel.hidden = true;
+      });
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        const ticker = form.elements.ticker.value.trim();
+        run(async () => {
+          await api('POST', '/rules', {
+            type: form.elements.type.value,
+            ticker: ticker || null,
+            threshold: Number(form.elements.threshold.value),
+            market: form.elements.market.value,
+            range: form.elements.range.value
+          });
+          form.elements.ticker.value = '';
+          form.elements.threshold.value = '';
+          await loadRules();
+        });
+      });
+      notifyButton.addEventListener('click', function () {
+        Notification.requestPermission().then(updateNotifyButton);
+      });
+      updateNotifyButton();
+
+      if (typeof window.EventSource !== 'undefined') {
+        const stream = new EventSource('/api/alerts/stream');
+        stream.addEventListener('alert', function (e) {
+          deliver(JSON.parse(e.data));
+        });
+      }
+    })();
@@ -0,0 +1,397 @@
+    /**
+     * The page's bubble field and the view state around it: the market
+     * selected in the primary tabs (AI Stocks, AI Crypto, Watchlists and
+     * Portfolio),
+     * the range selected in the secondary tabs (Hour to Year) and the
+     * watchlist shown by the watchlist tab. The view toggle next to the
+     * tabs shows the same data as bubbles or as a treemap (see the
+     * field's setViewMode). The data can be shown relative to a
+     * benchmark such as SPY, coloured by each ticker's own change or by
+     * its excess return (see the field's setRelativeTo and setColorBy).
+     * The portfolio tab starts sized by position value and coloured by
+     * the dollars each position moved (see portfolio.js for its bar).
+     * The colour palette and high-contrast mode
+     * are remembered per browser rather than put in links, since they
+     * suit the viewer, not the view. The field itself is created
+     * with createBubbleField() (see field/bubble-field.js); the other page
+     * scripts import it and the state from here.
+     */
+
+    import { createBubbleField, TREEMAP_METRICS, PALETTES } from './field/bubble-field.js';
+    import { snapshotPath } from './field/data-client.js';
+
+    const container = document.getElementById('bubble-container');
+
+    // Server market for each primary tab. The watchlist tab is not listed:
+    // it shows the watchlist selected with setWatchlist() (see
+    // watchlists.js) as the `watchlist:{id}` market.
+    export const MARKETS = {
+      stocks: 'sp500',
+      crypto: 'crypto',
+      portfolio: 'portfolio'
+    };
+    // Ranges offered by the secondary tabs.
+    export const RANGES = ['hour', 'day', 'week', 'month', 'year'];
+    // Query parameters written by viewParams().
+    export const VIEW_PARAMS = ['watchlist', 'view', 'size', 'layout', 'relativeTo', 'color', 'sector', 'direction', 'minChange', 'pins'];
+    // Benchmark tickers a link may name, as the server accepts them.
+    const BENCHMARK_PATTERN = /^[A-Za-z0-9.\-]{1,20}$/;
+
+    // The market currently selected in the primary tabs.
+    export let currentMarket = 'stocks';
+    // Id of the watchlist shown by the watchlist tab, or null if there
+    // is none yet.
+    export let currentWatchlist = null;
+    // The range currently selected in the secondary tabs.
+    export let currentRange = 'day';
+
+    /**
+     * The server's name for what the field currently shows, e.g. `sp500`
+     * or `watchlist:{id}`, or null on the watchlist tab with no watchlist.
+     * @returns {string|null}
+     */
+    export function streamMarket() {
+      if (currentMarket !== 'watchlist') return MARKETS[currentMarket];
+      return currentWatchlist ? 'watchlist:' + currentWatchlist : null;
+    }
+
+    /**
+     * Endpoint serving the snapshot for the current market or watchlist.
+     * @returns {string}
+     */
+    export function snapshotEndpoint() {
+      return snapshotPath(streamMarket());
+    }
+
+    /**
+     * Whether `name` is one of the primary tabs.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    export function isMarketTab(name) {
+      return name === 'watchlist' || Object.prototype.hasOwnProperty.call(MARKETS, name);
+    }
+
+    /**
+     * Path of the current view: the primary tab followed by the range,
+     * e.g. `/stocks/week` or `/crypto/day`. See readRoute().
+     * @returns {string}
+     */
+    export function viewPath() {
+      return '/' + currentMarket + '/' + currentRange;
+    }
+
+    /**
+     * Parse a path built by viewPath(). A missing or unknown tab or range
+     * comes back as null.
+     * @param {string} pathname
+     * @returns {{market: (string|null), range: (string|null)}}
+     */
+    export function readRoute(pathname) {
+      const [market, range] = pathname.split('/').filter(Boolean);
+      return {
+        market: isMarketTab(market) ? market : null,
+        range: RANGES.includes(range) ? range : null
+      };
+    }
+
+    /**
+     * The size metric and colour measure a primary tab starts with: the
+     * portfolio shows its positions, the other tabs each ticker's change.
+     * viewParams() leaves these out of links.
+     * @param {string} market A primary tab
+     * @returns {{sizeMetric: string, colorBy: string}}
+     */
+    function tabDefaults(market) {
+      return market === 'portfolio'
+        ? { sizeMetric: 'positionValue', colorBy: 'positionChange' }
+        : { sizeMetric: 'change', colorBy: 'change' };
+    }
+
+    /**
+     * Restore a view from a page URL: the tab and range from its path
+     * (see viewPath) and the rest from query parameters encoded by
+     * viewParams(). Unknown or malformed values are ignored and keep
+     * their defaults. Called once to build the field's options; the
+     * controls pick the restored state up as they initialise.
+     * @param {Location} location
+     * @returns {object} Options for createBubbleField()
+     */
+    function applyViewUrl(location) {
+      const route = readRoute(location.pathname);
+      if (route.market) currentMarket = route.market;
+      if (route.range) currentRange = route.range;
+      const params = new URLSearchParams(location.search);
+      if (params.get('watchlist')) currentWatchlist = params.get('watchlist');
+      const filters = {};
+      if (params.get('sector')) filters.sector = params.get('sector');
+      if (['all', 'gainers', 'losers'].includes(params.get('direction'))) filters.direction = params.get('direction');
+      const minChange = parseFloat(params.get('minChange'));
+      if (isFinite(minChange) && minChange > 0) filters.minChange = minChange;
+      const pins = [];
+      for (const pin of (params.get('pins') || '').split(',')) {
+        const [ticker, fx, fy] = pin.split(':');
+        const x = parseFloat(fx);
+        const y = parseFloat(fy);
+        if (!ticker || !(x >= 0 && x <= 1) || !(y >= 0 && y <= 1)) continue;
+        pins.push({ ticker: ticker.toUpperCase(), fx: x, fy: y });
+      }
+      return {
+        market: streamMarket(),
+        range: currentRange,
+        renderer: params.get('renderer'),
+        viewMode: params.get('view'),
+        sizeMetric: params.get('size') || tabDefaults(currentMarket).sizeMetric,
+        layoutMode: params.get('layout'),
+        relativeTo: BENCHMARK_PATTERN.test(params.get('relativeTo') || '') ? params.get('relativeTo') : '',
+        colorBy: params.get('color') || tabDefaults(currentMarket).colorBy,
+        filters: filters,
+        pins: pins
+      };
+    }
+
+    // Where the colour scheme is remembered.
+    const paletteKey = 'bubbles.palette';
+    const highContrastKey = 'bubbles.highContrast';
+
+    /**
+     * The colour scheme this browser last used. High contrast defaults to
+     * the system's contrast preference.
+     * @returns {{palette: (string|null), highContrast: boolean}}
+     */
+    function storedColorScheme() {
+      const highContrast = localStorage.getItem(highContrastKey);
+      return {
+        palette: localStorage.getItem(paletteKey),
+        highContrast: highContrast !== null
+          ? highContrast === 'true'
+          : !!(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches)
+      };
+    }
+
+    // The page's field, restoring a shared link's view in this browser's
+    // colours.
+    export const field = createBubbleField(container, { ...applyViewUrl(window.location), ...storedColorScheme() });
+
+    /**
+     * Encode the current view as query parameters for a shareable link,
+     * to go with viewPath(): the watchlist, view, size metric, layout
+     * mode, benchmark and colour measure, the active filters and the pinned bubbles as
+     * `pins=TICKER:x:y,...` (see the field's pins()). Defaults are left
+     * out.
+     * @returns {URLSearchParams}
+     */
+    export function viewParams() {
+      const { viewMode, sizeMetric, layoutMode, relativeTo, colorBy, filters } = field.settings();
+      const defaults = tabDefaults(currentMarket);
+      const params = new URLSearchParams();
+      if (currentMarket === 'watchlist' && currentWatchlist) params.set('watchlist', currentWatchlist);
+      if (viewMode !== 'bubbles') params.set('view', viewMode);
+      if (sizeMetric !== defaults.sizeMetric) params.set('size', sizeMetric);
+      if (layoutMode !== 'free') params.set('layout', layoutMode);
+      if (relativeTo) params.set('relativeTo', relativeTo);
+      if (colorBy !== defaults.colorBy) params.set('color', colorBy);
+      if (filters.sector) params.set('sector', filters.sector);
+      if (filters.direction !== 'all') params.set('direction', filters.direction);
+      if (filters.minChange > 0) params.set('minChange', String(filters.minChange));
+      const pins = field.pins().map((pin) => pin.ticker + ':' + pin.fx.toFixed(3) + ':' + pin.fy.toFixed(3));
+      if (pins.length > 0) params.set('pins', pins.join(','));
+      return params;
+    }
+
+    /**
+     * Tell the rest of the page (e.g. the router and the watchlist bar)
+     * that the tab, range or watchlist changed, with a `viewchange`
+     * event on the container.
+     */
+    function notifyViewChange() {
+      container.dispatchEvent(new CustomEvent('viewchange', {
+        detail: { market: currentMarket, range: currentRange, watchlist: currentWatchlist }
+      }));
+    }
+
+    /**
+     * Highlight the tabs matching the current market and range.
+     */
+    function syncTabs() {
+      document.querySelectorAll('#primary-tabs .tab').forEach((tab) => {
+        tab.classList.toggle('active', tab.dataset.tab === currentMarket);
+      });
+      document.querySelectorAll('#secondary-tabs .sub-tab').forEach((tab) => {
+        tab.classList.toggle('active', tab.dataset.range === currentRange);
+      });
+    }
+
+    /**
+     * Switch to another primary tab and/or range, as the tabs and the
+     * browser's back and forward buttons do. Unknown values keep the
+     * current one. The data is reloaded if anything changed.
+     * @param {string} market
+     * @param {string} range
+     */
+    export function setView(market, range) {
+      const nextMarket = isMarketTab(market) ? market : currentMarket;
+      const nextRange = RANGES.includes(range) ? range : currentRange;
+      if (nextMarket === currentMarket && nextRange === currentRange) return;
+      currentMarket = nextMarket;
+      currentRange = nextRange;
+      syncTabs();
+      field.setSource(streamMarket(), currentRange);
+      notifyViewChange();
+    }
+
+    /**
+     * Select the watchlist shown by the watchlist tab and reload it if
+     * that tab is active. Also called after the shown watchlist was
+     * edited, so the field picks up added and removed tickers.
+     * @param {string|null} id
+     */
+    export function setWatchlist(id) {
+      const changed = id !== currentWatchlist;
+      currentWatchlist = id;
+      if (currentMarket === 'watchlist') field.setSource(streamMarket(), currentRange);
+      if (changed) notifyViewChange();
+    }
+
+    /**
+     * Select a ticker as if its bubble had been clicked, e.g. when a page
+     * URL names one: its details open (through the same `bubbleclick`
+     * event) and its bubble, if shown, is highlighted. Passing null
+     * clears the selection, which closes the details.
+     * @param {string|null} ticker
+     */
+    export function selectTicker(ticker) {
+      field.select(ticker);
+    }
+
+    (function initTabs() {
+      // Match the highlighted tabs to the state, which the page URL may
+      // have restored.
+      syncTabs();
+      document.querySelectorAll('#primary-tabs .tab').forEach((tab) => {
+        tab.addEventListener('click', function () {
+          setView(this.dataset.tab, currentRange);
+        });
+      });
+      document.querySelectorAll('#secondary-tabs .sub-tab').forEach((tab) => {
+        tab.addEventListener('click', function () {
+          setView(currentMarket, this.dataset.range);
+        });
+      });
+      // The size metric only changes how the loaded data is drawn, so no
+      // reload is needed.
+      const sizeSelect = document.getElementById('size-metric');
+      sizeSelect.value = field.settings().sizeMetric;
+      sizeSelect.addEventListener('change', function () {
+        field.setSizeMetric(this.value);
+      });
+      // Likewise for the layout mode.
+      const layoutSelect = document.getElementById('layout-mode');
+      layoutSelect.value = field.settings().layoutMode;
+      layoutSelect.addEventListener('change', function () {
+        field.setLayoutMode(this.value);
+      });
+
+      // The colour measure too. The benchmark does need a reload, since
+      // the server works out the excess returns.
+      const relativeSelect = document.getElementById('relative-to');
+      const colorBySelect = document.getElementById('color-by');
+      const { relativeTo, colorBy } = field.settings();
+      // A link may name a benchmark the list does not offer.
+      if (![...relativeSelect.options].some((option) => option.value === relativeTo)) {
+        relativeSelect.add(new Option(relativeTo, relativeTo));
+      }
+      relativeSelect.value = relativeTo;
+      colorBySelect.value = colorBy;
+      colorBySelect.addEventListener('change', function () {
+        field.setColorBy(this.value);
+      });
+
+      // And for the view: the treemap reuses the loaded data. It has no
+      // layout modes and only sizes by the metrics that add up (weight
+      // and market cap), so the other controls follow the view. Without
+      // a benchmark there is no excess return to size or colour by, and
+      // outside the portfolio no position.
+      const viewButtons = document.querySelectorAll('#view-toggle [data-view]');
+      function syncViewControls() {
+        const treemap = field.settings().viewMode === 'treemap';
+        const relative = !!field.settings().relativeTo;
+        const portfolio = currentMarket === 'portfolio';
+        viewButtons.forEach((button) => {
+          button.setAttribute('aria-pressed', String(button.dataset.view === field.settings().viewMode));
+        });
+        layoutSelect.disabled = treemap;
+        colorBySelect.disabled = !relative && !portfolio;
+        for (const option of colorBySelect.options) {
+          option.disabled = (option.value === 'excess' && !relative) || (option.value === 'positionChange' && !portfolio);
+        }
+        if (colorBySelect.selectedOptions[0].disabled) {
+          colorBySelect.value = 'change';
+          field.setColorBy('change');
+        }
+        for (const option of sizeSelect.options) {
+          option.disabled = (treemap && !TREEMAP_METRICS.includes(option.value)) ||
+            (option.value === 'excess' && !relative) ||
+            (option.value === 'positionValue' && !portfolio);
+        }
+        if (sizeSelect.selectedOptions[0].disabled) {
+          sizeSelect.value = treemap ? TREEMAP_METRICS[0] : 'change';
+          field.setSizeMetric(sizeSelect.value);
+        }
+      }
+      syncViewControls();
+      viewButtons.forEach((button) => {
+        button.addEventListener('click', function () {
+          field.setViewMode(this.dataset.view);
+          syncViewControls();
+        });
+      });
+      // Switching to a benchmark colours by the excess return, which is
+      // what it is for; switching back colours as the tab starts again.
+      relativeSelect.addEventListener('change', function () {
+        colorBySelect.value = this.value ? 'excess' : tabDefaults(currentMarket).colorBy;
+        field.setColorBy(colorBySelect.value);
+        field.setRelativeTo(this.value);
+        syncViewControls();
+      });
+      // Entering the portfolio sizes and colours by the positions, and
+      // leaving it drops them (see syncViewControls). Other tab switches
+      // keep what the viewer chose.
+      let wasPortfolio = currentMarket === 'portfolio';
+      container.addEventListener('viewchange', function (e) {
+        const portfolio = e.detail.market === 'portfolio';
+        if (portfolio && !wasPortfolio) {
+          const defaults = tabDefaults('portfolio');
+          sizeSelect.value = defaults.sizeMetric;
+          field.setSizeMetric(defaults.sizeMetric);
+          if (!field.settings().relativeTo) {
+            colorBySelect.value = defaults.colorBy;
+            field.setColorBy(defaults.colorBy);
+          }
+        }
+        wasPortfolio = portfolio;
+        syncViewControls();
+      });
+    })();
+
+    (function initColors() {
+      const paletteSelect = document.getElementById('color-palette');
+      const highContrastInput = document.getElementById('high-contrast');
+      for (const [name, palette] of Object.entries(PALETTES)) {
+        paletteSelect.add(new Option(palette.label, name));
+      }
+      const { palette, highContrast } = field.settings();
+      paletteSelect.value = palette;
+      highContrastInput.checked = highContrast;
+      // The page's own colours follow the field into high contrast.
+      document.body.classList.toggle('high-contrast', highContrast);
+      paletteSelect.addEventListener('change', function () {
+        field.setColorScheme({ palette: this.value });
+        localStorage.setItem(paletteKey, this.value);
+      });
+      highContrastInput.addEventListener('change', function () {
+        field.setColorScheme({ highContrast: this.checked });
+        document.body.classList.toggle('high-contrast', this.checked);
+        localStorage.setItem(highContrastKey, String(this.checked));
+      });
+    })();
@@ -0,0 +1,141 @@
+    /**
+     * Detail panel for a single ticker. Opens when a bubble is clicked
+     * (the `bubbleclick` event dispatched by the field) and shows the
+     * company name, last price, the change over every range and a
+     * sparkline of recent closes from `/api/history/:ticker`. The panel
+     * also pins the bubble in place (see togglePin in field/bubble-field.js).
+     */
+
+    import { field, selectTicker } from './app.js';
+    import { formatPrice } from './field/format.js';
+
+    (function initDetailPanel() {
+      const container = document.getElementById('bubble-container');
+      const panel = document.getElementById('detail-panel');
+      const nameEl = panel.querySelector('.detail-name');
+      const tickerEl = panel.querySelector('.detail-ticker');
+      const priceEl = panel.querySelector('.detail-price');
+      const changesEl = panel.querySelector('.detail-changes');
+      const sparklineEl = panel.querySelector('.detail-sparkline');
+      const statusEl = panel.querySelector('.detail-status');
+      const pinButton = panel.querySelector('.detail-pin');
+      const rangeLabels = { hour: 'Hour', day: 'Day', week: 'Week', month: 'Month', year: 'Year' };
+      // Incremented on every open so a slow response for a previously
+      // clicked ticker does not overwrite the current one.
+      let requestGeneration = 0;
+      // Ticker shown in the panel.
+      let currentTicker = null;
+
+      function formatChange(changePercent) {
+        if (changePercent == null || !isFinite(changePercent)) return '–';
+        return (changePercent > 0 ? '+' : '') + changePercent.toFixed(2) + '%';
+      }
+
+      /**
+       * Draw the closes as an SVG polyline scaled to the sparkline's
+       * viewBox. The line is green when the series ends above where it
+       * started and red otherwise.
+       * @param {Array<{time: number, close: number}>} points
+       */
+      function renderSparkline(points) {
+        const width = 260;
+        const height = 60;
+        sparklineEl.innerHTML = '';
+        if (points.length < 2) {
+          statusEl.textContent = 'No price history available.';
+          return;
+        }
+        const closes = points.map((p) => p.close);
+        const min = Math.min(...closes);
+        const max = Math.max(...closes);
+        const span = max - min || 1;
+        const coords = closes.map((close, i) => {
+          const x = (i / (closes.length - 1)) * width;
+          const y = height - 2 - ((close - min) / span) * (height - 4);
+          return x.toFixed(1) + ',' + y.toFixed(1);
+        });
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+        line.setAttribute('points', coords.join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke-width', '2');
+        line.setAttribute('stroke', closes[closes.length - 1] >= closes[0] ? 'hsl(120, 70%, 55%)' : 'hsl(0, 70%, 60%)');
+        sparklineEl.appendChild(line);
+      }
+
+      function renderChanges(changes, activeRange) {
+        changesEl.innerHTML = '';
+        Object.keys(rangeLabels).forEach((range) => {
+          const change = changes[range] ? changes[range].changePercent : null;
+          const row = document.createElement('li');
+          row.className = range === activeRange ? 'active' : '';
+          const label = document.createElement('span');
+          label.textContent = rangeLabels[range];
+          const value = document.createElement('span');
+          value.textContent = formatChange(change);
+          value.className = change > 0 ? 'up' : change < 0 ? 'down' : '';
+          row.appendChild(label);
+          row.appendChild(value);
+          changesEl.appendChild(row);
+        });
+      }
+
+      /**
+       * Open the panel for a ticker and load its details.
+       * @param {{ticker: string, market: string, range: string}} detail
+       */
+      async function open(detail) {
+        const generation = ++requestGeneration;
+        currentTicker = detail.ticker;
+        const bubble = field.findBubble(detail.ticker);
+        renderPin(!!(bubble && bubble.pinned));
+        panel.hidden = false;
+        tickerEl.textContent = detail.ticker;
+        nameEl.textContent = detail.ticker;
+        priceEl.textContent = '–';
+        changesEl.innerHTML = '';
+        sparklineEl.innerHTML = '';
+        statusEl.textContent = 'Loading…';
+        try {
+          const response = await fetch(
+            '/api/history/' + encodeURIComponent(detail.ticker) +
+            '?market=' + encodeURIComponent(detail.market) +
+            '&range=' + encodeURIComponent(detail.range)
+          );
+          if (!response.ok) {
+            throw new Error('Failed to fetch history for ' + detail.ticker);
+          }
+          const data = await response.json();
+          if (generation !== requestGeneration) return;
+          statusEl.textContent = '';
+          nameEl.textContent = data.name || detail.ticker;
+          priceEl.textContent = formatPrice(data.price);
+          renderChanges(data.changes || {}, detail.range);
+          renderSparkline(Array.isArray(data.points) ? data.points : []);
+        } catch (err) {
+          console.error(err);
+          if (generation === requestGeneration) {
+            statusEl.textContent = 'Could not load details.';
+          }
+        }
+      }
+
+      function renderPin(pinned) {
+        pinButton.textContent = pinned ? 'Unpin bubble' : 'Pin bubble';
+        pinButton.setAttribute('aria-pressed', String(pinned));
+      }
+
+      function close() {
+        requestGeneration++;
+        panel.hidden = true;
+      }
+
+      container.addEventListener('bubbleclick', (e) => open(e.detail));
+      container.addEventListener('bubbleunselect', close);
+      // Closing goes through selectTicker() so the URL follows (see
+      // router.js).
+      panel.querySelector('.detail-close').addEventListener('click', () => selectTicker(null));
+      pinButton.addEventListener('click', () => renderPin(field.togglePin(currentTicker)));
+      window.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !panel.hidden) selectTicker(null);
+      });
+    })();
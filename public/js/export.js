@@ -0,0 +1,92 @@
+    /**
+     * Export menu: downloads the dataset shown in the field as CSV or
+     * JSON (from the server's `.csv`/`.json` routes for the current
+     * market, range and benchmark), saves the field (bubbles or treemap) as a PNG
+     * image and copies a link that restores the current view, pinned
+     * bubbles included (see viewParams in app.js).
+     */
+
+    import { field, currentMarket, currentRange, currentWatchlist, snapshotEndpoint, viewParams, viewPath } from './app.js';
+
+    (function initExport() {
+      const menu = document.getElementById('export-menu');
+      const statusEl = menu.querySelector('.export-status');
+      // Page background, painted behind the bubbles in the image.
+      const imageBackground = '#0d0f23';
+
+      /**
+       * Start a download of `url`, saved as `filename` when given (the
+       * server names its own exports).
+       * @param {string} url
+       * @param {string} [filename]
+       */
+      function download(url, filename) {
+        const link = document.createElement('a');
+        link.href = url;
+        if (filename) link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+      }
+
+      function exportData(format) {
+        if (currentMarket === 'watchlist' && !currentWatchlist) {
+          statusEl.textContent = 'Select a watchlist first.';
+          return;
+        }
+        const { relativeTo } = field.settings();
+        download(
+          snapshotEndpoint() + '.' + format + '?range=' + encodeURIComponent(currentRange) +
+          (relativeTo ? '&relativeTo=' + encodeURIComponent(relativeTo) : '')
+        );
+      }
+
+      function exportImage() {
+        const canvas = field.image(imageBackground);
+        canvas.toBlob((blob) => {
+          if (!blob) {
+            statusEl.textContent = 'Could not create the image.';
+            return;
+          }
+          const url = URL.createObjectURL(blob);
+          const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+          download(url, field.settings().viewMode + '-' + currentMarket + '-' + currentRange + '-' + stamp + '.png');
+          setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }, 'image/png');
+      }
+
+      /**
+       * Copy a link restoring the current view. Browsers without
+       * clipboard access (or insecure origins) get a prompt to copy it
+       * from instead.
+       */
+      async function copyLink() {
+        const url = window.location.origin + viewPath() + '?' + viewParams().toString();
+        try {
+          await navigator.clipboard.writeText(url);
+          statusEl.textContent = 'Link copied.';
+        } catch (err) {
+          window.prompt('Copy this link:', url);
+        }
+      }
+
+      const actions = {
+        csv: () => exportData('csv'),
+        json: () => exportData('json'),
+        png: exportImage,
+        link: copyLink
+      };
+      menu.querySelectorAll('[data-export]').forEach((button) => {
+        button.addEventListener('click', function () {
+          statusEl.textContent = '';
+          actions[this.dataset.export]();
+        });
+      });
+      menu.addEventListener('toggle', function () {
+        if (!menu.open) statusEl.textContent = '';
+      });
+      // Close the menu on a click anywhere else.
+      document.addEventListener('click', function (e) {
+        if (menu.open && !menu.contains(e.target)) menu.open = false;
+      });
+    })();
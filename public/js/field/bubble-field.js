@@ -0,0 +1,986 @@
+    /**
+     * An interactive bubble field: one bubble per ticker, sized by a
+     * metric of its data and coloured by its move, drifting and pushing
+     * its neighbours aside.
+     *
+     * createBubbleField() puts the field's modules together: the physics
+     * (physics.js) sizes, places and moves the bubbles; a renderer
+     * (renderers.js) draws them on a canvas, or as one <div> each with
+     * the `dom` renderer; pointer input (input.js) drags them and, on
+     * touch screens, pinches to zoom and pan (zoom.js); and the data
+     * client (data-client.js) loads a market and follows its live
+     * updates. The physics works in field coordinates; only the drawing
+     * and the pointers go through the zoom. All state lives in the
+     * field, so a page can hold several.
+     *
+     * The same data can be shown as a treemap instead (see setViewMode,
+     * treemap.js and treemap-view.js); the bubbles stay in place, paused,
+     * so switching views needs no reload. Both views share the hover
+     * tooltip (tooltip.js), the colours (colors.js, setColorScheme) and
+     * keyboard access (keyboard.js), and report clicks the same way.
+     * Bubbles and tiles are coloured, labelled and placed on the axis by
+     * a measure (setColorBy): each ticker's own change, its excess
+     * return over a benchmark (setRelativeTo), or for the `portfolio`
+     * market the dollars each position moved. The filters always test
+     * the ticker's own change.
+     *
+     * The field reports to the page with events on its container:
+     *  - `bubbledata` ({market, range, stocks}): a new dataset is about to
+     *    be shown
+     *  - `bubbleclick` ({ticker, market, range}): a bubble was clicked or
+     *    selected with select(); `market` is where its details come from
+     *  - `bubbleunselect`: the selection was cleared with select(null)
+     */
+
+    import { SIZE_METRICS, LAYOUT_MODES, RELEASE_COOLDOWN, fitSizes, computeLayout, step, bubbleAt } from './physics.js';
+    import { createCanvasRenderer, createDomRenderer, renderFieldImage } from './renderers.js';
+    import { createInputController } from './input.js';
+    import { createDataClient } from './data-client.js';
+    import { formatMeasured } from './format.js';
+    import { layoutTreemap, changeScale } from './treemap.js';
+    import { createTreemapView, renderTreemapImage } from './treemap-view.js';
+    import { createTooltip } from './tooltip.js';
+    import { PALETTES, DEFAULT_PALETTE, COLOR_MEASURES, measuredChange, bubbleColors, tileColors } from './colors.js';
+    import { createKeyboardNavigator } from './keyboard.js';
+    import { identityView, toScreen, toField, clampView, pinchView } from './zoom.js';
+
+    export { SIZE_METRICS, LAYOUT_MODES };
+    export { TREEMAP_METRICS } from './treemap.js';
+    export { PALETTES, COLOR_MEASURES } from './colors.js';
+
+    // Ways to show the dataset: as drifting bubbles or as a treemap.
+    export const VIEW_MODES = ['bubbles', 'treemap'];
+
+    // Number of random bubbles shown when no data could be loaded at all.
+    const fallbackCount = 100;
+
+    /**
+     * Generate a random hue for bubble colouring.
+     * @returns {number}
+     */
+    function randomHue() {
+      return Math.floor(Math.random() * 360);
+    }
+
+    /**
+     * Create the renderer: canvas unless `dom` was requested or the
+     * browser has no 2D canvas support.
+     * @param {HTMLElement} container
+     * @param {string} [requested] 'canvas' or 'dom'
+     * @returns {object}
+     */
+    function chooseRenderer(container, requested) {
+      const probe = document.createElement('canvas');
+      const canvasSupported = !!(probe.getContext && probe.getContext('2d'));
+      if (requested !== 'dom' && canvasSupported) {
+        return createCanvasRenderer(container);
+      }
+      return createDomRenderer(container);
+    }
+
+    /**
+     * Whether an empty dataset for a market should empty the field. An
+     * empty watchlist (or none) or portfolio is shown as such; the fixed
+     * markets are never empty, so an empty answer there is treated as a
+     * failure.
+     * @param {string|null} market
+     * @returns {boolean}
+     */
+    function mayBeEmpty(market) {
+      return !market || market === 'portfolio' || market.startsWith('watchlist:');
+    }
+
+    /**
+     * @typedef {object} BubbleField
+     * @property {function((string|null), string=): void} setSource Show
+     *   another market and/or range; the data is reloaded
+     * @property {function(): void} reload Reload live data, e.g. to leave
+     *   a replay
+     * @property {function(Array<object>): void} showSnapshot Show a
+     *   recorded dataset instead of live data
+     * @property {function(object): void} setFilters
+     * @property {function(string): void} setSizeMetric
+     * @property {function(string): void} setLayoutMode
+     * @property {function(string): void} setViewMode
+     * @property {function({palette?: string, highContrast?: boolean}): void} setColorScheme
+     * @property {function(string): void} setRelativeTo Load the data
+     *   relative to another benchmark, or '' for none
+     * @property {function(string): void} setColorBy
+     * @property {function(): void} resetZoom
+     * @property {function(string): (object|null)} focusTicker
+     * @property {function(string): boolean} flash
+     * @property {function((string|null)): void} select
+     * @property {function(string): boolean} togglePin
+     * @property {function(string): (object|null)} findBubble
+     * @property {function(): Array<{ticker: string, fx: number, fy: number}>} pins
+     * @property {function(): object} settings
+     * @property {function(string): HTMLCanvasElement} image
+     * @property {function(): void} resize
+     * @property {function(): void} destroy
+     */
+
+    /**
+     * Create a bubble field filling `container`, which the page positions
+     * (e.g. `position: relative`) and sizes.
+     * @param {HTMLElement} container
+     * @param {object} [options]
+     * @param {string|null} [options.market] Market to show, as named by
+     *   the server (see data-client.js); null shows an empty field
+     * @param {string} [options.range] Range to show, 'day' by default
+     * @param {string} [options.renderer] 'canvas' (the default) or 'dom'
+     * @param {string} [options.baseUrl] Server to load data from; see
+     *   createDataClient
+     * @param {string} [options.sizeMetric] Key of SIZE_METRICS
+     * @param {string} [options.layoutMode] One of LAYOUT_MODES
+     * @param {string} [options.viewMode] One of VIEW_MODES, 'bubbles' by
+     *   default
+     * @param {string} [options.palette] Key of PALETTES
+     * @param {boolean} [options.highContrast]
+     * @param {string} [options.relativeTo] Benchmark ticker (e.g. SPY)
+     *   to load excess returns over, none by default
+     * @param {string} [options.colorBy] One of COLOR_MEASURES, the move
+     *   that colours and labels the bubbles; 'change' by default
+     * @param {{sector?: string, direction?: string, minChange?: number}} [options.filters]
+     * @param {Array<{ticker: string, fx: number, fy: number}>} [options.pins]
+     *   Bubbles to pin as they appear, with their centres as fractions of
+     *   the field's width and height
+     * @returns {BubbleField}
+     */
+    export function createBubbleField(container, options = {}) {
+      let market = options.market || null;
+      let range = options.range || 'day';
+      let sizeMetric = Object.prototype.hasOwnProperty.call(SIZE_METRICS, options.sizeMetric) ? options.sizeMetric : 'change';
+      let layoutMode = LAYOUT_MODES.includes(options.layoutMode) ? options.layoutMode : 'free';
+      let viewMode = VIEW_MODES.includes(options.viewMode) ? options.viewMode : 'bubbles';
+      // Palette and contrast of the bubbles and tiles; see colors.js.
+      const colorScheme = {
+        palette: Object.prototype.hasOwnProperty.call(PALETTES, options.palette) ? options.palette : DEFAULT_PALETTE,
+        highContrast: !!options.highContrast
+      };
+      // Benchmark of the loaded data ('' for none), and which move the
+      // colours follow; see measuredChange in colors.js.
+      let relativeTo = typeof options.relativeTo === 'string' ? options.relativeTo.toUpperCase() : '';
+      let colorBy = COLOR_MEASURES.includes(options.colorBy) ? options.colorBy : 'change';
+      // Active filters; see passesFilters in physics.js.
+      const filters = { sector: '', direction: 'all', minChange: 0, ...options.filters };
+      // Pins still to apply, by ticker: applied as the tickers' bubbles
+      // are created.
+      const pendingPins = new Map((options.pins || []).map((pin) => [pin.ticker, pin]));
+
+      const bubbles = [];
+      // The dataset currently shown, kept to merge streamed deltas into.
+      let stockData = null;
+      // The maximum absolute shown change (see shownChange) across the
+      // dataset, the ends of the 'axis' layout.
+      let maxAbsChange = 1;
+      const renderer = chooseRenderer(container, options.renderer);
+      let layout = null;
+      // The treemap as last laid out, while the treemap view is shown.
+      let treemapLayout = null;
+      let frame = null;
+      const tooltip = createTooltip(container);
+      const treemap = createTreemapView(container, {
+        onHover(stock, x, y) {
+          if (stock) tooltip.show(stock, x, y);
+          else tooltip.hide();
+        },
+        onClick: dispatchBubbleClick
+      });
+      treemap.setVisible(viewMode === 'treemap');
+      const keyboard = createKeyboardNavigator(container, {
+        label: keyboardLabel(),
+        positions: keyboardPositions,
+        onFocus: showFocus,
+        onActivate: dispatchBubbleClick
+      });
+
+      // The container's position and size relative to the viewport. Read
+      // once and refreshed on resize/scroll instead of every frame, since
+      // getBoundingClientRect() forces a layout.
+      let containerRect = container.getBoundingClientRect();
+      // The zoom and pan of the bubbles (see zoom.js), and the view when
+      // the current pinch started.
+      let view = identityView();
+      let pinchStartView = view;
+      function updateContainerRect() {
+        containerRect = container.getBoundingClientRect();
+        renderer.resize(containerRect.width, containerRect.height);
+        setView(view);
+      }
+
+      /**
+       * Zoom and pan the bubbles, within the limits of clampView.
+       * @param {import('./zoom.js').View} next
+       */
+      function setView(next) {
+        view = clampView(next, containerRect.width, containerRect.height);
+        renderer.setView(view);
+      }
+      updateContainerRect();
+
+      /**
+       * Zoom back out to the whole field.
+       */
+      function resetZoom() {
+        setView(identityView());
+      }
+
+      /**
+       * Refit the bubble sizes for the metric and filters (see fitSizes),
+       * then the layout.
+       */
+      function resizeBubbles() {
+        fitSizes(bubbles, {
+          filters: filters,
+          sizeMetric: sizeMetric,
+          width: container.clientWidth || containerRect.width,
+          height: container.clientHeight || containerRect.height
+        });
+        updateLayout();
+        renderTreemap();
+        keyboard.sync(bubbles.filter((bubble) => bubble.stock && !bubble.filteredOut).map((bubble) => bubble.stock));
+      }
+
+      /**
+       * Redraw the treemap for the current data, filters and size metric
+       * if it is shown. Called wherever the bubbles are refitted, so both
+       * views follow the same changes.
+       */
+      function renderTreemap() {
+        if (viewMode !== 'treemap') return;
+        const stocks = stockData || [];
+        treemapLayout = layoutTreemap(stocks, {
+          width: containerRect.width,
+          height: containerRect.height,
+          sizeMetric: sizeMetric,
+          filters: filters
+        });
+        treemap.render(treemapLayout, tileColorsOf(stocks), shownLabel);
+      }
+
+      /**
+       * The move of a stock that colours and labels its bubble and tile.
+       * @param {object} stock
+       * @returns {number}
+       */
+      function shownChange(stock) {
+        return measuredChange(stock, colorBy);
+      }
+
+      /**
+       * The text of shownChange on a bubble or tile, e.g. "+1.3%" or
+       * "-$350".
+       * @param {object} stock
+       * @returns {string}
+       */
+      function shownLabel(stock) {
+        return formatMeasured(stock, colorBy);
+      }
+
+      /**
+       * Colours of the treemap tiles for a dataset, graded by its
+       * changeScale.
+       * @param {Array<object>} stocks
+       * @returns {function(object): {background: string, text: string}}
+       */
+      function tileColorsOf(stocks) {
+        const scale = changeScale(stocks, shownChange);
+        return (stock) => tileColors(shownChange(stock), scale, colorScheme);
+      }
+
+      /**
+       * Accessible name of the keyboard list for the current view.
+       * @returns {string}
+       */
+      function keyboardLabel() {
+        const items = viewMode === 'treemap' ? 'tiles' : 'bubbles';
+        return 'Market ' + items + '. Arrow keys move between ' + items + ', Enter opens details.';
+      }
+
+      /**
+       * The shown bubbles or tiles with their centres on screen, for
+       * moving the keyboard focus around (see keyboard.js).
+       * @returns {Array<{ticker: string, x: number, y: number}>}
+       */
+      function keyboardPositions() {
+        if (treemapLayout) {
+          return treemapLayout.sectors.flatMap((sector) => sector.tiles.map((tile) => ({
+            ticker: tile.stock.ticker,
+            x: tile.x + tile.w / 2,
+            y: tile.y + tile.h / 2
+          })));
+        }
+        return bubbles
+          .filter((bubble) => bubble.stock && !bubble.filteredOut && bubble.size > 0)
+          .map((bubble) => ({
+            ticker: bubble.ticker,
+            ...toScreen(view, bubble.x + bubble.size / 2, bubble.y + bubble.size / 2)
+          }));
+      }
+
+      /**
+       * Ring the bubble and tile focused with the keyboard, and show
+       * their tooltip, or clear both when the focus leaves the field.
+       * @param {string|null} ticker
+       */
+      function showFocus(ticker) {
+        renderer.setFocused(ticker ? findBubble(ticker) : null);
+        treemap.setFocused(ticker);
+        const item = ticker ? keyboardPositions().find((position) => position.ticker === ticker) : null;
+        const bubble = ticker ? findBubble(ticker) : null;
+        if (item && bubble) tooltip.show(bubble.stock, item.x, item.y);
+        else tooltip.hide();
+      }
+
+      /**
+       * Change the palette and/or high-contrast mode. The bubbles and
+       * tiles are recoloured in place.
+       * @param {{palette?: string, highContrast?: boolean}} changes
+       */
+      function setColorScheme(changes) {
+        if (Object.prototype.hasOwnProperty.call(PALETTES, changes.palette)) colorScheme.palette = changes.palette;
+        if (changes.highContrast !== undefined) colorScheme.highContrast = !!changes.highContrast;
+        recolorBubbles();
+        renderTreemap();
+      }
+
+      /**
+       * Load the data relative to a benchmark ticker, or to none with ''.
+       * The bubbles ease to the new values like on a range change.
+       * @param {string} ticker
+       */
+      function setRelativeTo(ticker) {
+        relativeTo = (ticker || '').toUpperCase();
+        client.load(market, range, relativeTo);
+      }
+
+      /**
+       * Colour, label and place on the axis by each ticker's own change,
+       * its excess return over the benchmark or its position's move in
+       * dollars. Nothing is reloaded.
+       * @param {string} measure One of COLOR_MEASURES
+       */
+      function setColorBy(measure) {
+        colorBy = COLOR_MEASURES.includes(measure) ? measure : 'change';
+        updateMaxAbsChange();
+        for (const bubble of bubbles) {
+          if (bubble.stock) setBubbleStock(bubble, bubble.stock);
+        }
+        updateLayout();
+        renderTreemap();
+      }
+
+      /**
+       * Recolour every data bubble, e.g. after the largest move in the
+       * dataset (which the colours are graded by) or the scheme changed.
+       */
+      function recolorBubbles() {
+        for (const bubble of bubbles) {
+          if (!bubble.stock) continue;
+          bubble.colors = bubbleColors(bubble.changePercent, maxAbsChange, colorScheme);
+          renderer.refresh(bubble);
+        }
+      }
+
+      /**
+       * Recompute the layout targets for the current data, sizes and
+       * container, and hand its background labels to the renderer.
+       */
+      function updateLayout() {
+        layout = computeLayout(bubbles, {
+          mode: layoutMode,
+          width: containerRect.width,
+          height: containerRect.height,
+          maxAbsChange: maxAbsChange,
+          measure: colorBy
+        });
+        renderer.setLabels(layout.labels);
+      }
+      updateLayout();
+
+      /**
+       * Update the active filters and refit the field. Filtered-out bubbles
+       * shrink away and the remaining ones grow into the freed space;
+       * bubbles that pass again grow back from where they were.
+       * @param {{sector?: string, direction?: string, minChange?: number}} changes
+       */
+      function setFilters(changes) {
+        Object.assign(filters, changes);
+        resizeBubbles();
+      }
+
+      /**
+       * Size bubbles by another metric. Only the drawing changes, so
+       * nothing is reloaded.
+       * @param {string} metric Key of SIZE_METRICS
+       */
+      function setSizeMetric(metric) {
+        sizeMetric = Object.prototype.hasOwnProperty.call(SIZE_METRICS, metric) ? metric : 'change';
+        resizeBubbles();
+      }
+
+      /**
+       * Switch the layout mode. Bubbles drift to their new places under
+       * the physics rather than jumping.
+       * @param {string} mode One of LAYOUT_MODES
+       */
+      function setLayoutMode(mode) {
+        layoutMode = LAYOUT_MODES.includes(mode) ? mode : 'free';
+        updateLayout();
+      }
+
+      /**
+       * Show the dataset as bubbles or as a treemap. The loaded data is
+       * reused, so nothing is refetched; the bubbles' animation pauses
+       * while the treemap is shown and they pick up where they were.
+       * @param {string} mode One of VIEW_MODES
+       */
+      function setViewMode(mode) {
+        const next = VIEW_MODES.includes(mode) ? mode : 'bubbles';
+        if (next === viewMode) return;
+        viewMode = next;
+        tooltip.hide();
+        treemap.setVisible(viewMode === 'treemap');
+        keyboard.setLabel(keyboardLabel());
+        if (viewMode === 'treemap') {
+          cancelAnimationFrame(frame);
+          frame = null;
+          renderTreemap();
+        } else {
+          treemapLayout = null;
+          frame = requestAnimationFrame(animate);
+        }
+      }
+
+      /**
+       * Apply stock data to an existing bubble: label text and fill colour.
+       * The size is not changed here; resizeBubbles() sets `targetSize` for
+       * the whole field once the data is in, and the physics eases `size`
+       * towards it so switching ranges resizes bubbles smoothly instead of
+       * snapping.
+       * @param {object} bubble
+       * @param {{ticker: string, price: (number|null), changePercent: (number|null)}} stock
+       */
+      function setBubbleStock(bubble, stock) {
+        const changePercent = shownChange(stock);
+        bubble.stock = stock;
+        bubble.ticker = stock.ticker;
+        bubble.changePercent = changePercent;
+        bubble.label = stock.ticker;
+        bubble.sublabel = shownLabel(stock);
+        bubble.colors = bubbleColors(changePercent, maxAbsChange, colorScheme);
+        renderer.refresh(bubble);
+      }
+
+      /**
+       * Create a bubble state object and register it with the renderer.
+       * If stock data is provided, the bubble's size and colour depend on
+       * the percentage change over the selected range and the label shows
+       * the ticker on the first line and the change percentage on the
+       * second line; data bubbles start at zero size and grow into the size
+       * given by resizeBubbles(). When no stock data is available, fall
+       * back to random sizing, colour and a single random value. Bubbles
+       * spawn at a random position with a small random velocity.
+       * @param {object} [stock]
+       * @returns {{x: number, y: number, vx: number, vy: number, size: number}}
+       */
+      function createBubble(stock) {
+        const bubble = {
+          stock: null,
+          ticker: null,
+          label: '',
+          sublabel: null,
+          colors: null,
+          x: 0,
+          y: 0,
+          vx: (Math.random() - 0.5) * 2,
+          vy: (Math.random() - 0.5) * 2,
+          size: 0,
+          targetSize: 0,
+          changePercent: 0,
+          releasedCooldown: 0,
+          // Set by fitSizes() when the bubble fails the filters.
+          filteredOut: false,
+          // Pinned bubbles stay where they are (see togglePin).
+          pinned: false,
+          // Renderer-specific state (e.g. the DOM element).
+          view: null
+        };
+        if (stock && stock.ticker) {
+          bubble.stock = stock;
+          bubble.ticker = stock.ticker;
+          bubble.changePercent = shownChange(stock);
+          bubble.label = stock.ticker;
+          bubble.sublabel = shownLabel(stock);
+          bubble.colors = bubbleColors(bubble.changePercent, maxAbsChange, colorScheme);
+        } else {
+          // Fallback: random bubble with random size and colour.
+          const hue = randomHue();
+          bubble.targetSize = Math.random() * 120 + 50;
+          bubble.label = (Math.random() * 100).toFixed(2);
+          bubble.colors = {
+            inner: 'hsla(' + hue + ', 90%, 70%, 0.8)',
+            outer: 'hsla(' + hue + ', 90%, 50%, 0.6)'
+          };
+        }
+        bubble.size = bubble.targetSize;
+        bubble.x = Math.random() * (containerRect.width - bubble.size);
+        bubble.y = Math.random() * (containerRect.height - bubble.size);
+        applyPendingPin(bubble);
+        renderer.add(bubble);
+        return bubble;
+      }
+
+      /**
+       * Pin a new bubble at the place given for its ticker in the `pins`
+       * option, if any.
+       * @param {object} bubble
+       */
+      function applyPendingPin(bubble) {
+        const pin = bubble.ticker ? pendingPins.get(bubble.ticker) : null;
+        if (!pin) return;
+        pendingPins.delete(bubble.ticker);
+        bubble.pinned = true;
+        bubble.vx = 0;
+        bubble.vy = 0;
+        bubble.x = pin.fx * containerRect.width - bubble.size / 2;
+        bubble.y = pin.fy * containerRect.height - bubble.size / 2;
+      }
+
+      /**
+       * Find the data bubble of a ticker.
+       * @param {string} ticker
+       * @returns {object|null}
+       */
+      function findBubble(ticker) {
+        return bubbles.find((bubble) => bubble.ticker === ticker) || null;
+      }
+
+      /**
+       * Pin or unpin the bubble of a ticker. A pinned bubble ignores drift,
+       * layout pulls and pushes from its neighbours, so it stays where the
+       * user put it; it can still be dragged and stays pinned where it is
+       * dropped.
+       * @param {string} ticker
+       * @returns {boolean} Whether the bubble is now pinned
+       */
+      function togglePin(ticker) {
+        const bubble = findBubble(ticker);
+        if (!bubble) return false;
+        bubble.pinned = !bubble.pinned;
+        bubble.vx = 0;
+        bubble.vy = 0;
+        renderer.refresh(bubble);
+        return bubble.pinned;
+      }
+
+      /**
+       * The pinned bubbles, with their centres as fractions of the field's
+       * width and height so they can be restored on other screen sizes
+       * (see the `pins` option).
+       * @returns {Array<{ticker: string, fx: number, fy: number}>}
+       */
+      function pins() {
+        return bubbles
+          .filter((bubble) => bubble.pinned && bubble.ticker)
+          .map((bubble) => ({
+            ticker: bubble.ticker,
+            fx: (bubble.x + bubble.size / 2) / containerRect.width,
+            fy: (bubble.y + bubble.size / 2) / containerRect.height
+          }));
+      }
+
+      // Used when no data could be loaded, so the field is not empty.
+      function populateFallback() {
+        for (let i = 0; i < fallbackCount; i++) {
+          bubbles.push(createBubble());
+        }
+      }
+
+      /**
+       * Replace the bubble set with a new dataset in place. Bubbles whose
+       * ticker is still present keep their position and velocity and are
+       * resized and recoloured; new tickers get fresh bubbles and tickers
+       * that disappeared are removed. Random fallback bubbles (which have
+       * no ticker) are always replaced.
+       * @param {Array<object>} data
+       */
+      function applyStockData(data) {
+        const byTicker = new Map();
+        for (const bubble of bubbles) {
+          if (bubble.ticker) byTicker.set(bubble.ticker, bubble);
+        }
+        const next = [];
+        for (const stock of data) {
+          const existing = byTicker.get(stock.ticker);
+          if (existing) {
+            setBubbleStock(existing, stock);
+            byTicker.delete(stock.ticker);
+            next.push(existing);
+          } else {
+            next.push(createBubble(stock));
+          }
+        }
+        for (const bubble of bubbles) {
+          if (!next.includes(bubble)) renderer.remove(bubble);
+        }
+        bubbles.length = 0;
+        bubbles.push(...next);
+        resizeBubbles();
+      }
+
+      /**
+       * Store a full dataset and recompute the maximum absolute change
+       * across it. A `bubbledata` event carrying the dataset is
+       * dispatched on the container so other parts of the page (e.g. the
+       * filter bar's sector list) can follow it.
+       * @param {Array<object>} data
+       */
+      function setStockData(data) {
+        stockData = data;
+        updateMaxAbsChange();
+        container.dispatchEvent(new CustomEvent('bubbledata', {
+          detail: { market: market, range: range, stocks: data }
+        }));
+      }
+
+      /**
+       * Recompute the maximum absolute shown change across the dataset.
+       * Avoid division by zero by defaulting to 1 if all values are zero
+       * or undefined.
+       */
+      function updateMaxAbsChange() {
+        let maxVal = 0;
+        for (const s of stockData || []) {
+          const cp = Math.abs(shownChange(s));
+          if (cp > maxVal) maxVal = cp;
+        }
+        maxAbsChange = maxVal > 0 ? maxVal : 1;
+      }
+
+      /**
+       * Show a full dataset: store it and update the bubbles in place.
+       * @param {Array<object>} data
+       */
+      function showData(data) {
+        setStockData(data);
+        applyStockData(data);
+      }
+
+      /**
+       * Apply a streamed delta: update the bubbles of changed tickers in
+       * place (their size eases to the new change, the colour follows the
+       * move and the label is rewritten), add bubbles for new tickers and
+       * remove bubbles for tickers that left the dataset. Every bubble is
+       * recoloured, since the largest move may have changed. Updated
+       * bubbles pulse briefly so the change is noticeable.
+       * @param {{changes: Array<object>, removed: string[]}} delta
+       */
+      function applyStockDelta(delta) {
+        const byTicker = new Map(bubbles.map((bubble) => [bubble.ticker, bubble]));
+        for (const stock of delta.changes) {
+          const bubble = byTicker.get(stock.ticker);
+          if (bubble) {
+            setBubbleStock(bubble, stock);
+            renderer.pulse(bubble);
+          } else {
+            bubbles.push(createBubble(stock));
+          }
+        }
+        const removed = new Set(delta.removed);
+        for (let i = bubbles.length - 1; i >= 0; i--) {
+          if (removed.has(bubbles[i].ticker)) {
+            renderer.remove(bubbles[i]);
+            bubbles.splice(i, 1);
+          }
+        }
+        const changed = new Map(delta.changes.map((stock) => [stock.ticker, stock]));
+        const merged = (stockData || [])
+          .filter((stock) => !removed.has(stock.ticker))
+          .map((stock) => changed.get(stock.ticker) || stock);
+        for (const stock of delta.changes) {
+          if (!merged.some((s) => s.ticker === stock.ticker)) merged.push(stock);
+        }
+        setStockData(merged);
+        recolorBubbles();
+        resizeBubbles();
+      }
+
+      const client = createDataClient({
+        baseUrl: options.baseUrl,
+        onSnapshot(data) {
+          if (data.length > 0 || mayBeEmpty(market)) {
+            showData(data);
+          } else if (bubbles.length === 0) {
+            populateFallback();
+          }
+        },
+        onDelta: applyStockDelta,
+        onError(err) {
+          console.error(err);
+          // Later failures leave the current bubbles untouched.
+          if (bubbles.length === 0) populateFallback();
+        }
+      });
+
+      /**
+       * Show another market and/or range. The bubbles of tickers in both
+       * datasets stay where they are and ease to their new values.
+       * @param {string|null} nextMarket
+       * @param {string} [nextRange] Keeps the current range if omitted
+       */
+      function setSource(nextMarket, nextRange) {
+        market = nextMarket || null;
+        range = nextRange || range;
+        client.load(market, range, relativeTo);
+      }
+
+      /**
+       * Reload live data for the current market and range and resubscribe
+       * to updates, e.g. to leave a replay.
+       */
+      function reload() {
+        client.load(market, range, relativeTo);
+      }
+
+      /**
+       * Show a recorded snapshot instead of live data (see replay.js). The
+       * live stream is closed and any load still in flight is ignored; the
+       * bubbles move to the snapshot's values in place, easing their sizes
+       * and colours like a live update, so stepping through consecutive
+       * snapshots animates the field.
+       * @param {Array<object>} quotes
+       */
+      function showSnapshot(quotes) {
+        client.stop();
+        showData(quotes);
+      }
+
+      /**
+       * Dispatch the `bubbleclick` event for a ticker.
+       * @param {string} ticker
+       */
+      function dispatchBubbleClick(ticker) {
+        // Watchlist and portfolio tickers are stocks, so their details
+        // come from sp500.
+        const detailMarket = mayBeEmpty(market) ? 'sp500' : market;
+        container.dispatchEvent(new CustomEvent('bubbleclick', {
+          detail: { ticker: ticker, market: detailMarket, range: range }
+        }));
+      }
+
+      /**
+       * Find a data bubble by ticker (case-insensitive), or failing that by
+       * the start of its company name, and highlight it: it is moved to the
+       * top of the field and pulses for a few seconds. Bubbles hidden by the
+       * filters are still found but not highlighted, so the caller can tell
+       * the user why nothing lit up.
+       * @param {string} query
+       * @returns {object|null} The matching bubble
+       */
+      function focusTicker(query) {
+        const needle = query.trim().toLowerCase();
+        if (!needle) return null;
+        const candidates = bubbles.filter((bubble) => bubble.stock);
+        const bubble =
+          candidates.find((b) => b.ticker.toLowerCase() === needle) ||
+          candidates.find((b) => (b.stock.name || '').toLowerCase().startsWith(needle)) ||
+          null;
+        if (!bubble || bubble.filteredOut) return bubble;
+        // Later bubbles are drawn (and hit-tested) on top.
+        bubbles.splice(bubbles.indexOf(bubble), 1);
+        bubbles.push(bubble);
+        // A zoomed-in field pans to bring the bubble into the middle.
+        if (view.scale > 1) {
+          const centre = { x: bubble.x + bubble.size / 2, y: bubble.y + bubble.size / 2 };
+          setView({
+            scale: view.scale,
+            x: containerRect.width / 2 - centre.x * view.scale,
+            y: containerRect.height / 2 - centre.y * view.scale
+          });
+        }
+        renderer.highlight(bubble);
+        treemap.highlight(bubble.ticker);
+        return bubble;
+      }
+
+      /**
+       * Briefly highlight the bubble of a ticker, e.g. one an alert fired
+       * for. Unlike focusTicker() only an exact ticker matches, and the
+       * bubble stays where it is in the field and the view.
+       * @param {string} ticker
+       * @returns {boolean} Whether a shown bubble was highlighted
+       */
+      function flash(ticker) {
+        const bubble = findBubble(ticker);
+        if (!bubble || !bubble.stock || bubble.filteredOut) return false;
+        renderer.highlight(bubble);
+        treemap.highlight(bubble.ticker);
+        return true;
+      }
+
+      /**
+       * Select a ticker as if its bubble had been clicked: a `bubbleclick`
+       * event is dispatched and its bubble, if shown, is highlighted. The
+       * ticker does not need a bubble, so details of any ticker can be
+       * linked to. Passing null clears the selection with a
+       * `bubbleunselect` event.
+       * @param {string|null} ticker
+       */
+      function select(ticker) {
+        if (!ticker) {
+          container.dispatchEvent(new CustomEvent('bubbleunselect'));
+          return;
+        }
+        if (findBubble(ticker)) focusTicker(ticker);
+        dispatchBubbleClick(ticker);
+      }
+
+      /**
+       * The field's current state, e.g. to encode it in a link.
+       * @returns {{market: (string|null), range: string, relativeTo: string, colorBy: string, sizeMetric: string, layoutMode: string, viewMode: string, palette: string, highContrast: boolean, filters: {sector: string, direction: string, minChange: number}}}
+       */
+      function settings() {
+        return { market, range, relativeTo, colorBy, sizeMetric, layoutMode, viewMode, ...colorScheme, filters: { ...filters } };
+      }
+
+      /**
+       * Paint the field as it is now into a new canvas (see
+       * renderFieldImage and renderTreemapImage), e.g. for a PNG export.
+       * @param {string} background Fill colour behind the bubbles or tiles
+       * @returns {HTMLCanvasElement}
+       */
+      function image(background) {
+        if (treemapLayout) {
+          return renderTreemapImage(treemapLayout, tileColorsOf(stockData || []), containerRect.width, containerRect.height, background, shownLabel);
+        }
+        const visible = bubbles.filter((bubble) => bubble.size > 0);
+        return renderFieldImage(visible, layout.labels, containerRect.width, containerRect.height, background);
+      }
+
+      const input = createInputController(container, {
+        // The paused bubbles under the treemap cannot be grabbed, nor
+        // zoomed.
+        bubbleAt(x, y) {
+          if (viewMode !== 'bubbles') return null;
+          const point = toField(view, x, y);
+          return bubbleAt(bubbles, point.x, point.y);
+        },
+        toField: (x, y) => toField(view, x, y),
+        rect: () => containerRect,
+        zoomable: () => viewMode === 'bubbles',
+        onGrab(bubble) {
+          // Mark the bubble for cursor change.
+          renderer.setDragging(bubble, true);
+        },
+        onRelease(bubble, click) {
+          // Zero the released bubble's velocity and start a cooldown
+          // during which jitter is suppressed and the repulsion on it is
+          // reduced, so it does not wobble back and forth.
+          renderer.setDragging(bubble, false);
+          bubble.vx = 0;
+          bubble.vy = 0;
+          bubble.releasedCooldown = RELEASE_COOLDOWN;
+          // A click on a random fallback bubble (no ticker) does nothing.
+          if (click && bubble.ticker) dispatchBubbleClick(bubble.ticker);
+        },
+        onPinchStart() {
+          pinchStartView = view;
+        },
+        onPinch(from, to) {
+          tooltip.hide();
+          setView(pinchView(pinchStartView, from, to, containerRect.width, containerRect.height));
+        }
+      });
+
+      /**
+       * Show the tooltip for the bubble under the mouse, except while a
+       * bubble is dragged. The treemap view reports its own hovers.
+       * @param {PointerEvent|MouseEvent} e
+       */
+      function handleHover(e) {
+        if (viewMode !== 'bubbles') return;
+        const x = e.clientX - containerRect.left;
+        const y = e.clientY - containerRect.top;
+        const point = toField(view, x, y);
+        const bubble = input.dragTargets().length > 0 ? null : bubbleAt(bubbles, point.x, point.y);
+        if (bubble && bubble.stock) tooltip.show(bubble.stock, x, y);
+        else tooltip.hide();
+      }
+      const hoverEvents = typeof window.PointerEvent !== 'undefined'
+        ? { move: 'pointermove', leave: 'pointerleave' }
+        : { move: 'mousemove', leave: 'mouseleave' };
+      container.addEventListener(hoverEvents.move, handleHover);
+      container.addEventListener(hoverEvents.leave, tooltip.hide);
+
+      // Main animation loop: advance the physics, then draw.
+      function animate() {
+        step(bubbles, {
+          width: containerRect.width,
+          height: containerRect.height,
+          layout: layout,
+          drags: input.dragTargets()
+        });
+        renderer.draw(bubbles);
+        frame = requestAnimationFrame(animate);
+      }
+
+      /**
+       * Refit the renderer and the bubble sizes to the container. Called
+       * on window resizes; pages that resize the container otherwise
+       * should call it themselves.
+       */
+      function resize() {
+        updateContainerRect();
+        resizeBubbles();
+      }
+
+      window.addEventListener('resize', resize);
+      window.addEventListener('scroll', updateContainerRect, { passive: true });
+
+      /**
+       * Stop the field: the animation, the data stream and the input
+       * handlers end and the renderers remove what they drew.
+       */
+      function destroy() {
+        cancelAnimationFrame(frame);
+        client.stop();
+        input.destroy();
+        container.removeEventListener(hoverEvents.move, handleHover);
+        container.removeEventListener(hoverEvents.leave, tooltip.hide);
+        tooltip.destroy();
+        treemap.destroy();
+        keyboard.destroy();
+        window.removeEventListener('resize', resize);
+        window.removeEventListener('scroll', updateContainerRect);
+        renderer.destroy();
+        bubbles.length = 0;
+      }
+
+      client.load(market, range, relativeTo);
+      if (viewMode === 'bubbles') frame = requestAnimationFrame(animate);
+
+      return {
+        setSource,
+        reload,
+        showSnapshot,
+        setFilters,
+        setSizeMetric,
+        setLayoutMode,
+        setViewMode,
+        setColorScheme,
+        setRelativeTo,
+        setColorBy,
+        resetZoom,
+        focusTicker,
+        flash,
+        select,
+        togglePin,
+        findBubble,
+        pins,
+        settings,
+        image,
+        resize,
+        destroy
+      };
+    }
@@ -0,0 +1,165 @@
+    /**
+     * Colours of the field: how a move is turned into the colour of a
+     * bubble or treemap tile. A move is shaded from a neutral colour at
+     * no change towards the palette's gain or loss colour, reaching it at
+     * the `scale` the caller normalises by (the largest move of the
+     * dataset for bubbles, see changeScale in treemap.js for tiles), so a
+     * +0.1% move looks faint and a +9% move strong.
+     *
+     * High contrast swaps the translucent gradients for solid fills with
+     * a white rim and black text, and brightens the palette.
+     */
+
+    // Selectable palettes. Red/green is the default; blue/orange stays
+    // apart for the common forms of colour blindness.
+    export const PALETTES = {
+      'red-green': {
+        label: 'Red / green',
+        gain: [39, 174, 96],
+        loss: [214, 48, 49],
+        highContrast: { gain: [0, 230, 64], loss: [255, 64, 64] }
+      },
+      'blue-orange': {
+        label: 'Blue / orange (colour-blind safe)',
+        gain: [44, 123, 214],
+        loss: [230, 115, 0],
+        highContrast: { gain: [77, 166, 255], loss: [255, 140, 0] }
+      }
+    };
+    export const DEFAULT_PALETTE = 'red-green';
+
+    // Moves the colours can follow: each ticker's own change, its excess
+    // return over the benchmark of a relative dataset (see `?relativeTo`
+    // in the README), or the dollars a portfolio position moved.
+    export const COLOR_MEASURES = ['change', 'excess', 'positionChange'];
+    // The stock field holding each measure.
+    const measureFields = {
+      change: 'changePercent',
+      excess: 'excessChangePercent',
+      positionChange: 'positionChange'
+    };
+
+    // Colour of no change, normally and in high contrast.
+    const neutralColor = [58, 63, 88];
+    const highContrastNeutral = [128, 128, 128];
+    // Share of the full colour given to the smallest move, so a tiny gain
+    // still reads as a gain. Higher in high contrast.
+    const minIntensity = 0.2;
+    const highContrastMinIntensity = 0.5;
+
+    /**
+     * @typedef {object} ColorScheme
+     * @property {string} palette Key of PALETTES
+     * @property {boolean} highContrast
+     */
+
+    /**
+     * The measure actually shown for a stock: `measure` when the stock
+     * has it, else 'change'. Stocks without an excess return (e.g. from
+     * a snapshot recorded without a benchmark) or a position keep their
+     * change.
+     * @param {object} stock
+     * @param {string} measure One of COLOR_MEASURES
+     * @returns {string}
+     */
+    export function shownMeasure(stock, measure) {
+      return Object.prototype.hasOwnProperty.call(measureFields, measure) && stock[measureFields[measure]] != null
+        ? measure
+        : 'change';
+    }
+
+    /**
+     * The move of a stock that is coloured and labelled, in the units of
+     * its shownMeasure: percent, or dollars for a position.
+     * @param {object} stock
+     * @param {string} measure One of COLOR_MEASURES
+     * @returns {number}
+     */
+    export function measuredChange(stock, measure) {
+      return stock[measureFields[shownMeasure(stock, measure)]] || 0;
+    }
+
+    /**
+     * How strongly a move is coloured, from 0 (no change) through
+     * minIntensity (the smallest move) to 1 (`scale` or more).
+     * @param {number} changePercent
+     * @param {number} scale
+     * @param {boolean} [highContrast]
+     * @returns {number}
+     */
+    export function changeIntensity(changePercent, scale, highContrast = false) {
+      const change = Math.abs(changePercent || 0);
+      if (change === 0) return 0;
+      const floor = highContrast ? highContrastMinIntensity : minIntensity;
+      return floor + (1 - floor) * Math.min(1, change / (scale > 0 ? scale : 1));
+    }
+
+    /**
+     * RGB colour of a move (see changeIntensity).
+     * @param {number} changePercent
+     * @param {number} scale
+     * @param {ColorScheme} scheme
+     * @returns {number[]}
+     */
+    export function changeRgb(changePercent, scale, scheme) {
+      const palette = PALETTES[scheme.palette] || PALETTES[DEFAULT_PALETTE];
+      const ends = scheme.highContrast ? palette.highContrast : palette;
+      const neutral = scheme.highContrast ? highContrastNeutral : neutralColor;
+      const end = (changePercent || 0) < 0 ? ends.loss : ends.gain;
+      const t = changeIntensity(changePercent, scale, scheme.highContrast);
+      return neutral.map((channel, i) => Math.round(channel + (end[i] - channel) * t));
+    }
+
+    /**
+     * Mix a colour towards another, e.g. white to lighten it.
+     * @param {number[]} rgb
+     * @param {number[]} towards
+     * @param {number} amount 0 keeps `rgb`, 1 gives `towards`
+     * @returns {number[]}
+     */
+    function mix(rgb, towards, amount) {
+      return rgb.map((channel, i) => Math.round(channel + (towards[i] - channel) * amount));
+    }
+
+    /**
+     * @param {number[]} rgb
+     * @param {number} [alpha]
+     * @returns {string} CSS colour
+     */
+    function css(rgb, alpha) {
+      return alpha === undefined ? 'rgb(' + rgb.join(', ') + ')' : 'rgba(' + rgb.join(', ') + ', ' + alpha + ')';
+    }
+
+    /**
+     * Colours of a bubble: its radial gradient from `inner` to `outer`,
+     * and in high contrast a solid fill (`inner` equals `outer`) with a
+     * `border` and dark `text`.
+     * @param {number} changePercent
+     * @param {number} scale
+     * @param {ColorScheme} scheme
+     * @returns {{inner: string, outer: string, text?: string, border?: string}}
+     */
+    export function bubbleColors(changePercent, scale, scheme) {
+      const rgb = changeRgb(changePercent, scale, scheme);
+      if (scheme.highContrast) {
+        return { inner: css(rgb), outer: css(rgb), text: 'black', border: 'white' };
+      }
+      return {
+        inner: css(mix(rgb, [255, 255, 255], 0.35), 0.9),
+        outer: css(mix(rgb, [0, 0, 0], 0.3), 0.7)
+      };
+    }
+
+    /**
+     * Colours of a treemap tile.
+     * @param {number} changePercent
+     * @param {number} scale
+     * @param {ColorScheme} scheme
+     * @returns {{background: string, text: string}}
+     */
+    export function tileColors(changePercent, scale, scheme) {
+      return {
+        background: css(changeRgb(changePercent, scale, scheme)),
+        text: scheme.highContrast ? 'black' : 'white'
+      };
+    }
@@ -0,0 +1,129 @@
+    /**
+     * Data for the bubble field from the server. Markets are named as the
+     * server names them: `sp500`, `crypto`, `portfolio` or
+     * `watchlist:{id}`. Each is served as a snapshot (see snapshotPath)
+     * and as live updates from `/api/stream?market=`, both carrying the
+     * same {ticker, price, changePercent, ...} entries. Loads relative to a
+     * benchmark ticker also carry each entry's `benchmark` and
+     * `excessChangePercent` (see `?relativeTo` in the README).
+     */
+
+    /**
+     * Query string of a load, e.g. `?range=day&relativeTo=SPY`.
+     * @param {string} range
+     * @param {string} relativeTo Benchmark ticker, or '' for none
+     * @returns {string}
+     */
+    function loadQuery(range, relativeTo) {
+      return '?range=' + encodeURIComponent(range) +
+        (relativeTo ? '&relativeTo=' + encodeURIComponent(relativeTo) : '');
+    }
+
+    /**
+     * Path of the snapshot endpoint for a market, e.g. `/api/sp500` or
+     * `/api/watchlists/{id}/prices`.
+     * @param {string} market
+     * @returns {string}
+     */
+    export function snapshotPath(market) {
+      return market.startsWith('watchlist:')
+        ? '/api/watchlists/' + encodeURIComponent(market.slice('watchlist:'.length)) + '/prices'
+        : '/api/' + encodeURIComponent(market);
+    }
+
+    /**
+     * @param {object} options
+     * @param {string} [options.baseUrl] Origin (and path prefix) of the
+     *   server, for fields embedded in pages served from elsewhere;
+     *   defaults to the page's own origin
+     * @param {function(Array<object>): void} options.onSnapshot A full
+     *   dataset arrived, from a load or a (re)connected stream
+     * @param {function({changes: Array<object>, removed: string[]}): void} options.onDelta
+     *   A streamed update arrived
+     * @param {function(Error): void} options.onError A load failed
+     * @returns {{load: function((string|null), string, string=): Promise<void>, stop: function(): void}}
+     */
+    export function createDataClient({ baseUrl = '', onSnapshot, onDelta, onError }) {
+      // Incremented on every load so that a slow response for a range the
+      // user has already switched away from is ignored.
+      let loadGeneration = 0;
+      // Live update channel for the current market and range.
+      let stream = null;
+
+      /**
+       * Subscribe to live updates for a market and range, replacing any
+       * previous subscription. EventSource reconnects on its own after
+       * network errors; each (re)connect starts with a full snapshot.
+       * @param {string} market
+       * @param {string} range
+       * @param {string} relativeTo
+       */
+      function openStream(market, range, relativeTo) {
+        closeStream();
+        if (typeof window.EventSource === 'undefined') return;
+        stream = new EventSource(
+          baseUrl + '/api/stream' + loadQuery(range, relativeTo) + '&market=' + encodeURIComponent(market)
+        );
+        stream.addEventListener('snapshot', function (e) {
+          // An empty snapshot is passed on too: a watchlist or portfolio
+          // that was emptied has to clear (see the field's onSnapshot).
+          const { quotes } = JSON.parse(e.data);
+          if (!Array.isArray(quotes)) return;
+          onSnapshot(quotes);
+        });
+        stream.addEventListener('delta', function (e) {
+          onDelta(JSON.parse(e.data));
+        });
+      }
+
+      function closeStream() {
+        if (stream) stream.close();
+        stream = null;
+      }
+
+      /**
+       * Fetch the snapshot of a market for a range, then keep it up to
+       * date through the live update stream. The server proxies the
+       * upstream APIs and keeps their keys secret. A null market (e.g. no
+       * watchlist selected) is an empty dataset.
+       * @param {string|null} market
+       * @param {string} range
+       * @param {string} [relativeTo] Benchmark ticker to add excess
+       *   returns over, or '' for none
+       */
+      async function load(market, range, relativeTo = '') {
+        const generation = ++loadGeneration;
+        closeStream();
+        try {
+          let data = [];
+          if (market) {
+            const response = await fetch(baseUrl + snapshotPath(market) + loadQuery(range, relativeTo));
+            if (!response.ok) {
+              throw new Error('Failed to fetch ' + market + ' data');
+            }
+            data = await response.json();
+          }
+          if (generation !== loadGeneration) return;
+          onSnapshot(Array.isArray(data) ? data : []);
+        } catch (err) {
+          if (generation !== loadGeneration) return;
+          onError(err);
+        }
+        // Subscribe to live updates even if the fetch failed: the stream
+        // starts with a snapshot, so it also recovers once the server does.
+        if (market && generation === loadGeneration) {
+          openStream(market, range, relativeTo);
+        }
+      }
+
+      /**
+       * Stop following the server: close the stream and ignore any load
+       * still in flight.
+       */
+      function stop() {
+        ++loadGeneration;
+        closeStream();
+      }
+
+      return { load, stop };
+    }
@@ -0,0 +1,55 @@
+    /**
+     * Text formatting shared by the bubble field's modules.
+     */
+
+    import { shownMeasure, measuredChange } from './colors.js';
+
+    /**
+     * Format a percent change with sign and one decimal, e.g. "+1.3%".
+     * @param {number} changePercent
+     * @returns {string}
+     */
+    export function formatPercent(changePercent) {
+      return (
+        (changePercent > 0 ? '+' : '') +
+        (isFinite(changePercent) ? changePercent.toFixed(1) + '%' : '0.0%')
+      );
+    }
+
+    /**
+     * Format a price in dollars, with more decimals below $1 (e.g. small
+     * coins), or a dash when there is none.
+     * @param {number|null} price
+     * @returns {string}
+     */
+    export function formatPrice(price) {
+      if (price == null || !isFinite(price)) return '–';
+      const digits = price >= 1 ? 2 : 6;
+      return '$' + price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: digits });
+    }
+
+    /**
+     * Format a change in dollars with sign, shortened from a thousand
+     * on, e.g. "+$350", "-$1.2k" or "+$3.4M".
+     * @param {number|null} amount
+     * @returns {string}
+     */
+    export function formatMoneyChange(amount) {
+      if (amount == null || !isFinite(amount) || Math.round(amount) === 0) return '$0';
+      const size = Math.abs(amount);
+      const text = size >= 1e6 ? (size / 1e6).toFixed(1) + 'M' : size >= 1e3 ? (size / 1e3).toFixed(1) + 'k' : size.toFixed(0);
+      return (amount > 0 ? '+' : '-') + '$' + text;
+    }
+
+    /**
+     * Format the move of a stock that is shown for a measure (see
+     * measuredChange in colors.js): dollars for a position's move, else
+     * a percent change.
+     * @param {object} stock
+     * @param {string} measure One of COLOR_MEASURES
+     * @returns {string}
+     */
+    export function formatMeasured(stock, measure) {
+      const change = measuredChange(stock, measure);
+      return shownMeasure(stock, measure) === 'positionChange' ? formatMoneyChange(change) : formatPercent(change);
+    }
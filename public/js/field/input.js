@@ -0,0 +1,225 @@
+    /**
+     * Pointer input for the bubble field: press a bubble to drag it,
+     * release it where it should go, or press and release in place to
+     * click it. Every pointer is tracked on its own by its pointerId, so
+     * separate fingers drag separate bubbles at once. Fingers pressed
+     * outside the bubbles pinch to zoom and pan the field instead (see
+     * zoom.js): two of them zoom about their midpoint, one pans.
+     *
+     * Pointer events cover mouse, touch and pen alike; browsers without
+     * them get the same handling from mouse events, as a single pointer,
+     * so there is one code path either way. The controller only tracks
+     * the pointers; the physics moves each dragged bubble towards its
+     * pointer (see dragTargets) and the field applies the zoom.
+     */
+
+    // A press that ends within this many pixels of where it started
+    // counts as a click rather than a drag.
+    const clickTolerance = 5;
+    // Id of the one pointer of mouse events, which have no pointerId.
+    const mousePointerId = 'mouse';
+
+    /**
+     * @typedef {object} PinchPoint
+     * @property {number} x Midpoint of the fingers, in container
+     *   coordinates
+     * @property {number} y
+     * @property {number|null} distance Distance between the first two
+     *   fingers, or null for a single finger
+     */
+
+    /**
+     * @param {HTMLElement} container The field's container
+     * @param {object} options
+     * @param {function(number, number): (object|null)} options.bubbleAt
+     *   The bubble under a point in container coordinates
+     * @param {function(number, number): {x: number, y: number}} options.toField
+     *   The field point under a point in container coordinates
+     * @param {function(): DOMRect} options.rect The container's current
+     *   position and size in the viewport
+     * @param {function(): boolean} options.zoomable Whether presses
+     *   outside the bubbles should zoom and pan, e.g. not while the
+     *   treemap is shown
+     * @param {function(object): void} options.onGrab A bubble was pressed
+     * @param {function(object, boolean): void} options.onRelease A bubble
+     *   was let go; the flag tells whether the press was a click
+     * @param {function(): void} options.onPinchStart A pinch or pan
+     *   started, or a finger joined or left it
+     * @param {function(PinchPoint, PinchPoint): void} options.onPinch The
+     *   fingers moved from where they were at onPinchStart
+     * @returns {{dragTargets: function(): Array<{bubble: object, x: number, y: number}>, destroy: function(): void}}
+     */
+    export function createInputController(container, { bubbleAt, toField, rect, zoomable, onGrab, onRelease, onPinchStart, onPinch }) {
+      // Detect if the browser supports PointerEvent. If it does, only
+      // pointer events are used, since touch devices emit both pointer and
+      // mouse events for the same touch.
+      const usingPointerEvents = typeof window.PointerEvent !== 'undefined';
+      const events = usingPointerEvents
+        ? { down: 'pointerdown', move: 'pointermove', up: 'pointerup', cancel: 'pointercancel' }
+        : { down: 'mousedown', move: 'mousemove', up: 'mouseup', cancel: null };
+
+      // Pressed pointers by id: where each is now (client coordinates),
+      // where its press started, and the bubble it holds with the offset
+      // between the pointer and the bubble's top-left corner in field
+      // coordinates, or no bubble for a pinching finger.
+      const pointers = new Map();
+      // Where the pinching fingers were when the pinch (re)started.
+      let pinchFrom = null;
+
+      /**
+       * @param {PointerEvent|MouseEvent} e
+       * @returns {number|string}
+       */
+      function pointerIdOf(e) {
+        return usingPointerEvents ? e.pointerId : mousePointerId;
+      }
+
+      /**
+       * Midpoint and spread of the pinching fingers.
+       * @returns {PinchPoint|null} null without any
+       */
+      function pinchPoint() {
+        const fingers = [...pointers.values()].filter((pointer) => !pointer.bubble);
+        if (fingers.length === 0) return null;
+        const bounds = rect();
+        const x = fingers.reduce((sum, finger) => sum + finger.x, 0) / fingers.length - bounds.left;
+        const y = fingers.reduce((sum, finger) => sum + finger.y, 0) / fingers.length - bounds.top;
+        const distance = fingers.length > 1
+          ? Math.hypot(fingers[1].x - fingers[0].x, fingers[1].y - fingers[0].y)
+          : null;
+        return { x: x, y: y, distance: distance };
+      }
+
+      /**
+       * Start the pinch over from the fingers now down, so a finger
+       * joining or leaving does not make the field jump.
+       */
+      function restartPinch() {
+        pinchFrom = pinchPoint();
+        if (pinchFrom) onPinchStart();
+      }
+
+      /**
+       * Track a new press: it grabs the bubble under it unless another
+       * pointer already holds that one, else it joins the pinch.
+       */
+      function handleDown(e) {
+        const bounds = rect();
+        const x = e.clientX - bounds.left;
+        const y = e.clientY - bounds.top;
+        const hit = bubbleAt(x, y);
+        const held = [...pointers.values()].some((pointer) => pointer.bubble === hit);
+        const bubble = hit && !held ? hit : null;
+        if (!bubble && !zoomable()) return;
+        const id = pointerIdOf(e);
+        const pointer = { x: e.clientX, y: e.clientY, pressX: e.clientX, pressY: e.clientY, bubble: bubble, offsetX: 0, offsetY: 0 };
+        pointers.set(id, pointer);
+        if (bubble) {
+          container.style.cursor = 'grabbing';
+          // Keep the offset between the pointer and the bubble so the
+          // bubble does not jump to centre itself under the pointer.
+          const point = toField(x, y);
+          pointer.offsetX = point.x - bubble.x;
+          pointer.offsetY = point.y - bubble.y;
+          // Reset any residual velocity on the bubble when it is grabbed to avoid
+          // an initial "kick" from previous motion. This mirrors the behaviour
+          // implemented on release, ensuring a smooth start to the drag.
+          bubble.vx = 0;
+          bubble.vy = 0;
+          onGrab(bubble);
+        } else {
+          restartPinch();
+        }
+        // Capture subsequent pointer events on the container so we continue
+        // receiving move and up events even if the pointer moves outside
+        // the bubble container, e.g. when a finger crosses the tab rows.
+        if (usingPointerEvents && typeof container.setPointerCapture === 'function') {
+          try {
+            container.setPointerCapture(e.pointerId);
+          } catch (err) {
+            // ignore if capture fails (e.g. not supported)
+          }
+        }
+        // Prevent default to stop text selection, scrolling and pinching.
+        e.preventDefault();
+      }
+
+      /**
+       * Follow the pointers anywhere in the window, so a dragged bubble
+       * keeps up even outside the container. While nothing is pressed,
+       * show a grab cursor over bubbles: the DOM renderer gets this from
+       * CSS on each bubble element, but the canvas has no per-bubble
+       * elements.
+       */
+      function handleMove(e) {
+        const pointer = pointers.get(pointerIdOf(e));
+        if (!pointer) {
+          if (pointers.size > 0) return;
+          const bounds = rect();
+          const hit = bubbleAt(e.clientX - bounds.left, e.clientY - bounds.top);
+          container.style.cursor = hit ? 'grab' : '';
+          return;
+        }
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        if (!pointer.bubble && pinchFrom) onPinch(pinchFrom, pinchPoint());
+      }
+
+      /**
+       * A pointer was lifted, or the browser took it over (cancel, which
+       * never counts as a click).
+       */
+      function handleUp(e) {
+        const id = pointerIdOf(e);
+        if (usingPointerEvents && typeof container.releasePointerCapture === 'function') {
+          try {
+            container.releasePointerCapture(e.pointerId);
+          } catch (err) {
+            // ignore if release fails
+          }
+        }
+        const pointer = pointers.get(id);
+        if (!pointer) return;
+        pointers.delete(id);
+        if (!pointer.bubble) {
+          restartPinch();
+          return;
+        }
+        if (![...pointers.values()].some((other) => other.bubble)) container.style.cursor = '';
+        const click = e.type !== events.cancel && Math.hypot(e.clientX - pointer.pressX, e.clientY - pointer.pressY) <= clickTolerance;
+        onRelease(pointer.bubble, click);
+      }
+
+      container.addEventListener(events.down, handleDown, { passive: false });
+      window.addEventListener(events.move, handleMove);
+      window.addEventListener(events.up, handleUp);
+      if (events.cancel) window.addEventListener(events.cancel, handleUp);
+
+      return {
+        /**
+         * The dragged bubbles, one per pointer holding one, and the
+         * top-left corner each pointer is pulling its bubble to, in field
+         * coordinates.
+         */
+        dragTargets() {
+          const bounds = rect();
+          const targets = [];
+          for (const pointer of pointers.values()) {
+            if (!pointer.bubble) continue;
+            const point = toField(pointer.x - bounds.left, pointer.y - bounds.top);
+            targets.push({ bubble: pointer.bubble, x: point.x - pointer.offsetX, y: point.y - pointer.offsetY });
+          }
+          return targets;
+        },
+        /**
+         * Stop listening. The window listeners would otherwise outlive a
+         * field removed from the page.
+         */
+        destroy() {
+          container.removeEventListener(events.down, handleDown);
+          window.removeEventListener(events.move, handleMove);
+          window.removeEventListener(events.up, handleUp);
+          if (events.cancel) window.removeEventListener(events.cancel, handleUp);
+        }
+      };
+    }
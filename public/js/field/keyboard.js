@@ -0,0 +1,221 @@
+    /**
+     * Keyboard and screen-reader access to the field. Bubbles are drawn
+     * on a canvas or as bare <div>s and tiles as bare <div>s, none of
+     * which a keyboard can reach or a screen reader can describe, so the
+     * field keeps a visually hidden listbox next to them with one option
+     * per shown ticker ("NVDA, Nvidia Corp, up 1.9%, ..."). The listbox
+     * is a single tab stop:
+     *
+     *  - the arrow keys move to the nearest bubble or tile in that
+     *    direction, as laid out on screen
+     *  - Home and End move to the first and last one
+     *  - Enter or Space opens the focused one, like a click
+     *
+     * The active option is announced through aria-activedescendant; the
+     * field draws the visible focus ring (see onFocus).
+     */
+
+    import { formatPercent, formatPrice, formatMoneyChange } from './format.js';
+
+    // Keys moving the focus, with the direction they move in.
+    const DIRECTIONS = {
+      ArrowLeft: { dx: -1, dy: 0 },
+      ArrowRight: { dx: 1, dy: 0 },
+      ArrowUp: { dx: 0, dy: -1 },
+      ArrowDown: { dx: 0, dy: 1 }
+    };
+    // Weight of the distance across a direction against the distance
+    // along it when picking the nearest item, so moving right prefers
+    // the bubble straight to the right over a closer one far above.
+    const crossWeight = 2;
+
+    // Numbers the listboxes so several fields get distinct option ids.
+    let navigatorCount = 0;
+
+    /**
+     * A move without its sign, e.g. "1.9%", which the words around it
+     * replace.
+     * @param {number} change
+     * @returns {string}
+     */
+    function unsignedPercent(change) {
+      return formatPercent(Math.abs(change)).slice(1);
+    }
+
+    /**
+     * What a screen reader says for a stock, e.g. "NVDA, Nvidia Corp, up
+     * 1.9%, $178.26, Information Technology", with e.g. "2.4% ahead of
+     * SPY" after the move in a relative dataset and e.g. "position
+     * $4,200.00, up $200" in the portfolio.
+     * @param {object} stock
+     * @returns {string}
+     */
+    export function describeStock(stock) {
+      const change = stock.changePercent || 0;
+      const move = change === 0 ? 'unchanged' : (change > 0 ? 'up ' : 'down ') + unsignedPercent(change);
+      const parts = [stock.ticker, stock.name, move];
+      if (stock.benchmark && stock.excessChangePercent != null) {
+        const excess = stock.excessChangePercent;
+        parts.push(excess === 0
+          ? 'level with ' + stock.benchmark
+          : unsignedPercent(excess) + (excess > 0 ? ' ahead of ' : ' behind ') + stock.benchmark);
+      }
+      if (stock.positionValue != null) {
+        // "+$200" or "-$1.2k" with its sign spelled out; "$0" is no move.
+        const moved = formatMoneyChange(stock.positionChange);
+        parts.push('position ' + formatPrice(stock.positionValue) +
+          (moved === '$0' ? '' : (moved[0] === '+' ? ', up ' : ', down ') + moved.slice(1)));
+      }
+      if (stock.price != null) parts.push(formatPrice(stock.price));
+      parts.push(stock.sector);
+      return parts.filter(Boolean).join(', ');
+    }
+
+    /**
+     * The item nearest to `from` in the direction of an arrow key, or
+     * null if there is none that way.
+     * @param {{x: number, y: number}} from
+     * @param {Array<{ticker: string, x: number, y: number}>} items Centres
+     *   in container coordinates
+     * @param {string} key 'ArrowLeft', 'ArrowRight', 'ArrowUp' or
+     *   'ArrowDown'
+     * @returns {{ticker: string, x: number, y: number}|null}
+     */
+    export function nearestInDirection(from, items, key) {
+      const direction = DIRECTIONS[key];
+      let best = null;
+      let bestScore = Infinity;
+      for (const item of items) {
+        const dx = item.x - from.x;
+        const dy = item.y - from.y;
+        const along = dx * direction.dx + dy * direction.dy;
+        if (along <= 0) continue;
+        const across = Math.abs(direction.dx !== 0 ? dy : dx);
+        const score = along + crossWeight * across;
+        if (score < bestScore) {
+          best = item;
+          bestScore = score;
+        }
+      }
+      return best;
+    }
+
+    /**
+     * @param {HTMLElement} container The field's container
+     * @param {object} options
+     * @param {string} options.label Accessible name of the listbox
+     * @param {function(): Array<{ticker: string, x: number, y: number}>} options.positions
+     *   The shown tickers with their centres, in list order
+     * @param {function((string|null)): void} options.onFocus The focused
+     *   ticker changed; null when the listbox loses focus
+     * @param {function(string): void} options.onActivate Enter or Space
+     *   on a ticker
+     * @returns {{sync: function(Array<object>): void, setLabel: function(string): void, destroy: function(): void}}
+     */
+    export function createKeyboardNavigator(container, { label, positions, onFocus, onActivate }) {
+      const idPrefix = 'field-option-' + (++navigatorCount) + '-';
+      const list = document.createElement('div');
+      list.className = 'field-keyboard';
+      list.tabIndex = 0;
+      list.setAttribute('role', 'listbox');
+      list.setAttribute('aria-label', label);
+      container.appendChild(list);
+      // Option element of each shown ticker.
+      let options = new Map();
+      let active = null;
+      let focused = false;
+
+      /**
+       * @param {string} ticker
+       * @returns {string}
+       */
+      function optionId(ticker) {
+        return idPrefix + ticker.replace(/[^A-Za-z0-9_-]/g, '_');
+      }
+
+      /**
+       * Make a ticker the active option and tell the field, which draws
+       * the focus ring.
+       * @param {string|null} ticker
+       */
+      function setActive(ticker) {
+        if (active && options.has(active)) options.get(active).setAttribute('aria-selected', 'false');
+        active = ticker;
+        if (ticker && options.has(ticker)) {
+          options.get(ticker).setAttribute('aria-selected', 'true');
+          list.setAttribute('aria-activedescendant', optionId(ticker));
+        } else {
+          list.removeAttribute('aria-activedescendant');
+        }
+        if (focused) onFocus(active);
+      }
+
+      /**
+       * Rebuild the options for the stocks now shown. A focused ticker
+       * that is no longer shown loses the focus.
+       * @param {Array<object>} stocks
+       */
+      function sync(stocks) {
+        const next = new Map();
+        list.textContent = '';
+        for (const stock of stocks) {
+          const option = document.createElement('div');
+          option.id = optionId(stock.ticker);
+          option.setAttribute('role', 'option');
+          option.setAttribute('aria-selected', String(stock.ticker === active));
+          option.textContent = describeStock(stock);
+          list.appendChild(option);
+          next.set(stock.ticker, option);
+        }
+        options = next;
+        if (active && !options.has(active)) setActive(null);
+      }
+
+      function setLabel(text) {
+        list.setAttribute('aria-label', text);
+      }
+
+      function handleKeyDown(e) {
+        const items = positions();
+        if (items.length === 0) return;
+        const current = items.find((item) => item.ticker === active);
+        let target;
+        if (DIRECTIONS[e.key]) {
+          target = current ? nearestInDirection(current, items, e.key) : items[0];
+        } else if (e.key === 'Home') {
+          target = items[0];
+        } else if (e.key === 'End') {
+          target = items[items.length - 1];
+        } else if (e.key === 'Enter' || e.key === ' ') {
+          if (current) onActivate(current.ticker);
+          e.preventDefault();
+          return;
+        } else {
+          return;
+        }
+        e.preventDefault();
+        if (target) setActive(target.ticker);
+      }
+
+      function handleFocus() {
+        focused = true;
+        const items = positions();
+        if (!active && items.length > 0) setActive(items[0].ticker);
+        else onFocus(active);
+      }
+
+      function handleBlur() {
+        focused = false;
+        onFocus(null);
+      }
+
+      list.addEventListener('keydown', handleKeyDown);
+      list.addEventListener('focus', handleFocus);
+      list.addEventListener('blur', handleBlur);
+
+      function destroy() {
+        list.remove();
+      }
+
+      return { sync, setLabel, destroy };
+    }
@@ -0,0 +1,459 @@
+    /**
+     * Physics of the bubble field. Nothing here touches the DOM, so the
+     * engine runs (and is tested) headless in Node. A bubble is a plain
+     * object:
+     *
+     *   { x, y, vx, vy, size, targetSize, stock, ticker, changePercent,
+     *     releasedCooldown, filteredOut, pinned }
+     *
+     * where x/y is its top-left corner and size its diameter, in
+     * container pixels, and `stock` the data entry it shows (null for the
+     * random fallback bubbles). The field (see bubble-field.js) owns the
+     * bubbles and calls fitSizes() when the data, filters or size metric
+     * change, computeLayout() when the layout has to be redone, and
+     * step() once per animation frame.
+     */
+
+    import { formatPercent, formatMoneyChange } from './format.js';
+
+    // Strength of the push between overlapping bubbles.
+    const repulsionStrength = 0.08;
+    // How much harder a dragged bubble pushes the bubbles it meets, so it
+    // clears a path through the field.
+    const dragRepulsionMultiplier = 6;
+    // Share of the push a just-released bubble feels during its cooldown,
+    // which damps the shaking after a drag.
+    const releasedRepulsionFactor = 0.2;
+    // Share of its velocity a bubble keeps each frame.
+    const friction = 0.96;
+    // Spread of the random nudge added to each velocity per frame, for a
+    // gentle drift.
+    const jitter = 0.03;
+    // Share of the distance to its pointer added to a dragged bubble's
+    // velocity each frame; kept small, so it trails the pointer with
+    // some momentum.
+    const followStrength = 0.10;
+    // Frames after a release during which jitter is suppressed and the
+    // released bubble feels less push (see releasedRepulsionFactor). At
+    // 60fps, 40 frames ≈ 0.66s.
+    export const RELEASE_COOLDOWN = 40;
+
+    // Metrics that can drive bubble size. Each maps a stock entry to a
+    // non-negative value; bubble area is proportional to it. Missing
+    // values count as zero and end up at the minimum size.
+    export const SIZE_METRICS = {
+      change: (stock) => Math.abs(stock.changePercent || 0),
+      // Excess return over the benchmark, in relative datasets only.
+      excess: (stock) => Math.abs(stock.excessChangePercent || 0),
+      marketCap: (stock) => stock.marketCap || 0,
+      volume: (stock) => stock.volume || 0,
+      weight: (stock) => stock.weight || 0,
+      // Value of a portfolio position, in the portfolio market only.
+      positionValue: (stock) => stock.positionValue || 0
+    };
+    // Share of the container area that all bubbles together should cover,
+    // and the diameter bounds (px) each bubble is clamped to.
+    const fillRatio = 0.5;
+    const minBubbleSize = 30;
+    const maxBubbleSize = 350;
+
+    // Layout modes:
+    //  - 'free': bubbles only repel each other and drift (the default)
+    //  - 'sector': each sector gathers around its own anchor point, with
+    //    the sector name drawn behind it
+    //  - 'axis': bubbles are pulled horizontally by change, the biggest
+    //    gainers to the left and the biggest losers to the right
+    export const LAYOUT_MODES = ['free', 'sector', 'axis'];
+    // Pull (px/frame² per px of distance) towards a bubble's layout
+    // target, and the cap on it so far-away bubbles do not fly across
+    // the field. Kept well below repulsionStrength so clusters stay
+    // loose instead of piling bubbles on top of each other.
+    const layoutPull = 0.001;
+    const maxLayoutPull = 0.25;
+    // Space (px) kept free at the left and right edges in 'axis' mode.
+    const axisMargin = 60;
+    // Sector used for stocks without one.
+    export const UNKNOWN_SECTOR = 'Other';
+
+    /**
+     * Whether a stock passes the filters: `sector` keeps only that
+     * sector ('' for all), `direction` keeps only 'gainers' or 'losers'
+     * ('all' for both) and `minChange` drops stocks whose |changePercent|
+     * is below it.
+     * @param {object} stock
+     * @param {{sector: string, direction: string, minChange: number}} filters
+     * @returns {boolean}
+     */
+    export function passesFilters(stock, filters) {
+      const changePercent = stock.changePercent || 0;
+      if (filters.sector && stock.sector !== filters.sector) return false;
+      if (filters.direction === 'gainers' && changePercent <= 0) return false;
+      if (filters.direction === 'losers' && changePercent >= 0) return false;
+      return Math.abs(changePercent) >= filters.minChange;
+    }
+
+    /**
+     * Set the target size of every data bubble for a size metric so
+     * that, together, they cover `fillRatio` of the container: a day of
+     * huge movers shrinks to fit instead of overflowing and a quiet day
+     * grows instead of leaving tiny dots. Diameters are proportional to
+     * the square root of the metric so areas compare honestly. Bubbles
+     * that hit the min/max bounds are fixed there and the remaining area
+     * is redistributed over the others. Bubbles that do not pass the
+     * filters get `filteredOut` and shrink to zero, taking no part in the
+     * fit. Random fallback bubbles keep their size.
+     * @param {Array<object>} bubbles
+     * @param {object} options
+     * @param {{sector: string, direction: string, minChange: number}} options.filters
+     * @param {string} options.sizeMetric Key of SIZE_METRICS
+     * @param {number} options.width Container width
+     * @param {number} options.height Container height
+     */
+    export function fitSizes(bubbles, { filters, sizeMetric, width, height }) {
+      const sized = [];
+      for (const bubble of bubbles) {
+        if (!bubble.stock) continue;
+        bubble.filteredOut = !passesFilters(bubble.stock, filters);
+        if (bubble.filteredOut) bubble.targetSize = 0;
+        else sized.push(bubble);
+      }
+      if (sized.length === 0) return;
+      const metric = SIZE_METRICS[sizeMetric] || SIZE_METRICS.change;
+      let weights = sized.map((bubble) => Math.sqrt(Math.max(0, metric(bubble.stock))));
+      // No data for this metric at all: give every bubble the same size.
+      if (weights.every((w) => w === 0)) weights = weights.map(() => 1);
+      const targetArea = fillRatio * width * height;
+      const maxSize = Math.min(maxBubbleSize, 0.4 * Math.min(width, height));
+      const circleArea = (d) => (Math.PI / 4) * d * d;
+      const fixed = new Map();
+      let scale = 0;
+      for (let pass = 0; pass < 5; pass++) {
+        let fixedArea = 0;
+        let freeWeightSq = 0;
+        weights.forEach((w, i) => {
+          if (fixed.has(i)) fixedArea += circleArea(fixed.get(i));
+          else freeWeightSq += w * w;
+        });
+        scale = freeWeightSq > 0
+          ? Math.sqrt(Math.max(0, targetArea - fixedArea) / ((Math.PI / 4) * freeWeightSq))
+          : 0;
+        let clamped = false;
+        weights.forEach((w, i) => {
+          if (fixed.has(i)) return;
+          const d = scale * w;
+          if (d < minBubbleSize) {
+            fixed.set(i, minBubbleSize);
+            clamped = true;
+          } else if (d > maxSize) {
+            fixed.set(i, maxSize);
+            clamped = true;
+          }
+        });
+        if (!clamped) break;
+      }
+      sized.forEach((bubble, i) => {
+        bubble.targetSize = fixed.has(i) ? fixed.get(i) : scale * weights[i];
+      });
+    }
+
+    /**
+     * Compute the layout targets for a mode, and the background labels
+     * that go with it as [{text, x, y, align}] (see renderers.js). Sector
+     * clusters are placed on a grid, largest sector (by bubble area)
+     * first; each cluster's radius is what its bubbles need when packed,
+     * so bubbles only feel a pull once they stray outside it.
+     * @param {Array<object>} bubbles
+     * @param {object} options
+     * @param {string} options.mode One of LAYOUT_MODES
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {number} options.maxAbsChange Largest |changePercent| in the
+     *   data, the ends of the 'axis' layout
+     * @param {string} [options.measure] One of COLOR_MEASURES (see
+     *   colors.js), the move the axis is in: its labels are in dollars
+     *   for 'positionChange', else in percent
+     * @returns {{mode: string, width: number, maxAbsChange: number, anchors: Map<string, {x: number, y: number, radius: number}>, labels: Array<object>}}
+     */
+    export function computeLayout(bubbles, { mode, width, height, maxAbsChange, measure = 'change' }) {
+      const anchors = new Map();
+      const labels = [];
+      if (mode === 'sector') {
+        const areas = new Map();
+        for (const bubble of bubbles) {
+          if (!bubble.stock || bubble.filteredOut) continue;
+          const sector = bubble.stock.sector || UNKNOWN_SECTOR;
+          const area = (Math.PI / 4) * bubble.targetSize * bubble.targetSize;
+          areas.set(sector, (areas.get(sector) || 0) + area);
+        }
+        const sectors = [...areas.keys()].sort((a, b) => areas.get(b) - areas.get(a));
+        const cols = Math.max(1, Math.ceil(Math.sqrt(sectors.length * width / Math.max(1, height))));
+        const rows = Math.max(1, Math.ceil(sectors.length / cols));
+        sectors.forEach((sector, i) => {
+          const x = ((i % cols) + 0.5) * (width / cols);
+          const y = (Math.floor(i / cols) + 0.5) * (height / rows);
+          // Random packing of circles covers roughly 70% of the area.
+          const radius = Math.sqrt(areas.get(sector) / (Math.PI * 0.7));
+          anchors.set(sector, { x: x, y: y, radius: radius });
+          labels.push({ text: sector, x: x, y: Math.max(14, y - radius - 10), align: 'center' });
+        });
+      } else if (mode === 'axis') {
+        const format = measure === 'positionChange' ? formatMoneyChange : formatPercent;
+        labels.push({ text: 'Gainers ' + format(maxAbsChange), x: 10, y: 14, align: 'left' });
+        labels.push({ text: measure === 'positionChange' ? '$0' : '0%', x: width / 2, y: 14, align: 'center' });
+        labels.push({ text: 'Losers ' + format(-maxAbsChange), x: width - 10, y: 14, align: 'right' });
+      }
+      return { mode: LAYOUT_MODES.includes(mode) ? mode : 'free', width, maxAbsChange, anchors, labels };
+    }
+
+    /**
+     * Pull a data bubble towards its target in the layout: into its
+     * sector's circle in 'sector' mode, or horizontally to the position
+     * of its change in 'axis' mode. Free drift adds nothing.
+     * @param {object} bubble
+     * @param {object} layout As returned by computeLayout()
+     */
+    function applyLayoutForce(bubble, layout) {
+      if (layout.mode === 'free' || !bubble.stock || bubble.filteredOut || bubble.pinned) return;
+      const radius = bubble.size / 2;
+      const cx = bubble.x + radius;
+      const cy = bubble.y + radius;
+      if (layout.mode === 'sector') {
+        const anchor = layout.anchors.get(bubble.stock.sector || UNKNOWN_SECTOR);
+        if (!anchor) return;
+        const dx = anchor.x - cx;
+        const dy = anchor.y - cy;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        // Only the part of the distance outside the cluster counts.
+        const excess = dist - Math.max(0, anchor.radius - radius);
+        if (excess <= 0) return;
+        const pull = Math.min(maxLayoutPull, layoutPull * excess);
+        bubble.vx += (dx / dist) * pull;
+        bubble.vy += (dy / dist) * pull;
+      } else if (layout.mode === 'axis') {
+        const half = layout.width / 2;
+        const targetX = half - (bubble.changePercent / layout.maxAbsChange) * Math.max(0, half - axisMargin);
+        const dx = targetX - cx;
+        const pull = Math.min(maxLayoutPull, layoutPull * Math.abs(dx));
+        bubble.vx += Math.sign(dx) * pull;
+      }
+    }
+
+    /**
+     * Broad-phase collision detection with a spatial hash. Each bubble is
+     * inserted into every grid cell its bounding box touches, so only
+     * bubbles sharing a cell are compared instead of every pair. A pair
+     * that shares several cells is reported once: only from the cell
+     * containing the top-left corner of the overlap of their boxes. The
+     * cell size adapts to the average bubble size.
+     * @param {Array<object>} list
+     * @param {function(object, object): void} callback Called for each
+     *   pair whose bounding boxes overlap
+     */
+    export function forEachNearbyPair(list, callback) {
+      if (list.length < 2) return;
+      let totalSize = 0;
+      for (const bubble of list) totalSize += bubble.size;
+      const cellSize = Math.max(32, (2 * totalSize) / list.length);
+      const cells = new Map();
+      for (const bubble of list) {
+        const x0 = Math.floor(bubble.x / cellSize);
+        const x1 = Math.floor((bubble.x + bubble.size) / cellSize);
+        const y0 = Math.floor(bubble.y / cellSize);
+        const y1 = Math.floor((bubble.y + bubble.size) / cellSize);
+        for (let cx = x0; cx <= x1; cx++) {
+          for (let cy = y0; cy <= y1; cy++) {
+            // Pack the cell coordinates into one number; offsets keep
+            // slightly negative coordinates (bubbles at the edge) valid.
+            const key = (cx + 1024) * 4096 + (cy + 1024);
+            let cell = cells.get(key);
+            if (!cell) {
+              cell = { cx: cx, cy: cy, items: [] };
+              cells.set(key, cell);
+            }
+            cell.items.push(bubble);
+          }
+        }
+      }
+      for (const cell of cells.values()) {
+        const items = cell.items;
+        for (let i = 0; i < items.length; i++) {
+          const b1 = items[i];
+          for (let j = i + 1; j < items.length; j++) {
+            const b2 = items[j];
+            const left = Math.max(b1.x, b2.x);
+            const top = Math.max(b1.y, b2.y);
+            if (left > Math.min(b1.x + b1.size, b2.x + b2.size)) continue;
+            if (top > Math.min(b1.y + b1.size, b2.y + b2.size)) continue;
+            if (Math.floor(left / cellSize) !== cell.cx || Math.floor(top / cellSize) !== cell.cy) continue;
+            callback(b1, b2);
+          }
+        }
+      }
+    }
+
+    /**
+     * Push two overlapping bubbles apart.
+     * @param {object} b1
+     * @param {object} b2
+     * @param {Set<object>} dragged The bubbles being dragged
+     */
+    export function repel(b1, b2, dragged) {
+      const dx = b1.x + b1.size / 2 - (b2.x + b2.size / 2);
+      const dy = b1.y + b1.size / 2 - (b2.y + b2.size / 2);
+      const distSq = dx * dx + dy * dy;
+      const minDist = (b1.size + b2.size) / 2;
+      // Only apply a force when bubbles are within repulsion range.
+      if (distSq >= minDist * minDist) return;
+      const dist = Math.sqrt(distSq) || 1;
+      // Normalise direction vector.
+      const ux = dx / dist;
+      const uy = dy / dist;
+      // Strength of force increases as bubbles get closer.
+      const strength = (minDist - dist) / minDist;
+      // Determine if either bubble is currently being dragged. If so,
+      // multiply the base repulsion strength so the dragged bubble
+      // more effectively clears a path through neighbours. Also
+      // reduce the repulsion if one of the bubbles is in its
+      // post‑release cooldown period to minimise jitter.
+      let forceMultiplier = 1;
+      if (dragged.has(b1) || dragged.has(b2)) {
+        forceMultiplier *= dragRepulsionMultiplier;
+      }
+      if (b1.releasedCooldown > 0 || b2.releasedCooldown > 0) {
+        forceMultiplier *= releasedRepulsionFactor;
+      }
+      const force = repulsionStrength * strength * forceMultiplier;
+      // Push each bubble away from the other. A pinned bubble does not
+      // move, so the other one takes the whole push.
+      if (b1.pinned && b2.pinned) return;
+      const share = b1.pinned || b2.pinned ? 2 : 1;
+      if (!b1.pinned) {
+        b1.vx += ux * force * share;
+        b1.vy += uy * force * share;
+      }
+      if (!b2.pinned) {
+        b2.vx -= ux * force * share;
+        b2.vy -= uy * force * share;
+      }
+    }
+
+    /**
+     * Advance the field by one animation frame: apply repulsion, drift,
+     * layout pulls and the drag, move every bubble, ease sizes towards
+     * their targets and keep bubbles inside the container.
+     * @param {Array<object>} bubbles
+     * @param {object} world
+     * @param {number} world.width Container width
+     * @param {number} world.height Container height
+     * @param {object} world.layout As returned by computeLayout()
+     * @param {Array<{bubble: object, x: number, y: number}>} [world.drags]
+     *   The dragged bubbles, one per pointer holding one, and where each
+     *   pointer wants its bubble's top-left corner
+     * @param {function(): number} [world.random] Source of jitter, in
+     *   [0, 1); replaceable for reproducible runs
+     */
+    export function step(bubbles, { width, height, layout, drags = [], random = Math.random }) {
+      const targets = new Map(drags.map((drag) => [drag.bubble, drag]));
+      const dragged = new Set(targets.keys());
+
+      // Apply repulsion between nearby bubbles. The spatial hash keeps
+      // this close to linear in the number of bubbles, so the full index
+      // plus crypto (600+ bubbles) stays smooth. Bubbles that have
+      // shrunk away behind a filter no longer push anything.
+      forEachNearbyPair(bubbles.filter((bubble) => bubble.size > 0), (b1, b2) => repel(b1, b2, dragged));
+
+      bubbles.forEach(function (bubble) {
+        const drag = targets.get(bubble);
+        // Add some random jitter to create a gentle drifting motion. Jitter
+        // is omitted for dragged bubbles (they follow their pointers)
+        // and for a short period after a bubble is released to prevent
+        // shaking.
+        if (bubble.pinned && !drag) {
+          // Pinned bubbles hold still; only their size still eases.
+          bubble.vx = 0;
+          bubble.vy = 0;
+          bubble.releasedCooldown = 0;
+        } else if (!drag && bubble.releasedCooldown === 0) {
+          bubble.vx += (random() - 0.5) * jitter;
+          bubble.vy += (random() - 0.5) * jitter;
+        } else if (bubble.releasedCooldown > 0) {
+          // Decrement the cooldown counter each frame. When it reaches zero
+          // jitter will resume for this bubble.
+          bubble.releasedCooldown--;
+        }
+
+        if (drag) {
+          // Accelerate the dragged bubble towards its pointer rather than
+          // moving it there outright, so it keeps some inertia.
+          bubble.vx += (drag.x - bubble.x) * followStrength;
+          bubble.vy += (drag.y - bubble.y) * followStrength;
+        } else {
+          // Pull towards the bubble's place in the sector or axis layout.
+          // Dragged bubbles go wherever their pointers take them.
+          applyLayoutForce(bubble, layout);
+        }
+
+        // Apply friction so bubbles eventually slow down.
+        bubble.vx *= friction;
+        bubble.vy *= friction;
+
+        // Update position based on velocity.
+        bubble.x += bubble.vx;
+        bubble.y += bubble.vy;
+
+        // Ease the rendered size towards the target size set by the
+        // latest data so range switches grow and shrink bubbles smoothly.
+        // The position is shifted by half the size change to keep the
+        // bubble centred while it resizes.
+        if (bubble.size !== bubble.targetSize) {
+          const delta = bubble.targetSize - bubble.size;
+          const stepSize = Math.abs(delta) < 0.5 ? delta : delta * 0.1;
+          bubble.size += stepSize;
+          bubble.x -= stepSize / 2;
+          bubble.y -= stepSize / 2;
+        }
+
+        // Constrain bubbles within the container. When a bubble hits
+        // the edge, invert its velocity component and clamp its position
+        // inside the bounds.
+        if (bubble.x < 0) {
+          bubble.x = 0;
+          bubble.vx *= -1;
+        }
+        if (bubble.x + bubble.size > width) {
+          bubble.x = width - bubble.size;
+          bubble.vx *= -1;
+        }
+        if (bubble.y < 0) {
+          bubble.y = 0;
+          bubble.vy *= -1;
+        }
+        if (bubble.y + bubble.size > height) {
+          bubble.y = height - bubble.size;
+          bubble.vy *= -1;
+        }
+      });
+    }
+
+    /**
+     * Find the topmost bubble under a point in container coordinates.
+     * Bubbles later in the array are drawn on top, so the search runs
+     * backwards. Bubbles hidden by the filters cannot be hit.
+     * @param {Array<object>} bubbles
+     * @param {number} x
+     * @param {number} y
+     * @returns {object|null}
+     */
+    export function bubbleAt(bubbles, x, y) {
+      for (let i = bubbles.length - 1; i >= 0; i--) {
+        const bubble = bubbles[i];
+        if (bubble.filteredOut) continue;
+        const radius = bubble.size / 2;
+        const dx = x - (bubble.x + radius);
+        const dy = y - (bubble.y + radius);
+        if (dx * dx + dy * dy <= radius * radius) {
+          return bubble;
+        }
+      }
+      return null;
+    }
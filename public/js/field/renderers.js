@@ -0,0 +1,489 @@
+    /**
+     * Renderers for the bubble field. The field (bubble-field.js) owns the
+     * bubble state (position, size, label and colours) and the physics; a
+     * renderer only turns that state into pixels. Both renderers
+     * implement:
+     *
+     *  - add(bubble) / remove(bubble): a bubble enters or leaves the field
+     *  - refresh(bubble): its label, colours or pinned state changed
+     *  - pulse(bubble): briefly highlight it after a live update
+     *  - highlight(bubble): mark it as the result of a search
+     *  - setDragging(bubble, dragging): it was grabbed or released
+     *  - setFocused(bubble): ring the bubble focused with the keyboard
+     *    (see keyboard.js), or none with null
+     *  - resize(width, height): the container changed size
+     *  - setView(view): the field was zoomed or panned (see zoom.js);
+     *    bubbles and labels are in field coordinates and drawn through
+     *    the view, their text growing with the zoom
+     *  - setLabels(labels): text drawn behind the bubbles, e.g. sector
+     *    names, as [{text, x, y, align}] in field coordinates with
+     *    align 'left', 'center' or 'right'
+     *  - draw(bubbles): called once per animation frame
+     *  - destroy(): remove everything it added to the container
+     *
+     * The canvas renderer draws every bubble into a single <canvas> and
+     * scales to hundreds of bubbles; renderFieldImage() paints the same
+     * picture off screen for image export. The DOM renderer keeps one <div> per
+     * bubble and remains available as a fallback (`?renderer=dom`).
+     *
+     * A bubble's colours (see bubbleColors in colors.js) are a radial
+     * gradient from `inner` to `outer`; in high contrast they also carry
+     * a `border` to draw around a solid fill and a `text` colour. Both
+     * renderers hide what they draw from screen readers, which read the
+     * field's keyboard list instead.
+     */
+
+    import { identityView, toScreen } from './zoom.js';
+
+    /**
+     * Label font sizes for a bubble. To avoid long tickers overflowing,
+     * the ticker font is scaled down based on its length: it uses roughly
+     * 25% of the diameter for tickers up to 3 characters and is scaled by
+     * 3/len for longer ones. A lower minimum (8px) ensures the text
+     * remains inside very small bubbles. Fallback bubbles (no ticker) use
+     * a slightly reduced size since the random number may have more
+     * digits than a typical ticker. The percentage text uses ~12% of the
+     * diameter with a lower minimum to keep it inside small bubbles.
+     * @param {object} bubble
+     * @returns {{label: number, sublabel: number}}
+     */
+    function labelFontSizes(bubble) {
+      const size = bubble.size;
+      let label;
+      if (bubble.ticker) {
+        const len = bubble.ticker.length;
+        const scale = len > 3 ? (3 / len) : 1;
+        label = Math.max(8, size * 0.25 * scale);
+      } else {
+        label = Math.max(8, size * 0.24);
+      }
+      return { label: label, sublabel: Math.max(6, size * 0.12) };
+    }
+
+    // Bubbles smaller than this (px) are drawn without labels, so a
+    // bubble shrinking away after being filtered out does not leave its
+    // text floating behind.
+    const minLabelledSize = 20;
+    // Duration (ms) of the pulsing ring around a bubble found by search.
+    const highlightDuration = 3000;
+
+    // Width (px) of the rim drawn around high-contrast bubbles.
+    const borderWidth = 2;
+
+    /**
+     * CSS radial gradient matching a bubble's colours: a highlight at
+     * 30%/30% fading to the outer colour at 70% and transparent at the
+     * rim. High-contrast colours are a solid fill instead.
+     * @param {{inner: string, outer: string, border?: string}} colors
+     * @returns {string}
+     */
+    function cssGradient(colors) {
+      if (colors.border) return colors.inner;
+      return (
+        'radial-gradient(circle at 30% 30%, ' + colors.inner + ', ' +
+        colors.outer + ' 70%, transparent)'
+      );
+    }
+
+    /**
+     * Paint the background labels (see setLabels) into a 2D context.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Array<{text: string, x: number, y: number, align: string}>} labels
+     */
+    function paintFieldLabels(ctx, labels) {
+      ctx.save();
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+      ctx.font = 'bold 16px Arial, sans-serif';
+      ctx.textBaseline = 'middle';
+      for (const label of labels) {
+        ctx.textAlign = label.align;
+        ctx.fillText(label.text, label.x, label.y);
+      }
+      ctx.restore();
+    }
+
+    /**
+     * Paint one bubble (gradient and labels) into a 2D context. Shared by
+     * the canvas renderer and renderFieldImage so both look the same.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {object} bubble
+     */
+    function paintBubble(ctx, bubble) {
+      const size = bubble.size;
+      if (size <= 0) return;
+      const radius = size / 2;
+      const cx = bubble.x + radius;
+      const cy = bubble.y + radius;
+      // Same shape as the CSS gradient: centred at 30%/30% of the
+      // bounding box and reaching the farthest corner (~0.99 × size).
+      const hx = bubble.x + size * 0.3;
+      const hy = bubble.y + size * 0.3;
+      const colors = bubble.colors;
+      ctx.beginPath();
+      if (colors.border) {
+        ctx.arc(cx, cy, Math.max(0, radius - borderWidth / 2), 0, Math.PI * 2);
+        ctx.fillStyle = colors.inner;
+        ctx.fill();
+        ctx.strokeStyle = colors.border;
+        ctx.lineWidth = borderWidth;
+        ctx.stroke();
+      } else {
+        const gradient = ctx.createRadialGradient(hx, hy, 0, hx, hy, size * 0.99);
+        gradient.addColorStop(0, colors.inner);
+        gradient.addColorStop(0.7, colors.outer);
+        gradient.addColorStop(1, 'transparent');
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+      }
+
+      if (size < minLabelledSize) return;
+      const fonts = labelFontSizes(bubble);
+      ctx.save();
+      ctx.fillStyle = colors.text || 'white';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      if (!colors.text) {
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+        ctx.shadowBlur = 4;
+      }
+      if (bubble.sublabel) {
+        // Two lines with a line-height of 1, centred as a block.
+        ctx.font = 'bold ' + fonts.label + 'px Arial, sans-serif';
+        ctx.fillText(bubble.label, cx, cy - fonts.sublabel / 2);
+        ctx.font = 'bold ' + fonts.sublabel + 'px Arial, sans-serif';
+        ctx.fillText(bubble.sublabel, cx, cy + fonts.label / 2);
+      } else {
+        ctx.font = 'bold ' + fonts.label + 'px Arial, sans-serif';
+        ctx.fillText(bubble.label, cx, cy);
+      }
+      ctx.restore();
+    }
+
+    /**
+     * Paint the field into a new off-screen canvas, whichever renderer
+     * is on screen, e.g. for a PNG export. Transient rings (pulse,
+     * highlight) are left out.
+     * @param {Array<object>} bubbles
+     * @param {Array<object>} labels Background labels, as for setLabels
+     * @param {number} width
+     * @param {number} height
+     * @param {string} background Fill colour behind the bubbles
+     * @returns {HTMLCanvasElement}
+     */
+    export function renderFieldImage(bubbles, labels, width, height, background) {
+      const ratio = window.devicePixelRatio || 1;
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+      paintFieldLabels(ctx, labels);
+      for (const bubble of bubbles) {
+        paintBubble(ctx, bubble);
+      }
+      return canvas;
+    }
+
+    /**
+     * Renderer that keeps one absolutely positioned <div> per bubble and
+     * moves it with a CSS transform every frame.
+     * @param {HTMLElement} container
+     */
+    export function createDomRenderer(container) {
+      // The zoom and pan, see zoom.js.
+      let fieldView = identityView();
+
+      function add(bubble) {
+        const div = document.createElement('div');
+        div.className = 'bubble';
+        div.setAttribute('aria-hidden', 'true');
+        div.style.borderRadius = '50%';
+        div.style.display = 'flex';
+        div.style.flexDirection = 'column';
+        div.style.alignItems = 'center';
+        div.style.justifyContent = 'center';
+        div.style.color = 'white';
+        div.style.fontWeight = 'bold';
+        div.style.textAlign = 'center';
+        // Ensure the bubble is draggable by explicitly setting pointer
+        // events, cursor and user-select properties. Although these
+        // properties are also defined in the CSS for .bubble, setting
+        // them here avoids issues if the CSS is overridden or fails to
+        // load.
+        div.style.pointerEvents = 'auto';
+        div.style.cursor = 'grab';
+        div.style.userSelect = 'none';
+        // Create separate elements for the label and sublabel to allow
+        // independent font sizing. Disable pointer events on them so
+        // clicks always register on the bubble element, allowing
+        // dragging even when clicking on text.
+        const labelEl = document.createElement('div');
+        const sublabelEl = document.createElement('div');
+        [labelEl, sublabelEl].forEach((el) => {
+          el.style.lineHeight = '1';
+          el.style.pointerEvents = 'none';
+          div.appendChild(el);
+        });
+        bubble.view = { el: div, labelEl: labelEl, sublabelEl: sublabelEl, size: -1, highlightTimer: null };
+        refresh(bubble);
+        container.appendChild(div);
+      }
+
+      function remove(bubble) {
+        bubble.view.el.remove();
+      }
+
+      function refresh(bubble) {
+        const view = bubble.view;
+        view.labelEl.textContent = bubble.label;
+        view.sublabelEl.textContent = bubble.sublabel || '';
+        view.sublabelEl.style.display = bubble.sublabel ? '' : 'none';
+        view.el.style.background = cssGradient(bubble.colors);
+        view.el.style.border = bubble.colors.border ? borderWidth + 'px solid ' + bubble.colors.border : '';
+        view.el.style.boxSizing = bubble.colors.border ? 'border-box' : '';
+        view.el.style.textShadow = bubble.colors.text ? 'none' : '';
+        view.el.classList.toggle('pinned', !!bubble.pinned);
+        // Font sizes depend on the label length, so force a size update.
+        view.size = -1;
+      }
+
+      function pulse(bubble) {
+        const el = bubble.view.el;
+        el.classList.remove('updated');
+        // Force a reflow so re-adding the class restarts the animation.
+        void el.offsetWidth;
+        el.classList.add('updated');
+      }
+
+      function highlight(bubble) {
+        const el = bubble.view.el;
+        el.classList.remove('highlighted');
+        void el.offsetWidth;
+        el.classList.add('highlighted');
+        // Keep the highlighted bubble above its neighbours.
+        container.appendChild(el);
+        clearTimeout(bubble.view.highlightTimer);
+        bubble.view.highlightTimer = setTimeout(() => el.classList.remove('highlighted'), highlightDuration);
+      }
+
+      function setDragging(bubble, dragging) {
+        bubble.view.el.classList.toggle('dragging', dragging);
+      }
+
+      let focused = null;
+      function setFocused(bubble) {
+        if (focused && focused.view) focused.view.el.classList.remove('focused');
+        focused = bubble;
+        if (bubble) bubble.view.el.classList.add('focused');
+      }
+
+      function resize() {}
+
+      // Label elements are inserted before the first bubble so bubbles
+      // paint over them.
+      let labels = [];
+      let labelEls = [];
+      function setLabels(newLabels) {
+        labels = newLabels;
+        labelEls.forEach((el) => el.remove());
+        labelEls = labels.map((label) => {
+          const el = document.createElement('div');
+          el.className = 'field-label';
+          el.setAttribute('aria-hidden', 'true');
+          el.textContent = label.text;
+          const shift = label.align === 'left' ? '0' : label.align === 'right' ? '-100%' : '-50%';
+          el.style.transform = 'translate(' + shift + ', -50%)';
+          container.insertBefore(el, container.firstChild);
+          return el;
+        });
+        placeLabels();
+      }
+
+      /**
+       * Move the label elements to where the view shows their points.
+       */
+      function placeLabels() {
+        labels.forEach((label, i) => {
+          const point = toScreen(fieldView, label.x, label.y);
+          labelEls[i].style.left = point.x + 'px';
+          labelEls[i].style.top = point.y + 'px';
+        });
+      }
+
+      function setView(newView) {
+        fieldView = newView;
+        placeLabels();
+      }
+
+      function draw(bubbles) {
+        const zoom = fieldView.scale;
+        for (const bubble of bubbles) {
+          const view = bubble.view;
+          // The size on screen, which also scales the labels.
+          const size = bubble.size * zoom;
+          if (view.size !== size) {
+            view.size = size;
+            view.el.style.width = size + 'px';
+            view.el.style.height = size + 'px';
+            const fonts = labelFontSizes(bubble);
+            view.labelEl.style.fontSize = fonts.label * zoom + 'px';
+            view.sublabelEl.style.fontSize = fonts.sublabel * zoom + 'px';
+            view.el.style.visibility = bubble.size < 1 ? 'hidden' : '';
+            view.el.style.color = bubble.size < minLabelledSize ? 'transparent' : (bubble.colors.text || '');
+          }
+          // Update DOM element transform. Using translate for better performance.
+          const point = toScreen(fieldView, bubble.x, bubble.y);
+          view.el.style.transform = 'translate(' + point.x + 'px, ' + point.y + 'px)';
+        }
+      }
+
+      function destroy() {
+        labelEls.forEach((el) => el.remove());
+        labelEls = [];
+        container.querySelectorAll(':scope > .bubble').forEach((el) => el.remove());
+      }
+
+      return { name: 'dom', add, remove, refresh, pulse, highlight, setDragging, setFocused, resize, setView, setLabels, draw, destroy };
+    }
+
+    /**
+     * Renderer that paints all bubbles into one <canvas> covering the
+     * container. The canvas is scaled by devicePixelRatio so text and
+     * edges stay sharp on high-density screens.
+     * @param {HTMLElement} container
+     */
+    export function createCanvasRenderer(container) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'bubble-canvas';
+      canvas.setAttribute('aria-hidden', 'true');
+      container.appendChild(canvas);
+      const ctx = canvas.getContext('2d');
+      // Duration (ms) of the ring drawn around a bubble after a live
+      // update, matching the .bubble.updated animation of the DOM path.
+      const pulseDuration = 800;
+      let width = 0;
+      let height = 0;
+      let labels = [];
+      let focused = null;
+      // The zoom and pan, see zoom.js.
+      let fieldView = identityView();
+
+      function add(bubble) {
+        bubble.view = { pulseStart: 0, highlightStart: -Infinity };
+      }
+
+      function remove() {}
+
+      function refresh() {}
+
+      function pulse(bubble) {
+        bubble.view.pulseStart = performance.now();
+      }
+
+      function highlight(bubble) {
+        bubble.view.highlightStart = performance.now();
+      }
+
+      function setDragging() {}
+
+      function setFocused(bubble) {
+        focused = bubble;
+      }
+
+      function resize(newWidth, newHeight) {
+        const ratio = window.devicePixelRatio || 1;
+        width = newWidth;
+        height = newHeight;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+      }
+
+      function setView(newView) {
+        fieldView = newView;
+      }
+
+      function setLabels(newLabels) {
+        labels = newLabels;
+      }
+
+      /**
+       * Rings drawn over a bubble: the pulse after a live update, the
+       * highlight after a search, a dashed outline while pinned and the
+       * keyboard focus ring.
+       */
+      function drawEffects(bubble, now) {
+        const radius = bubble.size / 2;
+        const cx = bubble.x + radius;
+        const cy = bubble.y + radius;
+        const elapsed = now - bubble.view.pulseStart;
+        if (elapsed < pulseDuration) {
+          const t = elapsed / pulseDuration;
+          ctx.beginPath();
+          ctx.arc(cx, cy, radius + 12 * t, 0, Math.PI * 2);
+          ctx.strokeStyle = 'rgba(255, 255, 255, ' + (0.7 * (1 - t)) + ')';
+          ctx.lineWidth = 3;
+          ctx.stroke();
+        }
+
+        // Three expanding rings over the highlight duration.
+        const sinceHighlight = now - bubble.view.highlightStart;
+        if (sinceHighlight < highlightDuration) {
+          const t = (sinceHighlight % (highlightDuration / 3)) / (highlightDuration / 3);
+          ctx.beginPath();
+          ctx.arc(cx, cy, radius + 4 + 16 * t, 0, Math.PI * 2);
+          ctx.strokeStyle = 'rgba(255, 215, 0, ' + (0.9 * (1 - t)) + ')';
+          ctx.lineWidth = 4;
+          ctx.stroke();
+        }
+
+        if (bubble.pinned) {
+          ctx.save();
+          ctx.setLineDash([4, 4]);
+          ctx.beginPath();
+          ctx.arc(cx, cy, radius + 2, 0, Math.PI * 2);
+          ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+          ctx.lineWidth = 2;
+          ctx.stroke();
+          ctx.restore();
+        }
+
+        // White on black, visible on any bubble and background.
+        if (bubble === focused) {
+          ctx.beginPath();
+          ctx.arc(cx, cy, radius + 5, 0, Math.PI * 2);
+          ctx.strokeStyle = 'black';
+          ctx.lineWidth = 6;
+          ctx.stroke();
+          ctx.strokeStyle = 'white';
+          ctx.lineWidth = 3;
+          ctx.stroke();
+        }
+      }
+
+      function draw(bubbles) {
+        const now = performance.now();
+        const ratio = window.devicePixelRatio || 1;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        // Paint in field coordinates through the view, which scales the
+        // text and rings along with the bubbles.
+        ctx.setTransform(ratio * fieldView.scale, 0, 0, ratio * fieldView.scale, ratio * fieldView.x, ratio * fieldView.y);
+        paintFieldLabels(ctx, labels);
+        for (const bubble of bubbles) {
+          if (bubble.size <= 0) continue;
+          paintBubble(ctx, bubble);
+          drawEffects(bubble, now);
+        }
+      }
+
+      function destroy() {
+        canvas.remove();
+      }
+
+      return { name: 'canvas', add, remove, refresh, pulse, highlight, setDragging, setFocused, resize, setView, setLabels, draw, destroy };
+    }
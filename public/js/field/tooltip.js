@@ -0,0 +1,85 @@
+    /**
+     * Hover tooltip of the field: the ticker, company name, sector, price
+     * and change of the bubble or treemap tile under the mouse, in a
+     * relative dataset the excess return over the benchmark, and in the
+     * portfolio the position's value and move. Both views share it so
+     * they show the same details.
+     */
+
+    import { formatPercent, formatPrice, formatMoneyChange } from './format.js';
+
+    /**
+     * Class of a move's text: 'up', 'down' or none.
+     * @param {number|null} change
+     * @returns {string}
+     */
+    function moveClass(change) {
+      return change > 0 ? 'up' : change < 0 ? 'down' : '';
+    }
+
+    // Distance (px) between the pointer and the tooltip's corner.
+    const pointerOffset = 14;
+
+    /**
+     * @param {HTMLElement} container The field's container
+     * @returns {{show: function(object, number, number): void, hide: function(): void, destroy: function(): void}}
+     */
+    export function createTooltip(container) {
+      const el = document.createElement('div');
+      el.className = 'field-tooltip';
+      el.hidden = true;
+      const titleEl = document.createElement('div');
+      titleEl.className = 'field-tooltip-title';
+      const sectorEl = document.createElement('div');
+      sectorEl.className = 'field-tooltip-sector';
+      const valueEl = document.createElement('div');
+      const excessEl = document.createElement('div');
+      const positionEl = document.createElement('div');
+      el.append(titleEl, sectorEl, valueEl, excessEl, positionEl);
+      container.appendChild(el);
+      // Ticker shown, so moving within one bubble only repositions.
+      let shown = null;
+
+      /**
+       * Show a stock's details next to a point in container coordinates,
+       * kept inside the container.
+       * @param {object} stock
+       * @param {number} x
+       * @param {number} y
+       */
+      function show(stock, x, y) {
+        if (shown !== stock) {
+          shown = stock;
+          titleEl.textContent = stock.name ? stock.ticker + ' · ' + stock.name : stock.ticker;
+          sectorEl.textContent = stock.sector || '';
+          sectorEl.hidden = !stock.sector;
+          valueEl.textContent = formatPrice(stock.price) + '  ' + formatPercent(stock.changePercent || 0);
+          valueEl.className = moveClass(stock.changePercent);
+          const excess = stock.benchmark && stock.excessChangePercent != null;
+          excessEl.textContent = excess ? formatPercent(stock.excessChangePercent) + ' vs ' + stock.benchmark : '';
+          excessEl.className = excess ? moveClass(stock.excessChangePercent) : '';
+          excessEl.hidden = !excess;
+          const position = stock.positionValue != null;
+          positionEl.textContent = position
+            ? 'Position ' + formatPrice(stock.positionValue) + '  ' + formatMoneyChange(stock.positionChange)
+            : '';
+          positionEl.className = position ? moveClass(stock.positionChange) : '';
+          positionEl.hidden = !position;
+        }
+        el.hidden = false;
+        const left = x + pointerOffset + el.offsetWidth > container.clientWidth ? x - pointerOffset - el.offsetWidth : x + pointerOffset;
+        const top = y + pointerOffset + el.offsetHeight > container.clientHeight ? y - pointerOffset - el.offsetHeight : y + pointerOffset;
+        el.style.transform = 'translate(' + Math.max(0, left) + 'px, ' + Math.max(0, top) + 'px)';
+      }
+
+      function hide() {
+        shown = null;
+        el.hidden = true;
+      }
+
+      function destroy() {
+        el.remove();
+      }
+
+      return { show, hide, destroy };
+    }
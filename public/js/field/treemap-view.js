@@ -0,0 +1,252 @@
+    /**
+     * Treemap view of the field: draws a treemap layout (see treemap.js)
+     * as one absolutely positioned <div> per tile over the bubbles, with
+     * each sector's name above its tiles. The field owns the data and
+     * its colours and decides when the view is shown; the view only draws
+     * and reports the tile under the pointer or clicked. The tiles are
+     * hidden from screen readers, which get the field's keyboard list
+     * instead (see keyboard.js). renderTreemapImage() paints the same
+     * picture off screen for image export.
+     */
+
+    import { formatPercent } from './format.js';
+
+    // Tiles smaller than this (px) are drawn without a ticker, and
+    // without the change below this height.
+    const minLabelledWidth = 30;
+    const minLabelledHeight = 20;
+    const minSublabelledHeight = 36;
+    // Duration (ms) of the ring around a tile found by search, matching
+    // the bubbles' highlight.
+    const highlightDuration = 3000;
+
+    /**
+     * Font sizes of a tile's ticker and change: as large as the tile
+     * allows for the ticker's length, within readable bounds.
+     * @param {{stock: object, w: number, h: number}} tile
+     * @returns {{label: number, sublabel: number}}
+     */
+    function tileFontSizes(tile) {
+      const label = Math.max(9, Math.min(28, tile.w / (tile.stock.ticker.length * 0.7 + 1), tile.h / 3));
+      return { label: label, sublabel: Math.max(8, label * 0.7) };
+    }
+
+    /**
+     * @callback TileColors
+     * @param {object} stock
+     * @returns {{background: string, text: string}} See tileColors in
+     *   colors.js
+     */
+
+    /**
+     * @callback TileChange
+     * @param {object} stock
+     * @returns {string} The move written on the stock's tile, e.g.
+     *   "+1.3%"
+     */
+
+    /**
+     * Each stock's own change, the default TileChange.
+     * @param {object} stock
+     * @returns {string}
+     */
+    function ownChange(stock) {
+      return formatPercent(stock.changePercent || 0);
+    }
+
+    /**
+     * Paint a treemap layout into a new off-screen canvas, e.g. for a PNG
+     * export.
+     * @param {import('./treemap.js').TreemapLayout} layout
+     * @param {TileColors} colorsOf
+     * @param {number} width
+     * @param {number} height
+     * @param {string} background Fill colour behind and between the tiles
+     * @param {TileChange} [changeOf]
+     * @returns {HTMLCanvasElement}
+     */
+    export function renderTreemapImage(layout, colorsOf, width, height, background, changeOf = ownChange) {
+      const ratio = window.devicePixelRatio || 1;
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      for (const sector of layout.sectors) {
+        if (sector.header) {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+          ctx.font = 'bold 12px Arial, sans-serif';
+          ctx.textAlign = 'left';
+          ctx.fillText(sector.name, sector.x + 4, sector.y + 9, sector.w - 8);
+          ctx.textAlign = 'center';
+        }
+        for (const tile of sector.tiles) {
+          const colors = colorsOf(tile.stock);
+          // A 1px gap keeps neighbouring tiles apart.
+          ctx.fillStyle = colors.background;
+          ctx.fillRect(tile.x + 0.5, tile.y + 0.5, Math.max(0, tile.w - 1), Math.max(0, tile.h - 1));
+          if (tile.w < minLabelledWidth || tile.h < minLabelledHeight) continue;
+          const fonts = tileFontSizes(tile);
+          const cx = tile.x + tile.w / 2;
+          const cy = tile.y + tile.h / 2;
+          const withChange = tile.h >= minSublabelledHeight;
+          ctx.fillStyle = colors.text;
+          ctx.font = 'bold ' + fonts.label + 'px Arial, sans-serif';
+          ctx.fillText(tile.stock.ticker, cx, withChange ? cy - fonts.sublabel / 2 : cy, tile.w - 4);
+          if (withChange) {
+            ctx.font = fonts.sublabel + 'px Arial, sans-serif';
+            ctx.fillText(changeOf(tile.stock), cx, cy + fonts.label / 2, tile.w - 4);
+          }
+        }
+      }
+      return canvas;
+    }
+
+    /**
+     * @param {HTMLElement} container The field's container
+     * @param {object} options
+     * @param {function((object|null), number, number): void} options.onHover
+     *   The pointer moved over a tile's stock (null when over none), at a
+     *   point in container coordinates
+     * @param {function(string): void} options.onClick A tile was clicked,
+     *   with its ticker
+     * @returns {{render: function(object, TileColors, TileChange=): void, setVisible: function(boolean): void, highlight: function(string): void, setFocused: function((string|null)): void, destroy: function(): void}}
+     */
+    export function createTreemapView(container, { onHover, onClick }) {
+      const root = document.createElement('div');
+      root.className = 'treemap';
+      root.hidden = true;
+      root.setAttribute('aria-hidden', 'true');
+      container.appendChild(root);
+      // Stock of each tile element's ticker, for hover.
+      let stocks = new Map();
+      // Ticker found by search and when its highlight ends, kept across
+      // redraws.
+      let highlighted = { ticker: null, until: 0 };
+      let highlightTimer = null;
+      // Ticker focused with the keyboard, kept across redraws.
+      let focused = null;
+
+      /**
+       * Replace the drawn tiles with a new layout.
+       * @param {import('./treemap.js').TreemapLayout} layout
+       * @param {TileColors} colorsOf
+       * @param {TileChange} [changeOf]
+       */
+      function render(layout, colorsOf, changeOf = ownChange) {
+        root.textContent = '';
+        stocks = new Map();
+        const highlightActive = highlighted.until > performance.now();
+        for (const sector of layout.sectors) {
+          if (sector.header) {
+            const header = document.createElement('div');
+            header.className = 'treemap-sector';
+            header.textContent = sector.name;
+            header.style.transform = 'translate(' + sector.x + 'px, ' + sector.y + 'px)';
+            header.style.width = sector.w + 'px';
+            root.appendChild(header);
+          }
+          for (const tile of sector.tiles) {
+            const stock = tile.stock;
+            const el = document.createElement('div');
+            el.className = 'treemap-tile';
+            el.dataset.ticker = stock.ticker;
+            el.style.transform = 'translate(' + tile.x + 'px, ' + tile.y + 'px)';
+            el.style.width = tile.w + 'px';
+            el.style.height = tile.h + 'px';
+            const colors = colorsOf(stock);
+            el.style.background = colors.background;
+            el.style.color = colors.text;
+            if (tile.w >= minLabelledWidth && tile.h >= minLabelledHeight) {
+              const fonts = tileFontSizes(tile);
+              const label = document.createElement('div');
+              label.textContent = stock.ticker;
+              label.style.fontSize = fonts.label + 'px';
+              el.appendChild(label);
+              if (tile.h >= minSublabelledHeight) {
+                const sublabel = document.createElement('div');
+                sublabel.textContent = changeOf(stock);
+                sublabel.style.fontSize = fonts.sublabel + 'px';
+                el.appendChild(sublabel);
+              }
+            }
+            if (highlightActive && stock.ticker === highlighted.ticker) el.classList.add('highlighted');
+            if (stock.ticker === focused) el.classList.add('focused');
+            stocks.set(stock.ticker, stock);
+            root.appendChild(el);
+          }
+        }
+        if (layout.sectors.length === 0) {
+          const empty = document.createElement('div');
+          empty.className = 'treemap-empty';
+          empty.textContent = 'Nothing to show.';
+          root.appendChild(empty);
+        }
+      }
+
+      function setVisible(visible) {
+        root.hidden = !visible;
+      }
+
+      /**
+       * Mark a tile as the result of a search, as the bubbles do.
+       * @param {string} ticker
+       */
+      function highlight(ticker) {
+        root.querySelectorAll('.treemap-tile.highlighted').forEach((el) => el.classList.remove('highlighted'));
+        highlighted = { ticker: ticker, until: performance.now() + highlightDuration };
+        const el = [...root.querySelectorAll('.treemap-tile')].find((tile) => tile.dataset.ticker === ticker);
+        if (el) el.classList.add('highlighted');
+        clearTimeout(highlightTimer);
+        highlightTimer = setTimeout(() => {
+          root.querySelectorAll('.treemap-tile.highlighted').forEach((tile) => tile.classList.remove('highlighted'));
+        }, highlightDuration);
+      }
+
+      /**
+       * Mark the tile focused with the keyboard (see keyboard.js), or
+       * none.
+       * @param {string|null} ticker
+       */
+      function setFocused(ticker) {
+        focused = ticker;
+        root.querySelectorAll('.treemap-tile').forEach((el) => {
+          el.classList.toggle('focused', el.dataset.ticker === ticker);
+        });
+      }
+
+      /**
+       * The tile element an event happened on, if any.
+       * @param {Event} e
+       * @returns {HTMLElement|null}
+       */
+      function tileOf(e) {
+        return e.target.closest ? e.target.closest('.treemap-tile') : null;
+      }
+
+      // Browsers without pointer events get the same from mouse events.
+      const hoverEvents = typeof window.PointerEvent !== 'undefined'
+        ? { move: 'pointermove', leave: 'pointerleave' }
+        : { move: 'mousemove', leave: 'mouseleave' };
+      root.addEventListener(hoverEvents.move, (e) => {
+        const el = tileOf(e);
+        const bounds = container.getBoundingClientRect();
+        onHover(el ? stocks.get(el.dataset.ticker) : null, e.clientX - bounds.left, e.clientY - bounds.top);
+      });
+      root.addEventListener(hoverEvents.leave, () => onHover(null, 0, 0));
+      root.addEventListener('click', (e) => {
+        const el = tileOf(e);
+        if (el) onClick(el.dataset.ticker);
+      });
+
+      function destroy() {
+        clearTimeout(highlightTimer);
+        root.remove();
+      }
+
+      return { render, setVisible, highlight, setFocused, destroy };
+    }
@@ -0,0 +1,199 @@
+    /**
+     * Layout of the treemap view: the same dataset as the bubbles, as
+     * rectangles grouped by sector and sized by index weight, market
+     * cap or position value (and coloured by change, see colors.js). Nothing here touches
+     * the DOM, so it runs (and is tested) headless in Node; the field
+     * draws the result with the treemap view (see treemap-view.js).
+     */
+
+    import { SIZE_METRICS, UNKNOWN_SECTOR, passesFilters } from './physics.js';
+
+    // Size metrics the treemap can use (keys of SIZE_METRICS). Bubble
+    // metrics such as % change make no sense as areas that add up.
+    export const TREEMAP_METRICS = ['weight', 'marketCap', 'positionValue'];
+    // Height (px) of the sector name strip above a sector's tiles. Sectors
+    // too small to hold it twice over are drawn without a name.
+    const headerHeight = 18;
+    // Smallest change (%) shown at full colour, so a quiet day is not
+    // painted as if it were a crash.
+    const minColorScale = 0.5;
+
+    /**
+     * The metric to size tiles by: `sizeMetric` if it is a treemap
+     * metric, else the index weight. A metric the dataset does not have
+     * (e.g. weights for crypto) falls through to the next one; with none
+     * at all, null sizes every tile the same.
+     * @param {string} sizeMetric Key of SIZE_METRICS
+     * @param {Array<object>} stocks
+     * @returns {string|null}
+     */
+    export function treemapMetric(sizeMetric, stocks) {
+      const preferred = TREEMAP_METRICS.includes(sizeMetric) ? [sizeMetric] : [];
+      for (const metric of [...preferred, ...TREEMAP_METRICS]) {
+        if (stocks.some((stock) => SIZE_METRICS[metric](stock) > 0)) return metric;
+      }
+      return null;
+    }
+
+    /**
+     * Worst aspect ratio of a row of areas laid along a side of length
+     * `side`; the squarified layout adds areas to a row while this
+     * improves.
+     * @param {number[]} row
+     * @param {number} side
+     * @returns {number}
+     */
+    function worstRatio(row, side) {
+      const sum = row.reduce((total, area) => total + area, 0);
+      const max = Math.max(...row);
+      const min = Math.min(...row);
+      return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    }
+
+    /**
+     * Split a rectangle into one rectangle per value, with areas
+     * proportional to the values and aspect ratios close to 1 (the
+     * squarified treemap of Bruls, Huizing and van Wijk). Values should
+     * be positive and sorted largest first.
+     * @param {number[]} values
+     * @param {{x: number, y: number, w: number, h: number}} rect
+     * @returns {Array<{x: number, y: number, w: number, h: number}>} In
+     *   the order of `values`
+     */
+    export function squarify(values, rect) {
+      const total = values.reduce((sum, value) => sum + value, 0);
+      if (total <= 0 || rect.w <= 0 || rect.h <= 0) {
+        return values.map(() => ({ x: rect.x, y: rect.y, w: 0, h: 0 }));
+      }
+      const scale = (rect.w * rect.h) / total;
+      const areas = values.map((value) => value * scale);
+      const rects = [];
+      let { x, y, w, h } = rect;
+      let i = 0;
+      while (i < areas.length) {
+        const side = Math.min(w, h);
+        let row = [areas[i]];
+        let worst = worstRatio(row, side);
+        let j = i + 1;
+        for (; j < areas.length; j++) {
+          const next = worstRatio([...row, areas[j]], side);
+          if (next > worst) break;
+          row.push(areas[j]);
+          worst = next;
+        }
+        const rowArea = row.reduce((sum, area) => sum + area, 0);
+        if (w >= h) {
+          // Lay the row out as a column along the left edge.
+          const columnWidth = rowArea / h;
+          let top = y;
+          for (const area of row) {
+            rects.push({ x: x, y: top, w: columnWidth, h: area / columnWidth });
+            top += area / columnWidth;
+          }
+          x += columnWidth;
+          w -= columnWidth;
+        } else {
+          // Lay the row out along the top edge.
+          const rowHeight = rowArea / w;
+          let left = x;
+          for (const area of row) {
+            rects.push({ x: left, y: y, w: area / rowHeight, h: rowHeight });
+            left += area / rowHeight;
+          }
+          y += rowHeight;
+          h -= rowHeight;
+        }
+        i = j;
+      }
+      return rects;
+    }
+
+    /**
+     * @typedef {object} TreemapLayout
+     * @property {string|null} metric What the tiles are sized by (see
+     *   treemapMetric)
+     * @property {Array<{name: string, x: number, y: number, w: number, h: number, header: boolean, tiles: Array<{stock: object, x: number, y: number, w: number, h: number}>}>} sectors
+     *   Largest first; `header` tells whether the name strip fits
+     */
+
+    /**
+     * Lay out the stocks passing the filters as a treemap of `width` ×
+     * `height`: one rectangle per sector, sized by its total, split into
+     * one tile per stock. Stocks without a value for the metric are left
+     * out.
+     * @param {Array<object>} stocks
+     * @param {object} options
+     * @param {number} options.width
+     * @param {number} options.height
+     * @param {string} options.sizeMetric Key of SIZE_METRICS; see
+     *   treemapMetric
+     * @param {{sector: string, direction: string, minChange: number}} options.filters
+     * @returns {TreemapLayout}
+     */
+    export function layoutTreemap(stocks, { width, height, sizeMetric, filters }) {
+      const shown = stocks.filter((stock) => passesFilters(stock, filters));
+      const metric = treemapMetric(sizeMetric, shown);
+      const value = metric ? SIZE_METRICS[metric] : () => 1;
+      const groups = new Map();
+      for (const stock of shown) {
+        if (!(value(stock) > 0)) continue;
+        const name = stock.sector || UNKNOWN_SECTOR;
+        if (!groups.has(name)) groups.set(name, { name: name, total: 0, stocks: [] });
+        const group = groups.get(name);
+        group.total += value(stock);
+        group.stocks.push(stock);
+      }
+      const ordered = [...groups.values()].sort((a, b) => b.total - a.total);
+      const rects = squarify(ordered.map((group) => group.total), { x: 0, y: 0, w: width, h: height });
+      const sectors = ordered.map((group, i) => {
+        const rect = rects[i];
+        const header = rect.h >= headerHeight * 2 && rect.w >= headerHeight * 2;
+        const inner = header
+          ? { x: rect.x, y: rect.y + headerHeight, w: rect.w, h: rect.h - headerHeight }
+          : rect;
+        group.stocks.sort((a, b) => value(b) - value(a));
+        const tileRects = squarify(group.stocks.map(value), inner);
+        return {
+          name: group.name,
+          ...rect,
+          header: header,
+          tiles: group.stocks.map((stock, j) => ({ stock: stock, ...tileRects[j] }))
+        };
+      });
+      return { metric: metric, sectors: sectors };
+    }
+
+    /**
+     * The tile under a point, or null.
+     * @param {TreemapLayout} layout
+     * @param {number} x
+     * @param {number} y
+     * @returns {{stock: object, x: number, y: number, w: number, h: number}|null}
+     */
+    export function tileAt(layout, x, y) {
+      for (const sector of layout.sectors) {
+        if (x < sector.x || x >= sector.x + sector.w || y < sector.y || y >= sector.y + sector.h) continue;
+        for (const tile of sector.tiles) {
+          if (x >= tile.x && x < tile.x + tile.w && y >= tile.y && y < tile.y + tile.h) return tile;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * The change (%) painted at full colour for a dataset: the 90th
+     * percentile of the absolute changes, so a single outlier does not
+     * wash out every other tile.
+     * @param {Array<object>} stocks
+     * @param {function(object): number} [changeOf] The move of a stock
+     *   that is coloured, its change by default
+     * @returns {number}
+     */
+    export function changeScale(stocks, changeOf = (stock) => stock.changePercent || 0) {
+      const changes = stocks
+        .map((stock) => Math.abs(changeOf(stock)))
+        .sort((a, b) => a - b);
+      if (changes.length === 0) return minColorScale;
+      const percentile = changes[Math.min(changes.length - 1, Math.floor(changes.length * 0.9))];
+      return Math.max(minColorScale, percentile);
+    }
@@ -0,0 +1,89 @@
+    /**
+     * Zoom and pan of the bubble field. The physics works in field
+     * coordinates, the container's size at zoom 1; a view maps them to
+     * the screen as `screen = field × scale + (x, y)`. Renderers draw
+     * through the view (see setView in renderers.js) and pointer input
+     * maps back through it, so bubbles keep their places and sizes in the
+     * field while the picture is zoomed.
+     *
+     * The view never shows anything outside the field: the scale stays
+     * between MIN_ZOOM and MAX_ZOOM and the offsets keep the field
+     * covering the container. Nothing here touches the DOM, so it runs
+     * (and is tested) headless in Node.
+     */
+
+    export const MIN_ZOOM = 1;
+    export const MAX_ZOOM = 4;
+
+    /**
+     * @typedef {object} View
+     * @property {number} scale Zoom factor
+     * @property {number} x Horizontal offset (px) of the field's origin
+     * @property {number} y Vertical offset (px) of the field's origin
+     */
+
+    /**
+     * The unzoomed view.
+     * @returns {View}
+     */
+    export function identityView() {
+      return { scale: 1, x: 0, y: 0 };
+    }
+
+    /**
+     * A point of the field on screen, in container coordinates.
+     * @param {View} view
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    export function toScreen(view, x, y) {
+      return { x: x * view.scale + view.x, y: y * view.scale + view.y };
+    }
+
+    /**
+     * The point of the field under a point in container coordinates.
+     * @param {View} view
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    export function toField(view, x, y) {
+      return { x: (x - view.x) / view.scale, y: (y - view.y) / view.scale };
+    }
+
+    /**
+     * Bring a view within the zoom limits, keeping the field covering a
+     * container of `width` × `height`.
+     * @param {View} view
+     * @param {number} width
+     * @param {number} height
+     * @returns {View}
+     */
+    export function clampView(view, width, height) {
+      const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.scale));
+      const clamp = (offset, size) => Math.min(0, Math.max(size - size * scale, offset));
+      return { scale: scale, x: clamp(view.x, width), y: clamp(view.y, height) };
+    }
+
+    /**
+     * The view after a pinch or pan: the fingers started at `from` with
+     * the view `start` and are now at `to`. The field point that was
+     * under the fingers' midpoint stays under it, and the scale follows
+     * the distance between the fingers; a single finger (no distance)
+     * only pans.
+     * @param {View} start
+     * @param {{x: number, y: number, distance: (number|null)}} from
+     *   Midpoint of the fingers in container coordinates, and their
+     *   distance apart
+     * @param {{x: number, y: number, distance: (number|null)}} to
+     * @param {number} width Container width
+     * @param {number} height Container height
+     * @returns {View}
+     */
+    export function pinchView(start, from, to, width, height) {
+      const ratio = from.distance > 0 && to.distance > 0 ? to.distance / from.distance : 1;
+      const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, start.scale * ratio));
+      const anchor = toField(start, from.x, from.y);
+      return clampView({ scale: scale, x: to.x - anchor.x * scale, y: to.y - anchor.y * scale }, width, height);
+    }
@@ -0,0 +1,100 @@
+    /**
+     * Search box and filter controls above the bubble field. The search
+     * box finds a ticker or company name and highlights its bubble (see
+     * the field's focusTicker); the sector, gainers/losers and minimum
+     * move controls hide bubbles through its setFilters(). The ticker
+     * suggestions and the sector list follow the loaded dataset via the
+     * `bubbledata` event.
+     */
+
+    import { field } from './app.js';
+
+    (function initFilterBar() {
+      const container = document.getElementById('bubble-container');
+      const form = document.getElementById('filter-bar');
+      const searchInput = document.getElementById('ticker-search');
+      const options = document.getElementById('ticker-options');
+      const sectorSelect = document.getElementById('sector-filter');
+      const directionSelect = document.getElementById('direction-filter');
+      const minChangeInput = document.getElementById('min-change');
+      const statusEl = form.querySelector('.filter-status');
+
+      /**
+       * Rebuild the ticker suggestions and the sector options for a new
+       * dataset. A selected sector that no longer exists (e.g. after
+       * switching to crypto) is reset to all sectors.
+       * @param {Array<object>} stocks
+       */
+      function updateOptions(stocks) {
+        options.innerHTML = '';
+        for (const stock of stocks) {
+          const option = document.createElement('option');
+          option.value = stock.ticker;
+          if (stock.name) option.label = stock.name;
+          options.appendChild(option);
+        }
+        const sectors = [...new Set(stocks.map((stock) => stock.sector).filter(Boolean))].sort();
+        const selected = field.settings().filters.sector;
+        while (sectorSelect.options.length > 1) sectorSelect.remove(1);
+        for (const sector of sectors) {
+          sectorSelect.add(new Option(sector, sector));
+        }
+        sectorSelect.disabled = sectors.length === 0;
+        if (sectors.includes(selected)) {
+          sectorSelect.value = selected;
+        } else if (selected) {
+          sectorSelect.value = '';
+          field.setFilters({ sector: '' });
+        }
+      }
+
+      function search() {
+        const query = searchInput.value;
+        if (!query.trim()) {
+          statusEl.textContent = '';
+          return;
+        }
+        const bubble = field.focusTicker(query);
+        if (!bubble) {
+          statusEl.textContent = 'No match for "' + query.trim() + '".';
+        } else if (bubble.filteredOut) {
+          statusEl.textContent = bubble.ticker + ' is hidden by the current filters.';
+        } else {
+          statusEl.textContent = '';
+        }
+      }
+
+      // Start from the filters app.js restored from a shared link.
+      const { filters } = field.settings();
+      directionSelect.value = filters.direction;
+      minChangeInput.value = String(filters.minChange);
+
+      container.addEventListener('bubbledata', function (e) {
+        updateOptions(e.detail.stocks);
+      });
+      form.addEventListener('submit', function (e) {
+        e.preventDefault();
+        search();
+      });
+      // Picking a suggestion from the datalist fires `change` without a
+      // submit.
+      searchInput.addEventListener('change', search);
+      sectorSelect.addEventListener('change', function () {
+        field.setFilters({ sector: this.value });
+      });
+      directionSelect.addEventListener('change', function () {
+        field.setFilters({ direction: this.value });
+      });
+      minChangeInput.addEventListener('input', function () {
+        const value = parseFloat(this.value);
+        field.setFilters({ minChange: isFinite(value) && value > 0 ? value : 0 });
+      });
+      // The reset button restores the form fields itself; the filters
+      // follow once it has done so.
+      form.addEventListener('reset', function () {
+        setTimeout(function () {
+          statusEl.textContent = '';
+          field.setFilters({ sector: '', direction: 'all', minChange: 0 });
+        });
+      });
+    })();
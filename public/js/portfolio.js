@@ -0,0 +1,173 @@
+    /**
+     * Portfolio bar for the "Portfolio" primary tab. Imports the holdings
+     * from a CSV file of ticker, quantity and cost basis
+     * (`PUT /api/holdings`), clears them, and sums up the positions the
+     * field shows: their total value, how much it moved over the range
+     * and the gain over what they cost.
+     */
+
+    import { currentMarket, field } from './app.js';
+    import { formatPercent, formatPrice } from './field/format.js';
+
+    (function initPortfolio() {
+      const bar = document.getElementById('portfolio-bar');
+      const fileInput = document.getElementById('holdings-file');
+      const clearButton = bar.querySelector('[data-action="clear"]');
+      const summaryEl = bar.querySelector('.portfolio-summary');
+      const statusEl = bar.querySelector('.portfolio-status');
+      // What the move over each range is called in the summary.
+      const rangeLabels = { hour: 'Hour', day: 'Day', week: 'Week', month: 'Month', year: 'Year' };
+      const emptyMessage = 'No holdings yet. Import a CSV with ticker, quantity and cost basis columns.';
+
+      /**
+       * Call the holdings API and resolve to the parsed JSON body (or
+       * null for 204). Rejects with the server's error message.
+       * @param {string} method
+       * @param {string} [csv] Body of an import
+       * @returns {Promise<*>}
+       */
+      async function api(method, csv) {
+        const response = await fetch('/api/holdings', {
+          method: method,
+          headers: csv !== undefined ? { 'Content-Type': 'text/csv' } : undefined,
+          body: csv
+        });
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+          throw new Error((data && data.error) || 'Holdings request failed');
+        }
+        return data;
+      }
+
+      /**
+       * Dollars with their sign, e.g. "+$1,200.00".
+       * @param {number} amount
+       * @returns {string}
+       */
+      function signedDollars(amount) {
+        return (amount < 0 ? '-' : '+') + formatPrice(Math.abs(amount));
+      }
+
+      /**
+       * Span for a signed amount, coloured like the tooltip's moves.
+       * @param {string} text
+       * @param {number} amount
+       * @returns {HTMLSpanElement}
+       */
+      function moveSpan(text, amount) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        if (amount !== 0) span.className = amount > 0 ? 'up' : 'down';
+        return span;
+      }
+
+      /**
+       * Show the totals of a portfolio dataset. Positions without a price
+       * are left out of every total, and positions without a cost basis
+       * out of the gain.
+       * @param {Array<object>} stocks
+       * @param {string} range
+       */
+      function renderSummary(stocks, range) {
+        const priced = stocks.filter((stock) => stock.positionValue != null);
+        summaryEl.innerHTML = '';
+        if (priced.length === 0) return;
+        const value = priced.reduce((sum, stock) => sum + stock.positionValue, 0);
+        const change = priced.reduce((sum, stock) => sum + (stock.positionChange || 0), 0);
+        const costed = priced.filter((stock) => stock.positionGain != null);
+        const gain = costed.reduce((sum, stock) => sum + stock.positionGain, 0);
+        // The change as a share of what the positions were worth at the
+        // start of the range.
+        const start = value - change;
+        const changePercent = start > 0 ? (change / start) * 100 : 0;
+        summaryEl.append(
+          'Value ' + formatPrice(value) + ' · ' + (rangeLabels[range] || range) + ' ',
+          moveSpan(signedDollars(change) + ' (' + formatPercent(changePercent) + ')', change)
+        );
+        if (costed.length > 0) {
+          summaryEl.append(' · Gain ', moveSpan(signedDollars(gain), gain));
+        }
+        const unpriced = stocks.length - priced.length;
+        summaryEl.append(' · ' + priced.length + (priced.length === 1 ? ' position' : ' positions') +
+          (unpriced > 0 ? ' (' + unpriced + ' without a price)' : ''));
+      }
+
+      /**
+       * Offer to import or clear the holdings, depending on whether there
+       * are any. Other messages in the status stay until the next one.
+       * @param {Array<object>} holdings Holdings, or the positions shown
+       */
+      function showHoldings(holdings) {
+        clearButton.disabled = holdings.length === 0;
+        if (holdings.length === 0) {
+          statusEl.textContent = emptyMessage;
+          summaryEl.innerHTML = '';
+        } else if (statusEl.textContent === emptyMessage) {
+          statusEl.textContent = '';
+        }
+      }
+
+      /**
+       * Show the new holdings in the field if it shows the portfolio.
+       * @param {Array<object>} holdings
+       */
+      function replace(holdings) {
+        showHoldings(holdings);
+        if (currentMarket === 'portfolio') field.reload();
+      }
+
+      async function load() {
+        showHoldings((await api('GET')).holdings);
+      }
+
+      /**
+       * Replace the holdings with those of a CSV file.
+       * @param {File} file
+       */
+      async function importFile(file) {
+        statusEl.textContent = 'Importing ' + file.name + '…';
+        const { holdings } = await api('PUT', await file.text());
+        replace(holdings);
+        statusEl.textContent = 'Imported ' + holdings.length + (holdings.length === 1 ? ' holding.' : ' holdings.');
+      }
+
+      async function clear() {
+        if (!window.confirm('Remove all holdings from the portfolio?')) return;
+        await api('DELETE');
+        replace([]);
+      }
+
+      /**
+       * Run an action, showing its error in the bar instead of throwing.
+       * @param {function(): Promise<void>} action
+       */
+      function run(action) {
+        action().catch((err) => {
+          console.error(err);
+          statusEl.textContent = err.message;
+        });
+      }
+
+      // The bar is only shown with its tab; app.js does the market
+      // switch itself. The summary follows every portfolio dataset the
+      // field receives, live updates included, so holdings imported from
+      // another tab show up too.
+      const container = document.getElementById('bubble-container');
+      bar.hidden = currentMarket !== 'portfolio';
+      container.addEventListener('viewchange', function (e) {
+        bar.hidden = e.detail.market !== 'portfolio';
+      });
+      container.addEventListener('bubbledata', function (e) {
+        if (e.detail.market !== 'portfolio') return;
+        showHoldings(e.detail.stocks);
+        renderSummary(e.detail.stocks, e.detail.range);
+      });
+      fileInput.addEventListener('change', function () {
+        const file = this.files[0];
+        this.value = '';
+        if (file) run(() => importFile(file));
+      });
+      clearButton.addEventListener('click', () => run(clear));
+
+      run(load);
+    })();
@@ -0,0 +1,150 @@
+    /**
+     * Replay of recorded snapshots. The "Replay" button swaps the live
+     * bubbles for the snapshots the server recorded for the current
+     * market and range (`/api/snapshots/{market}/{range}`); the slider
+     * scrubs through them and play steps through them in order. Each
+     * snapshot is applied with the field's showSnapshot(), so the
+     * bubbles ease from one recorded state to the next. "Back to live",
+     * or switching tabs, returns to live data.
+     */
+
+    import { field, currentMarket, currentRange, streamMarket } from './app.js';
+
+    (function initReplay() {
+      const toggle = document.getElementById('replay-toggle');
+      const bar = document.getElementById('replay-bar');
+      const playButton = bar.querySelector('.replay-play');
+      const slider = bar.querySelector('.replay-slider');
+      const timeEl = bar.querySelector('.replay-time');
+      const liveButton = bar.querySelector('.replay-live');
+      // Delay (ms) between snapshots while playing; long enough for the
+      // bubbles to settle into each one.
+      const stepInterval = 1500;
+      let replaying = false;
+      let base = '';
+      let timeline = [];
+      // Snapshots already downloaded, by fetchedAt.
+      const loaded = new Map();
+      let playTimer = null;
+      // Incremented on every show() so a slow download does not replace
+      // a snapshot scrubbed to later.
+      let showGeneration = 0;
+
+      function setPlaying(playing) {
+        clearInterval(playTimer);
+        playTimer = playing ? setInterval(step, stepInterval) : null;
+        playButton.textContent = playing ? '❚❚' : '▶';
+        playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+      }
+
+      /**
+       * Show the snapshot at `index` in the timeline.
+       * @param {number} index
+       */
+      async function show(index) {
+        const generation = ++showGeneration;
+        const { fetchedAt } = timeline[index];
+        timeEl.textContent = new Date(fetchedAt).toLocaleString();
+        try {
+          if (!loaded.has(fetchedAt)) {
+            const response = await fetch(base + '/' + fetchedAt);
+            if (!response.ok) throw new Error('Failed to fetch snapshot ' + fetchedAt);
+            loaded.set(fetchedAt, (await response.json()).quotes);
+          }
+          if (generation !== showGeneration || !replaying) return;
+          field.showSnapshot(loaded.get(fetchedAt));
+        } catch (err) {
+          console.error(err);
+          timeEl.textContent = 'Could not load this snapshot.';
+        }
+      }
+
+      function step() {
+        const next = Number(slider.value) + 1;
+        if (next >= timeline.length) {
+          setPlaying(false);
+          return;
+        }
+        slider.value = next;
+        show(next);
+      }
+
+      async function enter() {
+        replaying = true;
+        toggle.classList.add('active');
+        toggle.setAttribute('aria-pressed', 'true');
+        bar.hidden = false;
+        timeline = [];
+        loaded.clear();
+        slider.max = 0;
+        slider.disabled = true;
+        playButton.disabled = true;
+        if (currentMarket === 'watchlist' || currentMarket === 'portfolio') {
+          timeEl.textContent = 'Replay is available for AI Stocks and AI Crypto.';
+          return;
+        }
+        timeEl.textContent = 'Loading snapshots…';
+        base = '/api/snapshots/' + encodeURIComponent(streamMarket()) + '/' + encodeURIComponent(currentRange);
+        try {
+          const response = await fetch(base);
+          if (!response.ok) throw new Error('Failed to list snapshots');
+          const list = await response.json();
+          if (!replaying) return;
+          timeline = list;
+        } catch (err) {
+          console.error(err);
+          timeEl.textContent = 'Could not load the snapshot list.';
+          return;
+        }
+        if (timeline.length === 0) {
+          timeEl.textContent = 'No snapshots recorded yet.';
+          return;
+        }
+        slider.max = timeline.length - 1;
+        slider.value = timeline.length - 1;
+        slider.disabled = timeline.length < 2;
+        playButton.disabled = timeline.length < 2;
+        show(timeline.length - 1);
+      }
+
+      /**
+       * Stop replaying and go back to live data.
+       */
+      function exit() {
+        replaying = false;
+        ++showGeneration;
+        setPlaying(false);
+        toggle.classList.remove('active');
+        toggle.setAttribute('aria-pressed', 'false');
+        bar.hidden = true;
+        field.reload();
+      }
+
+      toggle.addEventListener('click', function () {
+        if (replaying) exit();
+        else enter();
+      });
+      liveButton.addEventListener('click', exit);
+      playButton.addEventListener('click', function () {
+        if (playTimer) {
+          setPlaying(false);
+          return;
+        }
+        // Playing from the end starts over.
+        if (Number(slider.value) >= timeline.length - 1) {
+          slider.value = 0;
+          show(0);
+        }
+        setPlaying(true);
+      });
+      slider.addEventListener('input', function () {
+        setPlaying(false);
+        show(Number(this.value));
+      });
+      // A tab switch (or going back or forward in the browser history)
+      // reloads live data for the new market or range, so the replay
+      // ends.
+      document.getElementById('bubble-container').addEventListener('viewchange', function () {
+        if (replaying) exit();
+      });
+    })();
@@ -0,0 +1,101 @@
+    /**
+     * Client-side routing: keeps the page URL in step with the view so
+     * it can be bookmarked, reloaded and navigated with the browser's
+     * back and forward buttons. The path holds the primary tab and the
+     * range (`/stocks/week`, `/crypto/day`, see viewPath in app.js);
+     * the query holds the shown watchlist (`?watchlist=`) and the ticker
+     * whose details are open (`?ticker=AAPL`). The other parameters of
+     * a shared link (see viewParams) are dropped once applied; unrelated
+     * ones such as `renderer` are kept.
+     */
+
+    import { VIEW_PARAMS, currentMarket, currentRange, currentWatchlist, readRoute, setView, setWatchlist, selectTicker, viewPath } from './app.js';
+
+    (function initRouter() {
+      const container = document.getElementById('bubble-container');
+      const initial = new URLSearchParams(window.location.search).get('ticker');
+      let selectedTicker = initial ? initial.toUpperCase() : null;
+      // Set while applying a history entry, so the changes it makes do not
+      // push new entries.
+      let restoring = false;
+      // The view as last recorded, to tell a watchlist being picked for
+      // the first time apart from a navigation.
+      let lastView = { market: currentMarket, range: currentRange, watchlist: currentWatchlist };
+
+      /**
+       * The URL of the current view: the current URL with the path, the
+       * watchlist and the ticker replaced and other view parameters
+       * removed.
+       * @returns {string}
+       */
+      function viewUrl() {
+        const params = new URLSearchParams(window.location.search);
+        VIEW_PARAMS.forEach((key) => params.delete(key));
+        params.delete('ticker');
+        if (currentMarket === 'watchlist' && currentWatchlist) params.set('watchlist', currentWatchlist);
+        if (selectedTicker) params.set('ticker', selectedTicker);
+        const query = params.toString();
+        return viewPath() + (query ? '?' + query : '');
+      }
+
+      /**
+       * Record the current view in the browser history if it differs
+       * from the page URL.
+       * @param {boolean} [replace] Replace the current entry instead of
+       *   adding one
+       */
+      function sync(replace) {
+        if (restoring) return;
+        const url = viewUrl();
+        if (url === window.location.pathname + window.location.search) return;
+        if (replace) history.replaceState(null, '', url);
+        else history.pushState(null, '', url);
+      }
+
+      /**
+       * Apply the view of the current history entry.
+       */
+      function restore() {
+        const route = readRoute(window.location.pathname);
+        const params = new URLSearchParams(window.location.search);
+        const ticker = params.get('ticker');
+        restoring = true;
+        try {
+          if (params.get('watchlist')) setWatchlist(params.get('watchlist'));
+          setView(route.market || 'stocks', route.range || 'day');
+          selectedTicker = ticker ? ticker.toUpperCase() : null;
+          selectTicker(selectedTicker);
+        } finally {
+          restoring = false;
+        }
+      }
+
+      container.addEventListener('viewchange', function (e) {
+        // The watchlist bar picking its first watchlist on load is not a
+        // navigation of its own.
+        const picked = e.detail.market === lastView.market && e.detail.range === lastView.range && !lastView.watchlist;
+        lastView = e.detail;
+        sync(picked);
+      });
+      container.addEventListener('bubbleclick', function (e) {
+        selectedTicker = e.detail.ticker;
+        sync();
+      });
+      container.addEventListener('bubbleunselect', function () {
+        selectedTicker = null;
+        sync();
+      });
+      window.addEventListener('popstate', restore);
+
+      // Normalise the address (e.g. `/` becomes `/stocks/day`) without
+      // adding a history entry, then open the linked ticker once the
+      // first data is in so its bubble can be highlighted.
+      sync(true);
+      if (selectedTicker) {
+        container.addEventListener('bubbledata', function openLinked() {
+          container.removeEventListener('bubbledata', openLinked);
+          // The event fires just before the bubbles are updated.
+          setTimeout(() => selectTicker(selectedTicker));
+        });
+      }
+    })();
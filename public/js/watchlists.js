@@ -0,0 +1,181 @@
+    /**
+     * Watchlist bar for the "Watchlists" primary tab. Lists the
+     * watchlists stored on the server (`/api/watchlists`), lets the user
+     * create, rename and delete them and add or remove tickers, and tells
+     * app.js which one to show through setWatchlist(). The selected
+     * watchlist is remembered in localStorage.
+     */
+
+    import { currentMarket, currentWatchlist, setWatchlist } from './app.js';
+
+    (function initWatchlists() {
+      const bar = document.getElementById('watchlist-bar');
+      const select = document.getElementById('watchlist-select');
+      const addForm = bar.querySelector('.watchlist-add');
+      const tickerInput = document.getElementById('watchlist-ticker');
+      const tickerList = bar.querySelector('.watchlist-tickers');
+      const statusEl = bar.querySelector('.watchlist-status');
+      const storageKey = 'bubbles.watchlist';
+      let watchlists = [];
+      let selectedId = null;
+
+      /**
+       * Call the watchlist API and resolve to the parsed JSON body (or
+       * null for 204). Rejects with the server's error message.
+       * @param {string} method
+       * @param {string} path Relative to /api/watchlists
+       * @param {object} [body]
+       * @returns {Promise<*>}
+       */
+      async function api(method, path, body) {
+        const response = await fetch('/api/watchlists' + path, {
+          method: method,
+          headers: body ? { 'Content-Type': 'application/json' } : undefined,
+          body: body ? JSON.stringify(body) : undefined
+        });
+        const data = response.status === 204 ? null : await response.json();
+        if (!response.ok) {
+          throw new Error((data && data.error) || 'Watchlist request failed');
+        }
+        return data;
+      }
+
+      function selected() {
+        return watchlists.find((watchlist) => watchlist.id === selectedId) || null;
+      }
+
+      function render() {
+        select.innerHTML = '';
+        for (const watchlist of watchlists) {
+          select.add(new Option(watchlist.name, watchlist.id));
+        }
+        select.value = selectedId || '';
+        const current = selected();
+        select.disabled = !current;
+        bar.querySelector('[data-action="rename"]').disabled = !current;
+        bar.querySelector('[data-action="delete"]').disabled = !current;
+        tickerInput.disabled = !current;
+        addForm.querySelector('button').disabled = !current;
+        tickerList.innerHTML = '';
+        if (!current) {
+          statusEl.textContent = 'No watchlists yet. Create one with "New".';
+          return;
+        }
+        statusEl.textContent = current.tickers.length === 0 ? 'This watchlist is empty.' : '';
+        for (const ticker of current.tickers) {
+          const item = document.createElement('li');
+          item.textContent = ticker;
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.textContent = '×';
+          remove.setAttribute('aria-label', 'Remove ' + ticker);
+          remove.addEventListener('click', () => run(() => removeTicker(ticker)));
+          item.appendChild(remove);
+          tickerList.appendChild(item);
+        }
+      }
+
+      /**
+       * Make `id` the selected watchlist and show it in the bubble field.
+       * @param {string|null} id
+       */
+      function choose(id) {
+        selectedId = id;
+        if (id) localStorage.setItem(storageKey, id);
+        else localStorage.removeItem(storageKey);
+        render();
+        setWatchlist(id);
+      }
+
+      /**
+       * Replace the local copy of a watchlist after an edit and reload the
+       * bubbles if it is the one shown.
+       * @param {object} watchlist
+       */
+      function replace(watchlist) {
+        watchlists = watchlists.map((item) => (item.id === watchlist.id ? watchlist : item));
+        render();
+        if (watchlist.id === selectedId) setWatchlist(selectedId);
+      }
+
+      async function load() {
+        watchlists = await api('GET', '');
+        // A watchlist named by a shared link wins over the remembered one.
+        const preferred = [currentWatchlist, localStorage.getItem(storageKey)];
+        const initial = preferred.find((id) => watchlists.some((item) => item.id === id)) ||
+          (watchlists[0] ? watchlists[0].id : null);
+        choose(initial);
+      }
+
+      async function create() {
+        const name = window.prompt('Name of the new watchlist:');
+        if (!name) return;
+        const watchlist = await api('POST', '', { name: name });
+        watchlists.push(watchlist);
+        choose(watchlist.id);
+      }
+
+      async function rename() {
+        const current = selected();
+        const name = window.prompt('Rename watchlist:', current.name);
+        if (!name || name === current.name) return;
+        replace(await api('PATCH', '/' + encodeURIComponent(current.id), { name: name }));
+      }
+
+      async function remove() {
+        const current = selected();
+        if (!window.confirm('Delete the watchlist "' + current.name + '"?')) return;
+        await api('DELETE', '/' + encodeURIComponent(current.id));
+        watchlists = watchlists.filter((item) => item.id !== current.id);
+        choose(watchlists[0] ? watchlists[0].id : null);
+      }
+
+      async function addTicker(ticker) {
+        replace(await api('PUT', '/' + encodeURIComponent(selectedId) + '/tickers/' + encodeURIComponent(ticker)));
+      }
+
+      async function removeTicker(ticker) {
+        replace(await api('DELETE', '/' + encodeURIComponent(selectedId) + '/tickers/' + encodeURIComponent(ticker)));
+      }
+
+      /**
+       * Run an action, showing its error in the bar instead of throwing.
+       * @param {function(): Promise<void>} action
+       */
+      function run(action) {
+        action().catch((err) => {
+          console.error(err);
+          statusEl.textContent = err.message;
+        });
+      }
+
+      // The bar is only shown with its tab; app.js does the market
+      // switch itself. Going back or forward in the browser history may
+      // also select another watchlist.
+      bar.hidden = currentMarket !== 'watchlist';
+      document.getElementById('bubble-container').addEventListener('viewchange', function (e) {
+        bar.hidden = e.detail.market !== 'watchlist';
+        if (e.detail.watchlist !== selectedId && watchlists.some((item) => item.id === e.detail.watchlist)) {
+          selectedId = e.detail.watchlist;
+          localStorage.setItem(storageKey, selectedId);
+          render();
+        }
+      });
+      select.addEventListener('change', function () {
+        choose(this.value);
+      });
+      bar.querySelector('[data-action="create"]').addEventListener('click', () => run(create));
+      bar.querySelector('[data-action="rename"]').addEventListener('click', () => run(rename));
+      bar.querySelector('[data-action="delete"]').addEventListener('click', () => run(remove));
+      addForm.addEventListener('submit', function (e) {
+        e.preventDefault();
+        const ticker = tickerInput.value.trim();
+        if (!ticker) return;
+        run(async () => {
+          await addTicker(ticker);
+          tickerInput.value = '';
+        });
+      });
+
+      run(load);
+    })();
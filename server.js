@@ -8,139 +8,1199 @@ const path = require('path');
  * the `INTRINIO_API_KEY` environment variable. To avoid exposing
  * secrets, do not commit a `.env` file containing your key. Instead
  * configure the variable in your deployment environment (e.g. Render).
+ * All settings are read and validated by lib/config.
  */
 
-// Node fetch is used to make HTTPS requests. It must be installed as a
-// dependency (see package.json). Using an ESM require shim allows it to
-// work in CommonJS.
-const fetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const { loadConfig, ConfigError } = require('./lib/config');
+const { observeUpstream } = require('./lib/fetch');
+const { createMetrics } = require('./lib/metrics');
+const { createCoinGeckoAdapter } = require('./lib/coingecko');
+const { createCache } = require('./lib/cache');
+const { createProviders } = require('./lib/providers');
+const { RANGES, parseRange } = require('./lib/ranges');
+const { createStreamHub, writeEvent } = require('./lib/stream');
+const { formatCsv } = require('./lib/csv');
+const { createWatchlistStore, WatchlistError } = require('./lib/watchlists');
+const { createSnapshotStore } = require('./lib/snapshots');
+const { createAlertStore, AlertError } = require('./lib/alerts');
+const { parseBenchmark, addExcessReturns } = require('./lib/benchmark');
+const { createHoldingsStore, valuePositions, HoldingsError } = require('./lib/holdings');
+
+/**
+ * Load the configuration, exiting with the list of problems when it is
+ * invalid so the server never starts half configured.
+ *
+ * @returns {Readonly<import('./lib/config').Config>}
+ */
+function readConfig() {
+  try {
+    return loadConfig(process.env);
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+const config = readConfig();
+config.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+
+// Prometheus metrics, served at `/metrics`: requests served, upstream
+// latency and failures, and cache effectiveness (registered once the
+// cache exists, below).
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total',
+  'HTTP requests served, by method, route and status.', ['method', 'route', 'status']);
+const upstreamDuration = metrics.histogram('upstream_request_duration_seconds',
+  'Time until an upstream answered or failed, by host.', ['upstream'],
+  [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+const upstreamErrors = metrics.counter('upstream_errors_total',
+  'Upstream requests that failed or were answered with 429 or 5xx, by host and reason.', ['upstream', 'reason']);
+
+observeUpstream(({ host, duration, status, error }) => {
+  upstreamDuration.observe({ upstream: host }, duration / 1000);
+  if (error) {
+    upstreamErrors.inc({ upstream: host, reason: error.name === 'AbortError' ? 'timeout' : 'network' });
+  } else if (status === 429 || status >= 500) {
+    upstreamErrors.inc({ upstream: host, reason: `http_${status}` });
+  }
+});
+
+// Count every response by the route pattern that handled it (e.g.
+// `/api/watchlists/:id`) rather than the raw path, so the number of
+// series stays bounded. Responses without a route (static files,
+// unknown paths) are counted under `none`.
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'none';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+});
 
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json());
+
+// Directory for state the server writes at runtime (watchlists,
+// holdings, recorded snapshots, alerts). Not under version control.
+const DATA_DIR = config.dataDir;
+
+// Ticker symbols accepted in URL paths and watchlists: letters, digits,
+// dots and dashes (e.g. "BRK.B", "AVAX-2").
+const TICKER_PATTERN = /^[A-Za-z0-9.\-]{1,20}$/;
+
+/**
+ * Send the 400 response used for an unsupported `?range`.
+ *
+ * @param {import('express').Response} res
+ * @param {string} value
+ */
+function rejectRange(res, value) {
+  res.status(400).json({ error: `Unknown range "${value}". Expected one of: ${Object.keys(RANGES).join(', ')}.` });
+}
+
+/**
+ * Send the 400 response used for a `?relativeTo` that is not a ticker.
+ *
+ * @param {import('express').Response} res
+ * @param {*} value
+ */
+function rejectBenchmark(res, value) {
+  res.status(400).json({ error: `Invalid benchmark "${value}". Expected a ticker such as SPY.` });
+}
+
+// Shared snapshot cache for all upstream data. Keys are namespaced by
+// market, e.g. `sp500:day` or `crypto:week`.
+const cache = createCache();
+
+const CACHE_RESULTS = ['hit', 'miss', 'stale', 'error'];
+metrics.collected('cache_requests_total', 'Snapshot cache lookups, by result.', 'counter', () => {
+  const stats = cache.stats();
+  return CACHE_RESULTS.map((result) => ({ labels: { result }, value: stats[result] }));
+});
+metrics.collected('cache_hit_ratio', 'Share of snapshot cache lookups served from memory.', 'gauge', () => {
+  const stats = cache.stats();
+  const total = CACHE_RESULTS.reduce((sum, result) => sum + stats[result], 0);
+  return total > 0 ? stats.hit / total : 0;
+});
+metrics.collected('cache_entries', 'Snapshot cache keys holding a value.', 'gauge', () => cache.stats().entries);
+metrics.collected('process_uptime_seconds', 'Seconds since the server started.', 'gauge', () => process.uptime());
+
+// The ticker universe changes rarely and is the same for every range, so
+// it is cached on its own with a long TTL rather than re-scraped with
+// every price refresh. Fundamentals (market cap) are cached likewise.
+const UNIVERSE_TTL = 6 * 60 * 60 * 1000;
+const FUNDAMENTALS_TTL = 6 * 60 * 60 * 1000;
+
+/**
+ * Send a cache result as JSON. The body is the snapshot itself; how
+ * fresh it is goes in the headers:
+ *
+ *  - `X-Cache`: HIT, MISS or STALE (upstream failed, last good snapshot
+ *    served)
+ *  - `Age`: seconds since the snapshot was fetched upstream
+ *  - `X-Data-Fetched-At`: ISO timestamp of that fetch
+ *
+ * Snapshots relative to a benchmark (see loadSnapshot) also name it:
+ *
+ *  - `X-Benchmark`: its ticker, e.g. SPY
+ *  - `X-Benchmark-Change`: its own change over the range, in percent
+ *
+ * @param {import('express').Response} res
+ * @param {import('./lib/cache').CacheResult} result
+ */
+function sendSnapshot(res, result) {
+  setSnapshotHeaders(res, result);
+  res.json(result.value);
+}
+
+/**
+ * Set the freshness headers described at sendSnapshot.
+ *
+ * @param {import('express').Response} res
+ * @param {import('./lib/cache').CacheResult} result
+ */
+function setSnapshotHeaders(res, result) {
+  res.set('X-Cache', result.status.toUpperCase());
+  res.set('Age', String(Math.max(0, Math.floor((Date.now() - result.fetchedAt) / 1000))));
+  res.set('X-Data-Fetched-At', new Date(result.fetchedAt).toISOString());
+  if (result.benchmark) {
+    res.set('X-Benchmark', result.benchmark.ticker);
+    res.set('X-Benchmark-Change', String(result.benchmark.changePercent));
+  }
+}
+
+// Columns of the CSV export, in order, and of the portfolio export.
+const EXPORT_COLUMNS = ['ticker', 'name', 'sector', 'price', 'changePercent', 'marketCap', 'volume', 'weight', 'error'];
+const PORTFOLIO_EXPORT_COLUMNS = ['ticker', 'name', 'sector', 'quantity', 'costBasis', 'price', 'changePercent',
+  'positionValue', 'positionChange', 'positionGain', 'error'];
+
+/**
+ * The columns of an export: `columns`, with the benchmark and excess
+ * return after `changePercent` for a snapshot relative to a benchmark.
+ *
+ * @param {import('./lib/cache').CacheResult & {benchmark?: object}} result
+ * @param {string[]} columns
+ * @returns {string[]}
+ */
+function exportColumns(result, columns) {
+  if (!result.benchmark) return columns;
+  const at = columns.indexOf('changePercent') + 1;
+  return [...columns.slice(0, at), 'benchmark', 'excessChangePercent', ...columns.slice(at)];
+}
+
+/**
+ * Send a cache result as a file download, as CSV (see EXPORT_COLUMNS)
+ * or JSON. The file is named after its contents and fetch time, e.g.
+ * `sp500-day-2026-01-02T15-04-05-000Z.csv`, and carries the same
+ * freshness headers as sendSnapshot.
+ *
+ * @param {import('express').Response} res
+ * @param {import('./lib/cache').CacheResult} result
+ * @param {string} name File name prefix, e.g. `sp500-day`
+ * @param {'csv'|'json'} format
+ * @param {string[]} [columns] CSV columns, EXPORT_COLUMNS by default
+ */
+function sendExport(res, result, name, format, columns = EXPORT_COLUMNS) {
+  const stamp = new Date(result.fetchedAt).toISOString().replace(/[:.]/g, '-');
+  setSnapshotHeaders(res, result);
+  res.attachment(`${name}-${stamp}.${format}`);
+  if (format === 'csv') {
+    res.type('text/csv').send(formatCsv(result.value, exportColumns(result, columns)));
+  } else {
+    res.json(result.value);
+  }
+}
+
+// Coins shown behind the "AI Crypto" tab, as CoinGecko ids
+// (`CRYPTO_COINS`).
+const cryptoCoins = config.crypto.coins;
+// CoinGecko's markets endpoint has no sector/category, so every coin is
+// filed under one sector.
+const CRYPTO_SECTOR = 'Crypto';
+const cryptoAdapter = createCoinGeckoAdapter({
+  baseUrl: config.crypto.baseUrl,
+  apiKey: config.crypto.apiKey
+});
+
+// Number of constituents shown in the stock bubble field. Set
+// `SP500_LIMIT=500` to show the whole index.
+const SP500_LIMIT = config.sp500Limit;
+
+// Universe (ticker list) and price providers for the stock route,
+// selected in the configuration; see lib/providers.
+const providers = createProviders(config);
+
+// The constituents list in use and its refreshes (see lib/constituents).
+if (providers.universe.status) {
+  metrics.collected('universe_constituents', 'Tickers in the constituents list in use.', 'gauge',
+    () => providers.universe.status().count);
+  metrics.collected('universe_refresh_failures_total',
+    'Constituents refreshes that failed or did not validate.', 'counter',
+    () => providers.universe.status().refreshFailures);
+}
+
+/**
+ * Load the stock universe through the cache.
+ *
+ * @returns {Promise<Array<{ticker: string}>>}
+ */
+async function loadUniverse() {
+  const { value } = await cache.get('sp500:universe', UNIVERSE_TTL, () =>
+    providers.universe.getUniverse({ limit: SP500_LIMIT }));
+  return value;
+}
+
+/**
+ * Load fundamentals (market cap, name, sector) for a set of stock
+ * tickers through the cache. They only size, label and filter bubbles,
+ * so a provider without fundamentals or a failed fetch yields an empty
+ * map rather than failing the snapshot.
+ *
+ * @param {string} key Cache key for this set of tickers
+ * @param {string[]} tickers
+ * @returns {Promise<Object<string, {marketCap: (number|null), name: (string|null), sector: (string|null)}>>}
+ */
+async function loadFundamentals(key, tickers) {
+  if (!providers.prices.getFundamentals) return {};
+  try {
+    const { value } = await cache.get(key, FUNDAMENTALS_TTL, () =>
+      providers.prices.getFundamentals(tickers));
+    return value;
+  } catch (err) {
+    console.error('Failed to load fundamentals:', err);
+    return {};
+  }
+}
+
+/**
+ * Quote stock tickers over a range with the price provider and merge in
+ * the company details the client uses: name, sector and index weight
+ * from the universe entry when the ticker is part of the universe, and
+ * market cap (plus name and sector for tickers outside the universe)
+ * from the fundamentals. Rejects when the price provider is missing
+ * configuration (e.g. Intrinio without `INTRINIO_API_KEY`).
+ *
+ * @param {string[]} tickers
+ * @param {string} range Key of RANGES
+ * @param {Array<{ticker: string, name?: string, sector?: string, weight?: number}>} universe
+ * @param {string} fundamentalsKey Cache key for the fundamentals of `tickers`
+ * @returns {Promise<Array<object>>}
+ */
+async function quoteStocks(tickers, range, universe, fundamentalsKey) {
+  const configError = providers.prices.configurationError();
+  if (configError) {
+    throw new Error(configError);
+  }
+  const [quotes, fundamentals] = await Promise.all([
+    providers.prices.getQuotes(tickers, range),
+    loadFundamentals(fundamentalsKey, tickers)
+  ]);
+  const entries = new Map(universe.map((entry) => [entry.ticker, entry]));
+  return quotes.map((quote) => {
+    const entry = entries.get(quote.ticker) || {};
+    const facts = fundamentals[quote.ticker] || {};
+    return {
+      ...quote,
+      name: entry.name || facts.name || null,
+      sector: entry.sector || facts.sector || null,
+      marketCap: facts.marketCap ?? null,
+      volume: quote.volume ?? null,
+      weight: entry.weight ?? null
+    };
+  });
+}
+
+/**
+ * Cached snapshot loaders for each market, keyed by the market name used
+ * in cache keys and in the `?market=` parameter of `/api/stream`. Each
+ * takes a range and resolves to a cache result whose value is the array
+ * served to clients: `{ ticker, price, changePercent }` plus the company
+ * `name` and `sector` and the sizing metrics `marketCap`, `volume` and
+ * `weight` (index weight in percent), each null when unknown.
+ */
+const MARKETS = {
+  sp500(range) {
+    return cache.get(`sp500:${range}`, RANGES[range].cacheTtl, async () => {
+      const universe = await loadUniverse();
+      const tickers = universe.map((entry) => entry.ticker);
+      return quoteStocks(tickers, range, universe, 'sp500:fundamentals');
+    });
+  },
+  crypto(range) {
+    return cache.get(`crypto:${range}`, RANGES[range].cacheTtl, async () => {
+      const quotes = await cryptoAdapter.getQuotes(cryptoCoins, range);
+      // There is no index to take a weight from, so weight each coin by
+      // its share of the listed coins' combined market cap.
+      const totalCap = quotes.reduce((sum, quote) => sum + (quote.marketCap || 0), 0);
+      return quotes.map((quote) => ({
+        ...quote,
+        sector: CRYPTO_SECTOR,
+        weight: totalCap > 0 && quote.marketCap != null ? (quote.marketCap / totalCap) * 100 : null
+      }));
+    });
+  }
+};
+
+// User-defined watchlists; see lib/watchlists.
+const watchlists = createWatchlistStore({
+  file: path.join(DATA_DIR, 'watchlists.json'),
+  tickerPattern: TICKER_PATTERN
+});
+
+/**
+ * Cached snapshot loader for a watchlist, in the same shape as the
+ * MARKETS loaders. Watchlist tickers are stocks and are quoted with the
+ * stock price provider. Cache keys start with `watchlist:{id}:` so that
+ * editing the list can invalidate them.
+ *
+ * @param {string} id
+ * @param {string} range Key of RANGES
+ * @returns {Promise<import('./lib/cache').CacheResult>}
+ */
+async function loadWatchlistPrices(id, range) {
+  const { tickers } = await watchlists.get(id);
+  return cache.get(`watchlist:${id}:${range}`, RANGES[range].cacheTtl, async () => {
+    if (tickers.length === 0) return [];
+    const universe = await loadUniverse().catch(() => []);
+    return quoteStocks(tickers, range, universe, `watchlist:${id}:fundamentals`);
+  });
+}
+
+// The portfolio's holdings; see lib/holdings.
+const portfolio = createHoldingsStore({
+  file: path.join(DATA_DIR, 'holdings.json'),
+  tickerPattern: TICKER_PATTERN
+});
+
+/**
+ * Cached snapshot loader for the `portfolio` market, in the same shape
+ * as the MARKETS loaders: the holdings' tickers quoted with the stock
+ * price provider, each with its position (see valuePositions in
+ * lib/holdings). Cache keys start with `portfolio:` so that an import
+ * can invalidate them.
+ *
+ * @param {string} range Key of RANGES
+ * @returns {Promise<import('./lib/cache').CacheResult>}
+ */
+async function loadPortfolioPrices(range) {
+  const { holdings } = await portfolio.get();
+  return cache.get(`portfolio:${range}`, RANGES[range].cacheTtl, async () => {
+    if (holdings.length === 0) return [];
+    const universe = await loadUniverse().catch(() => []);
+    const tickers = holdings.map((holding) => holding.ticker);
+    return valuePositions(await quoteStocks(tickers, range, universe, 'portfolio:fundamentals'), holdings);
+  });
+}
+
+// Every refreshed sp500 and crypto snapshot is recorded for replay (see
+// lib/snapshots). `SNAPSHOT_RETENTION_DAYS` sets how long they are kept.
+const snapshots = createSnapshotStore({
+  dir: path.join(DATA_DIR, 'snapshots'),
+  retention: config.snapshotRetention
+});
+
+/**
+ * The watchlist id of a `watchlist:{id}` market name, or null for the
+ * fixed markets.
+ *
+ * @param {string} market
+ * @returns {string|null}
+ */
+function watchlistIdOf(market) {
+  return market.startsWith('watchlist:') ? market.slice('watchlist:'.length) : null;
+}
+
+// Price and move alert rules and their fired events; see lib/alerts.
+const alerts = createAlertStore({
+  file: path.join(DATA_DIR, 'alerts.json'),
+  markets: ['sp500', 'crypto'],
+  ranges: Object.keys(RANGES),
+  tickerPattern: TICKER_PATTERN
+});
+// Open `/api/alerts/stream` responses, each sent every fired alert.
+// A comment line is written to them periodically, as on `/api/stream`,
+// so proxies do not close the idle connections.
+const alertClients = new Set();
+setInterval(() => {
+  for (const res of alertClients) res.write(': tick\n\n');
+}, 15000).unref();
+
+/**
+ * Evaluate the alert rules against a refreshed snapshot and push the
+ * alerts that fired to every `/api/alerts/stream` client.
+ *
+ * @param {string} market
+ * @param {string} range
+ * @param {Array<object>} quotes
+ */
+async function checkAlerts(market, range, quotes) {
+  const fired = await alerts.evaluate(market, range, quotes);
+  for (const event of fired) {
+    for (const res of alertClients) writeEvent(res, 'alert', event);
+  }
+}
+
+/**
+ * Load a market snapshot through the cache, logging when the upstream
+ * failed and the last good snapshot is used instead. Snapshots freshly
+ * fetched for a fixed market are recorded for replay and checked
+ * against the alert rules; a failure in either is logged but does not
+ * fail the load.
+ *
+ * @param {string} market Key of MARKETS, `portfolio` or `watchlist:{id}`
+ * @param {string} range Key of RANGES
+ * @returns {Promise<import('./lib/cache').CacheResult>}
+ */
+async function loadMarket(market, range) {
+  const watchlistId = watchlistIdOf(market);
+  let result;
+  if (market === 'portfolio') result = await loadPortfolioPrices(range);
+  else if (watchlistId) result = await loadWatchlistPrices(watchlistId, range);
+  else result = await MARKETS[market](range);
+  if (result.status === 'stale') {
+    console.error(`Serving stale ${market}:${range} after upstream failure:`, result.error);
+  }
+  if (Object.prototype.hasOwnProperty.call(MARKETS, market) && result.status === 'miss') {
+    snapshots.record(market, range, result.fetchedAt, result.value).catch((err) => {
+      console.error(`Failed to record ${market}:${range} snapshot:`, err);
+    });
+    checkAlerts(market, range, result.value).catch((err) => {
+      console.error(`Failed to evaluate alerts for ${market}:${range}:`, err);
+    });
+  }
+  return result;
+}
+
+/**
+ * Load the quote of a benchmark ticker for a range with the stock price
+ * provider, through the cache. Rejects when it has no change for the
+ * range, since nothing can be measured against it then.
+ *
+ * @param {string} ticker
+ * @param {string} range Key of RANGES
+ * @returns {Promise<import('./lib/cache').CacheResult>}
+ */
+function loadBenchmark(ticker, range) {
+  return cache.get(`benchmark:${ticker}:${range}`, RANGES[range].cacheTtl, async () => {
+    const configError = providers.prices.configurationError();
+    if (configError) {
+      throw new Error(configError);
+    }
+    const [quote] = await providers.prices.getQuotes([ticker], range);
+    if (!quote || quote.changePercent == null) {
+      throw new Error(`No ${range} change for benchmark ${ticker}${quote && quote.error ? ` (${quote.error})` : ''}`);
+    }
+    return { ticker, price: quote.price, changePercent: quote.changePercent };
+  });
+}
+
+/**
+ * Load a market snapshot (see loadMarket), optionally relative to a
+ * benchmark: each quote then also carries its excess return over the
+ * benchmark (see lib/benchmark), and the result the benchmark's quote
+ * as `benchmark`. The benchmark is fetched for the same range and cached
+ * on its own, so every market shares it.
+ *
+ * @param {string} market Key of MARKETS, `portfolio` or `watchlist:{id}`
+ * @param {string} range Key of RANGES
+ * @param {string} [relativeTo] Benchmark ticker, e.g. SPY
+ * @returns {Promise<import('./lib/cache').CacheResult & {benchmark?: {ticker: string, price: (number|null), changePercent: number}}>}
+ */
+async function loadSnapshot(market, range, relativeTo) {
+  if (!relativeTo) return loadMarket(market, range);
+  const [result, benchmark] = await Promise.all([loadMarket(market, range), loadBenchmark(relativeTo, range)]);
+  if (benchmark.status === 'stale') {
+    console.error(`Serving stale benchmark ${relativeTo}:${range} after upstream failure:`, benchmark.error);
+  }
+  return {
+    ...result,
+    // A refreshed benchmark changes every excess return, so the stream
+    // sends a delta for it as for new quotes.
+    fetchedAt: Math.max(result.fetchedAt, benchmark.fetchedAt),
+    value: addExcessReturns(result.value, benchmark.value),
+    benchmark: benchmark.value
+  };
+}
+
+// Pushes snapshot deltas to `/api/stream` subscribers.
+const streamHub = createStreamHub({ load: loadSnapshot });
+
+// Markets are only refreshed while someone views them, so the market
+// and range of every alert rule are also loaded on this interval. The
+// cache TTLs still decide how often upstream is actually called.
+const ALERT_CHECK_INTERVAL = 60 * 1000;
+setInterval(async () => {
+  try {
+    const topics = await alerts.watchedTopics();
+    await Promise.all(topics.map(({ market, range }) =>
+      loadMarket(market, range).catch((err) => {
+        console.error(`Alert refresh failed for ${market}:${range}:`, err.message);
+      })));
+  } catch (err) {
+    console.error('Failed to read alert rules:', err);
+  }
+}, ALERT_CHECK_INTERVAL).unref();
 
 /**
  * GET /api/sp500
  *
  * Responds with a JSON array of objects containing the ticker symbols
- * and latest prices for roughly the top 100 companies in the S&P 500.
- *
- * Instead of relying on Intrinio’s `indices` endpoint—which is only
- * available with certain data packages—this route scrapes a public
- * webpage (https://www.slickcharts.com/sp500) to obtain the list of
- * companies in descending order by index weight. Only the first 100
- * tickers are used. It then queries Intrinio’s realtime price API for
- * each ticker using a 15‑minute delayed source (`delayed_sip`) to avoid
- * exchange fees and leverage the available data packages. Prices are
- * returned as numbers or null if unavailable.
- *
- * The Intrinio API key is read from `INTRINIO_API_KEY` in the
- * environment. If it is not present, the server returns a 500
- * response. All network errors are caught and reported with a 500
- * response.
+ * and latest prices for roughly the top 100 companies in the S&P 500.
+ *
+ * The ticker list comes from the configured universe provider (by
+ * default a scrape of https://www.slickcharts.com/sp500, which lists
+ * companies in descending order by index weight) and the prices from
+ * the configured price provider (by default Intrinio). The change is
+ * computed over the requested `?range` (one of hour, day, week, month or
+ * year). Prices are returned as numbers or null if unavailable. Unknown
+ * ranges are rejected with a 400 response.
+ *
+ * Results are cached per range (see RANGES for the TTLs and sendSnapshot
+ * for the headers), so concurrent viewers share one upstream fetch and
+ * an upstream outage serves the last good snapshot.
+ *
+ * With `?relativeTo=SPY` (any ticker the price provider quotes), each
+ * entry also carries `benchmark` and `excessChangePercent`, its change
+ * minus the benchmark's over the same range (see loadSnapshot). The
+ * other snapshot, export and stream routes take the same parameter.
+ *
+ * If the price provider is missing configuration (e.g. Intrinio without
+ * `INTRINIO_API_KEY`), the server returns a 500 response. All network
+ * errors are caught and reported with a 500 response.
  */
 app.get('/api/sp500', async (req, res) => {
-  const apiKey = process.env.INTRINIO_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'INTRINIO_API_KEY is not configured on the server.' });
-  }
-
-  // Determine which price frequency to request based on the ?range
-  // query parameter. Only "week" is handled explicitly at the
-  // moment; all other values default to daily data so existing
-  // behaviour is preserved for hour/day/month/year tabs.
-  const range = req.query.range;
-  const frequency = range === 'week' ? 'weekly' : 'daily';
-
-  /**
-   * Fetch the HTML for the S&P 500 components page and extract up to 100
-   * ticker symbols. The page lists companies in order of index weight.
-   * Each ticker appears in a link with a `/symbol/{TICKER}` href, so
-   * a simple regex can be used to capture them. Duplicates are
-   * filtered to ensure each ticker appears once.
-   *
-   * @returns {Promise<string[]>} A promise resolving to an array of tickers
-   */
-  async function getTopTickers() {
-    const url = 'https://www.slickcharts.com/sp500';
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch tickers from ${url}: ${response.statusText}`);
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+
+  try {
+    sendSnapshot(res, await loadSnapshot('sp500', range, relativeTo));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Unexpected error fetching SP500 data' });
+  }
+});
+
+/**
+ * GET /api/crypto
+ *
+ * Responds with the same `{ ticker, price, changePercent }` array as
+ * `/api/sp500`, for the configured list of coins (see cryptoCoins) over
+ * the requested `?range`. Prices come from CoinGecko through
+ * cryptoAdapter and are cached like `/api/sp500`. Upstream failures with
+ * no previous snapshot are reported with a 500 response.
+ */
+app.get('/api/crypto', async (req, res) => {
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+  try {
+    sendSnapshot(res, await loadSnapshot('crypto', range, relativeTo));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Unexpected error fetching crypto data' });
+  }
+});
+
+// Formats offered by the export routes.
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * GET /api/sp500.csv, /api/sp500.json, /api/crypto.csv, /api/crypto.json
+ *
+ * The same data as `/api/sp500` and `/api/crypto` for the requested
+ * `?range`, as a CSV or JSON file download (see sendExport).
+ */
+app.get('/api/:market.:format', async (req, res, next) => {
+  const { market, format } = req.params;
+  if (!Object.prototype.hasOwnProperty.call(MARKETS, market) || !EXPORT_FORMATS.includes(format)) {
+    return next();
+  }
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+  try {
+    sendExport(res, await loadSnapshot(market, range, relativeTo), `${market}-${range}`, format);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || `Unexpected error exporting ${market} data` });
+  }
+});
+
+/**
+ * GET /api/stream?market=sp500|crypto|portfolio|watchlist:{id}&range=...
+ *
+ * Server-Sent Events stream of live updates for one market (the
+ * portfolio or a watchlist) and range. Sends a `snapshot` event with the full dataset
+ * on connect, then a `delta` event with the changed tickers whenever the
+ * server refreshes its data (see lib/stream). `market` defaults to
+ * sp500; `relativeTo` adds excess returns as on `/api/sp500`.
+ */
+app.get('/api/stream', async (req, res) => {
+  const market = req.query.market || 'sp500';
+  const watchlistId = watchlistIdOf(market);
+  if (watchlistId) {
+    try {
+      await watchlists.get(watchlistId);
+    } catch (err) {
+      return sendRequestError(res, err);
     }
-    const html = await response.text();
-    // Match all instances of /symbol/XYZ where XYZ contains letters or a
-    // period (e.g. "BRK.B"). This regex returns the ticker in the first
-    // capture group. Because the page contains the tickers twice (once
-    // in the company row and once in a dropdown), we filter out
-    // duplicates later.
-    const regex = /\/symbol\/([A-Za-z\.]+)"/g;
-    const tickers = [];
-    let match;
-    const seen = new Set();
-    while ((match = regex.exec(html)) !== null && tickers.length < 100) {
-      const ticker = match[1];
-      if (!seen.has(ticker)) {
-        seen.add(ticker);
-        tickers.push(ticker);
-      }
+  } else if (market !== 'portfolio' && !Object.prototype.hasOwnProperty.call(MARKETS, market)) {
+    return res.status(400).json({ error: `Unknown market "${market}". Expected one of: ${Object.keys(MARKETS).join(', ')}, portfolio, watchlist:{id}.` });
+  }
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+  streamHub.subscribe(market, range, req, res, relativeTo);
+});
+
+/**
+ * Send the response for a failed watchlist, holdings or alert request:
+ * the status of a WatchlistError, HoldingsError or AlertError for
+ * invalid input or an unknown id, 500 otherwise.
+ *
+ * @param {import('express').Response} res
+ * @param {Error} err
+ */
+function sendRequestError(res, err) {
+  if (err instanceof WatchlistError || err instanceof HoldingsError || err instanceof AlertError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(err);
+  res.status(500).json({ error: err.message || 'Unexpected error' });
+}
+
+/**
+ * Wrap a JSON route backed by a store: the handler resolves to the
+ * response body (or undefined for 204 No Content) and errors go through
+ * sendRequestError.
+ *
+ * @param {function(import('express').Request): Promise<*>} handler
+ * @param {object} [options]
+ * @param {number} [options.status] Success status
+ * @param {function(import('express').Request): void} [options.after]
+ *   Called after the handler succeeds, e.g. to drop cached data
+ */
+function jsonRoute(handler, { status = 200, after } = {}) {
+  return async (req, res) => {
+    try {
+      const body = await handler(req);
+      if (after) after(req);
+      if (body === undefined) return res.status(204).end();
+      res.status(status).json(body);
+    } catch (err) {
+      sendRequestError(res, err);
     }
-    return tickers;
+  };
+}
+
+/**
+ * Drop the cached prices of the watchlist in `:id` after it was edited,
+ * so the next load reflects the edit.
+ *
+ * @param {import('express').Request} req
+ */
+function invalidateWatchlist(req) {
+  cache.invalidate(`watchlist:${req.params.id}:`);
+}
+
+/*
+ * Watchlist management. Watchlists are named lists of stock tickers
+ * stored on the server (see lib/watchlists):
+ *
+ *   GET    /api/watchlists                     all watchlists
+ *   POST   /api/watchlists                     create: { name, tickers? }
+ *   GET    /api/watchlists/:id                 one watchlist
+ *   PATCH  /api/watchlists/:id                 rename and/or replace
+ *                                              tickers: { name?, tickers? }
+ *   DELETE /api/watchlists/:id                 delete
+ *   PUT    /api/watchlists/:id/tickers/:ticker add a ticker
+ *   DELETE /api/watchlists/:id/tickers/:ticker remove a ticker
+ *
+ * Invalid input is answered with 400 and unknown ids with 404, each with
+ * an `{ error }` body.
+ */
+app.get('/api/watchlists', jsonRoute(() => watchlists.list()));
+app.post('/api/watchlists', jsonRoute((req) => watchlists.create(req.body || {}), { status: 201 }));
+app.get('/api/watchlists/:id', jsonRoute((req) => watchlists.get(req.params.id)));
+app.patch('/api/watchlists/:id', jsonRoute((req) =>
+  watchlists.update(req.params.id, req.body || {}), { after: invalidateWatchlist }));
+app.delete('/api/watchlists/:id', jsonRoute((req) =>
+  watchlists.remove(req.params.id), { after: invalidateWatchlist }));
+app.put('/api/watchlists/:id/tickers/:ticker', jsonRoute((req) =>
+  watchlists.addTicker(req.params.id, req.params.ticker), { after: invalidateWatchlist }));
+app.delete('/api/watchlists/:id/tickers/:ticker', jsonRoute((req) =>
+  watchlists.removeTicker(req.params.id, req.params.ticker), { after: invalidateWatchlist }));
+
+/**
+ * GET /api/watchlists/:id/prices?range=...
+ *
+ * The watchlist's tickers in the same shape as `/api/sp500`, so the
+ * bubble field can show a watchlist instead of the index. Cached per
+ * watchlist and range with the same TTLs and headers; the cache is
+ * dropped whenever the watchlist is edited. Live updates are available
+ * from `/api/stream?market=watchlist:{id}`.
+ */
+app.get('/api/watchlists/:id/prices', async (req, res) => {
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+  try {
+    sendSnapshot(res, await loadSnapshot(`watchlist:${req.params.id}`, range, relativeTo));
+  } catch (err) {
+    sendRequestError(res, err);
+  }
+});
+
+/**
+ * GET /api/watchlists/:id/prices.csv, /api/watchlists/:id/prices.json
+ *
+ * A watchlist's prices as a CSV or JSON file download, like the market
+ * exports.
+ */
+app.get('/api/watchlists/:id/prices.:format', async (req, res, next) => {
+  if (!EXPORT_FORMATS.includes(req.params.format)) {
+    return next();
   }
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+  try {
+    const result = await loadSnapshot(`watchlist:${req.params.id}`, range, relativeTo);
+    sendExport(res, result, `watchlist-${req.params.id}-${range}`, req.params.format);
+  } catch (err) {
+    sendRequestError(res, err);
+  }
+});
 
+/**
+ * Drop the cached portfolio prices after the holdings changed.
+ */
+function invalidatePortfolio() {
+  cache.invalidate('portfolio:');
+}
+
+/*
+ * Portfolio holdings (see lib/holdings):
+ *
+ *   GET    /api/holdings  the holdings: { holdings, updatedAt }
+ *   PUT    /api/holdings  replace them with a CSV body (Content-Type
+ *                         text/csv) of ticker, quantity and cost basis
+ *   DELETE /api/holdings  remove every holding
+ *
+ * An invalid CSV is answered with 400 and an `{ error }` body naming
+ * the offending row.
+ */
+app.get('/api/holdings', jsonRoute(() => portfolio.get()));
+app.put('/api/holdings', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), jsonRoute((req) =>
+  portfolio.importCsv(req.body), { after: invalidatePortfolio }));
+app.delete('/api/holdings', jsonRoute(() => portfolio.clear(), { after: invalidatePortfolio }));
+
+/**
+ * GET /api/portfolio?range=...
+ *
+ * The holdings in the same shape as `/api/sp500`, each also carrying its
+ * `quantity`, `costBasis`, `positionValue`, `positionChange` (dollars
+ * over the range) and `positionGain` (see valuePositions in
+ * lib/holdings). Cached per range like a watchlist; the cache is dropped
+ * on every import. Live updates are available from
+ * `/api/stream?market=portfolio`.
+ */
+app.get('/api/portfolio', async (req, res) => {
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+  try {
+    sendSnapshot(res, await loadSnapshot('portfolio', range, relativeTo));
+  } catch (err) {
+    sendRequestError(res, err);
+  }
+});
+
+/**
+ * GET /api/portfolio.csv, /api/portfolio.json
+ *
+ * The portfolio as a CSV (see PORTFOLIO_EXPORT_COLUMNS) or JSON file
+ * download, like the market exports.
+ */
+app.get('/api/portfolio.:format', async (req, res, next) => {
+  if (!EXPORT_FORMATS.includes(req.params.format)) {
+    return next();
+  }
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+  const relativeTo = parseBenchmark(req.query.relativeTo, TICKER_PATTERN);
+  if (relativeTo === null) {
+    return rejectBenchmark(res, req.query.relativeTo);
+  }
+  try {
+    const result = await loadSnapshot('portfolio', range, relativeTo);
+    sendExport(res, result, `portfolio-${range}`, req.params.format, PORTFOLIO_EXPORT_COLUMNS);
+  } catch (err) {
+    sendRequestError(res, err);
+  }
+});
+
+/*
+ * Alerts (see lib/alerts):
+ *
+ *   GET    /api/alerts/rules          all rules
+ *   POST   /api/alerts/rules          create: { type, ticker?, threshold,
+ *                                     market?, range? }
+ *   DELETE /api/alerts/rules/:id      delete a rule
+ *   GET    /api/alerts/events?since=  fired alerts, newest first
+ *   GET    /api/alerts/stream         Server-Sent Events: an `alert`
+ *                                     event for every alert that fires
+ *
+ * Rules are evaluated whenever their market and range are refreshed,
+ * and a new rule also against the data already cached.
+ */
+app.get('/api/alerts/rules', jsonRoute(() => alerts.listRules()));
+app.post('/api/alerts/rules', async (req, res) => {
+  try {
+    const rule = await alerts.createRule(req.body || {});
+    res.status(201).json(rule);
+    // Check the new rule against the data already cached instead of
+    // waiting for the next refresh.
+    const snapshot = cache.peek(`${rule.market}:${rule.range}`);
+    if (snapshot) {
+      checkAlerts(rule.market, rule.range, snapshot.value).catch((err) => {
+        console.error(`Failed to evaluate alerts for ${rule.market}:${rule.range}:`, err);
+      });
+    }
+  } catch (err) {
+    sendRequestError(res, err);
+  }
+});
+app.delete('/api/alerts/rules/:id', jsonRoute((req) => alerts.deleteRule(req.params.id)));
+app.get('/api/alerts/events', async (req, res) => {
+  const since = req.query.since === undefined ? -Infinity : Number(req.query.since);
+  if (Number.isNaN(since)) {
+    return res.status(400).json({ error: '`since` must be a timestamp in milliseconds.' });
+  }
   try {
-    const tickers = await getTopTickers();
-    // For each ticker, fetch the two most recent price records for the
-    // requested frequency (daily or weekly). By requesting
-    // page_size=2 and sort_order=desc, the first entry is the latest
-    // close and the second is the previous period’s close. We compute
-    // the percent change as (latest.close - prev.close) / prev.close * 100.
-    // We return the latest close as the price. If either record is
-    // missing, changePercent and price may be null. This removes
-    // reliance on realtime data and ensures bubbles reflect end-of-day
-    // or end-of-week performance.
-    const pricePromises = tickers.map(async (ticker) => {
-      const url =
-        `https://api-v2.intrinio.com/securities/${ticker}/prices?frequency=${frequency}&page_size=2&sort_order=desc&api_key=${apiKey}`;
+    res.json(await alerts.listEvents({ since }));
+  } catch (err) {
+    sendRequestError(res, err);
+  }
+});
+app.get('/api/alerts/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(': connected\n\n');
+  alertClients.add(res);
+  req.on('close', () => alertClients.delete(res));
+});
+
+/**
+ * Change over every range for a single ticker. Cached market snapshots
+ * are used where they already contain the ticker; otherwise, for
+ * stocks, the ticker alone is quoted (and cached per range) so opening
+ * the detail panel never triggers a refresh of the whole universe.
+ *
+ * @param {string} market Key of MARKETS
+ * @param {string} ticker
+ * @returns {Promise<Object<string, {price: (number|null), changePercent: (number|null)}>>}
+ */
+async function changesForTicker(market, ticker) {
+  const entries = await Promise.all(Object.keys(RANGES).map(async (range) => {
+    const snapshot = cache.peek(`${market}:${range}`);
+    let quote = snapshot && snapshot.value.find((entry) => entry.ticker === ticker);
+    if (!quote) {
       try {
-        const resp = await fetch(url);
-        if (!resp.ok) {
-          return { ticker, price: null, changePercent: null };
-        }
-        const data = await resp.json();
-        if (!data || !Array.isArray(data.stock_prices) || data.stock_prices.length === 0) {
-          return { ticker, price: null, changePercent: null };
-        }
-        const latest = data.stock_prices[0];
-        const prev = data.stock_prices.length > 1 ? data.stock_prices[1] : null;
-        const price = latest.close ?? null;
-        let changePercent = null;
-        if (prev && prev.close != null && prev.close !== 0 && latest.close != null) {
-          changePercent = ((latest.close - prev.close) / prev.close) * 100;
-        } else if (latest.percent_change !== undefined && latest.percent_change !== null) {
-          // Fallback: use percent_change field if available (it may represent change
-          // from previous close).
-          changePercent = latest.percent_change;
+        if (market === 'sp500') {
+          const { value } = await cache.get(`quote:sp500:${ticker}:${range}`, RANGES[range].cacheTtl, () =>
+            providers.prices.getQuotes([ticker], range));
+          quote = value[0];
+        } else {
+          const { value } = await loadMarket(market, range);
+          quote = value.find((entry) => entry.ticker === ticker);
         }
-        return { ticker, price, changePercent };
       } catch (err) {
-        return { ticker, price: null, changePercent: null };
+        console.error(`Failed to quote ${market}:${ticker}:${range}:`, err);
       }
+    }
+    return [range, { price: quote ? quote.price : null, changePercent: quote ? quote.changePercent : null }];
+  }));
+  return Object.fromEntries(entries);
+}
+
+/**
+ * GET /api/history/:ticker?range=...&market=sp500|crypto
+ *
+ * Detail data for one ticker: its name, the change over every range and
+ * a series of recent closes for a sparkline. The series reuses the price
+ * provider's call for the range with a larger page (see getHistory in
+ * lib/providers/intrinio and lib/coingecko) and is cached with the
+ * range's TTL. Responds with:
+ *
+ *   { ticker, name, market, range, price, changes: { hour: {...}, ... },
+ *     points: [{ time, close }] }
+ *
+ * `points` is empty when the provider has no history (e.g. the static
+ * provider).
+ */
+app.get('/api/history/:ticker', async (req, res) => {
+  const { ticker } = req.params;
+  if (!TICKER_PATTERN.test(ticker)) {
+    return res.status(400).json({ error: `Invalid ticker "${ticker}".` });
+  }
+  const market = req.query.market || 'sp500';
+  if (!Object.prototype.hasOwnProperty.call(MARKETS, market)) {
+    return res.status(400).json({ error: `Unknown market "${market}". Expected one of: ${Object.keys(MARKETS).join(', ')}.` });
+  }
+  const range = parseRange(req.query.range);
+  if (!range) {
+    return rejectRange(res, req.query.range);
+  }
+
+  try {
+    const source = market === 'crypto' ? cryptoAdapter : providers.prices;
+    const [history, changes] = await Promise.all([
+      source.getHistory
+        ? cache.get(`history:${market}:${ticker}:${range}`, RANGES[range].cacheTtl, () =>
+          source.getHistory(ticker, range)).then((result) => result.value)
+        : { name: null, points: [] },
+      changesForTicker(market, ticker)
+    ]);
+    const universe = market === 'sp500' ? await loadUniverse().catch(() => []) : [];
+    const entry = universe.find((item) => item.ticker === ticker);
+    res.json({
+      ticker,
+      name: (entry && entry.name) || history.name || ticker,
+      market,
+      range,
+      price: changes[range].price,
+      changes,
+      points: history.points
     });
-    const prices = await Promise.all(pricePromises);
-    res.json(prices);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message || 'Unexpected error fetching SP500 data' });
+    res.status(500).json({ error: err.message || `Unexpected error fetching history for ${ticker}` });
+  }
+});
+
+/**
+ * Check the `:market` and `:range` path parameters of the snapshot
+ * routes, answering 400 and returning false when either is unknown.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {boolean}
+ */
+function validSnapshotParams(req, res) {
+  const { market, range } = req.params;
+  if (!Object.prototype.hasOwnProperty.call(MARKETS, market)) {
+    res.status(400).json({ error: `Unknown market "${market}". Expected one of: ${Object.keys(MARKETS).join(', ')}.` });
+    return false;
+  }
+  if (!Object.prototype.hasOwnProperty.call(RANGES, range)) {
+    rejectRange(res, range);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/snapshots/:market/:range?from=...&to=...
+ *
+ * Lists the recorded snapshots of a market and range, oldest first, as
+ * `[{ fetchedAt }]`. `from` and `to` (ms timestamps) limit the list.
+ * Snapshots are recorded whenever the server refreshes the market, i.e.
+ * while someone is viewing it.
+ */
+app.get('/api/snapshots/:market/:range', async (req, res) => {
+  if (!validSnapshotParams(req, res)) return;
+  const from = req.query.from === undefined ? -Infinity : Number(req.query.from);
+  const to = req.query.to === undefined ? Infinity : Number(req.query.to);
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: '`from` and `to` must be timestamps in milliseconds.' });
+  }
+  try {
+    res.json(await snapshots.list(req.params.market, req.params.range, { from, to }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Unexpected error listing snapshots' });
   }
 });
 
-// Serve index.html for all remaining routes (fallback)
+/**
+ * GET /api/snapshots/:market/:range/:fetchedAt
+ *
+ * One recorded snapshot: `{ fetchedAt, quotes }`, with `quotes` in the
+ * shape of `/api/sp500`. Unknown timestamps are answered with 404.
+ */
+app.get('/api/snapshots/:market/:range/:fetchedAt', async (req, res) => {
+  if (!validSnapshotParams(req, res)) return;
+  if (!/^\d+$/.test(req.params.fetchedAt)) {
+    return res.status(400).json({ error: `Invalid snapshot timestamp "${req.params.fetchedAt}".` });
+  }
+  try {
+    const snapshot = await snapshots.get(req.params.market, req.params.range, Number(req.params.fetchedAt));
+    if (!snapshot) {
+      return res.status(404).json({ error: `No snapshot at ${req.params.fetchedAt}.` });
+    }
+    res.json(snapshot);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message || 'Unexpected error reading snapshot' });
+  }
+});
+
+/**
+ * GET /healthz
+ *
+ * Liveness: answers 200 as long as the process is serving requests.
+ * Upstreams are not checked; see `/readyz`.
+ */
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Upstreams checked by `/readyz`, with the markets that need them.
+const UPSTREAMS = {
+  universe: { source: providers.universe, markets: ['sp500'] },
+  prices: { source: providers.prices, markets: ['sp500'] },
+  crypto: { source: cryptoAdapter, markets: ['crypto'] }
+};
+// Probe results are reused for this long, so frequent readiness checks
+// (load balancers poll every few seconds) do not hit the upstreams each
+// time.
+const PROBE_TTL = 30 * 1000;
+const probeCache = createCache();
+
+/**
+ * Probe an upstream through the probe cache. Never rejects: a failure
+ * is reported in the result.
+ *
+ * @param {string} name Key of UPSTREAMS
+ * @returns {Promise<{ok: boolean, latencyMs: number, error?: string}>}
+ */
+async function probeUpstream(name) {
+  const { value } = await probeCache.get(name, PROBE_TTL, async () => {
+    const started = Date.now();
+    try {
+      await UPSTREAMS[name].source.probe({ timeout: config.health.probeTimeout });
+      return { ok: true, latencyMs: Date.now() - started };
+    } catch (err) {
+      return { ok: false, latencyMs: Date.now() - started, error: err.message };
+    }
+  });
+  return value;
+}
+
+/**
+ * GET /readyz
+ *
+ * Readiness: whether the server can answer the market routes. Reports
+ * the configuration, each upstream's probe result, the constituents
+ * list in use (when the universe provider has one) and the age
+ * (seconds) of every cached market snapshot. A market is available when all its
+ * upstreams answer or a cached snapshot can be served instead; the
+ * server is ready (200, otherwise 503) when it is configured and every
+ * market is available.
+ */
+app.get('/readyz', async (req, res) => {
+  const configurationError = providers.prices.configurationError();
+  const names = Object.keys(UPSTREAMS);
+  const probes = await Promise.all(names.map(probeUpstream));
+  const upstreams = Object.fromEntries(names.map((name, i) => [name, probes[i]]));
+
+  const now = Date.now();
+  const markets = {};
+  for (const market of Object.keys(MARKETS)) {
+    const cached = {};
+    for (const range of Object.keys(RANGES)) {
+      const entry = cache.peek(`${market}:${range}`);
+      if (entry) cached[range] = { ageSeconds: Math.round((now - entry.fetchedAt) / 1000) };
+    }
+    const reachable = names.every((name) => !UPSTREAMS[name].markets.includes(market) || upstreams[name].ok);
+    markets[market] = { available: reachable || Object.keys(cached).length > 0, reachable, cached };
+  }
+
+  const ready = !configurationError && Object.values(markets).every((market) => market.available);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not ready',
+    configuration: configurationError ? { ok: false, error: configurationError } : { ok: true },
+    upstreams,
+    universe: providers.universe.status ? providers.universe.status() : undefined,
+    markets
+  });
+});
+
+/**
+ * GET /metrics
+ *
+ * Metrics in the Prometheus text format.
+ */
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Serve index.html for all remaining routes (fallback), including the
+// client-side view routes such as /stocks/week and /crypto/day.
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+// A JSON body that cannot be parsed (see express.json() above) gets the
+// `{ error }` answer of the routes' own errors instead of Express's
+// HTML error page.
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  res.status(400).json({ error: 'Invalid JSON body' });
+});
+
+// Listen only when run directly (`npm start`); tests require the app
+// and listen on a port of their own.
+if (require.main === module) {
+  app.listen(config.port, () => {
+    console.log(`Server is running on port ${config.port}`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The colours, format and keyboard helpers are ES modules shared with
+// the browser.
+let colors;
+let format;
+let keyboard;
+test.before(async () => {
+  colors = await import('../public/js/field/colors.js');
+  format = await import('../public/js/field/format.js');
+  keyboard = await import('../public/js/field/keyboard.js');
+});
+
+const redGreen = { palette: 'red-green', highContrast: false };
+
+test('colour intensity grows with the move relative to the scale', () => {
+  assert.equal(colors.changeIntensity(0, 5), 0);
+  assert.equal(colors.changeIntensity(0.1, 9), 0.2 + 0.8 * (0.1 / 9));
+  assert.equal(colors.changeIntensity(-9, 9), 1);
+  assert.equal(colors.changeIntensity(20, 9), 1);
+  // Small moves are stronger in high contrast.
+  assert.ok(colors.changeIntensity(0.1, 9, true) > 0.5);
+});
+
+test('changeRgb shades from neutral to the palette ends', () => {
+  assert.deepEqual(colors.changeRgb(0, 5, redGreen), [58, 63, 88]);
+  assert.deepEqual(colors.changeRgb(5, 5, redGreen), colors.PALETTES['red-green'].gain);
+  assert.deepEqual(colors.changeRgb(-5, 5, redGreen), colors.PALETTES['red-green'].loss);
+  const blueOrange = { palette: 'blue-orange', highContrast: false };
+  assert.deepEqual(colors.changeRgb(-5, 5, blueOrange), colors.PALETTES['blue-orange'].loss);
+  assert.deepEqual(colors.changeRgb(5, 5, { palette: 'blue-orange', highContrast: true }), colors.PALETTES['blue-orange'].highContrast.gain);
+  // An unknown palette falls back to the default.
+  assert.deepEqual(colors.changeRgb(5, 5, { palette: 'bogus', highContrast: false }), colors.PALETTES['red-green'].gain);
+  // A +0.1% move is much fainter than a +9% one.
+  const [, faint] = colors.changeRgb(0.1, 9, redGreen);
+  const [, strong] = colors.changeRgb(9, 9, redGreen);
+  assert.ok(strong - faint > 70);
+});
+
+test('high contrast bubbles are solid with a border and dark text', () => {
+  const normal = colors.bubbleColors(2, 4, redGreen);
+  assert.match(normal.inner, /^rgba\(/);
+  assert.equal(normal.border, undefined);
+  const contrast = colors.bubbleColors(2, 4, { palette: 'red-green', highContrast: true });
+  assert.equal(contrast.inner, contrast.outer);
+  assert.deepEqual([contrast.border, contrast.text], ['white', 'black']);
+  assert.deepEqual(colors.tileColors(-4, 4, redGreen), { background: 'rgb(214, 48, 49)', text: 'white' });
+});
+
+test('describeStock reads out the ticker, move, price and sector', () => {
+  const stock = { ticker: 'NVDA', name: 'Nvidia Corp', sector: 'Information Technology', price: 178.26, changePercent: 1.87 };
+  assert.match(keyboard.describeStock(stock), /^NVDA, Nvidia Corp, up 1\.9%, \$178\.26, Information Technology$/);
+  assert.equal(keyboard.describeStock({ ticker: 'X', changePercent: -0.44, price: null }), 'X, down 0.4%');
+  assert.equal(keyboard.describeStock({ ticker: 'Y' }), 'Y, unchanged');
+});
+
+test('measuredChange picks the excess return when asked and known', () => {
+  const stock = { changePercent: -1, excessChangePercent: 1 };
+  assert.equal(colors.measuredChange(stock, 'excess'), 1);
+  assert.equal(colors.measuredChange(stock, 'change'), -1);
+  // Snapshots without a benchmark keep their own change.
+  assert.equal(colors.measuredChange({ changePercent: -1, excessChangePercent: null }, 'excess'), -1);
+  assert.equal(colors.measuredChange({}, 'excess'), 0);
+});
+
+test('describeStock adds the move against the benchmark', () => {
+  const stock = { ticker: 'MSFT', price: null, changePercent: -1, benchmark: 'SPY' };
+  assert.equal(keyboard.describeStock({ ...stock, excessChangePercent: 1 }), 'MSFT, down 1.0%, 1.0% ahead of SPY');
+  assert.equal(keyboard.describeStock({ ...stock, excessChangePercent: -0.25 }), 'MSFT, down 1.0%, 0.3% behind SPY');
+  assert.equal(keyboard.describeStock({ ...stock, excessChangePercent: 0 }), 'MSFT, down 1.0%, level with SPY');
+  assert.equal(keyboard.describeStock({ ...stock, excessChangePercent: null }), 'MSFT, down 1.0%');
+});
+
+test('a portfolio colours and labels by the dollars a position moved', () => {
+  const stock = { changePercent: 5, positionChange: 1234 };
+  assert.equal(colors.shownMeasure(stock, 'positionChange'), 'positionChange');
+  assert.equal(colors.measuredChange(stock, 'positionChange'), 1234);
+  assert.equal(format.formatMeasured(stock, 'positionChange'), '+$1.2k');
+  assert.equal(format.formatMeasured(stock, 'change'), '+5.0%');
+  // Not a position: the change is shown instead.
+  assert.equal(colors.shownMeasure({ changePercent: 5 }, 'positionChange'), 'change');
+  assert.equal(format.formatMeasured({ changePercent: 5 }, 'positionChange'), '+5.0%');
+  assert.equal(colors.shownMeasure(stock, 'unknown'), 'change');
+});
+
+test('formatMoneyChange shortens large amounts and keeps the sign', () => {
+  assert.equal(format.formatMoneyChange(350.4), '+$350');
+  assert.equal(format.formatMoneyChange(-1249), '-$1.2k');
+  assert.equal(format.formatMoneyChange(3400000), '+$3.4M');
+  assert.equal(format.formatMoneyChange(0.3), '$0');
+  assert.equal(format.formatMoneyChange(null), '$0');
+});
+
+test('describeStock reads out the position', () => {
+  const stock = { ticker: 'MSFT', price: null, changePercent: 5, positionValue: 4200 };
+  assert.equal(keyboard.describeStock({ ...stock, positionChange: 200 }), 'MSFT, up 5.0%, position $4,200.00, up $200');
+  assert.equal(keyboard.describeStock({ ...stock, positionChange: -1500 }), 'MSFT, up 5.0%, position $4,200.00, down $1.5k');
+  assert.equal(keyboard.describeStock({ ...stock, positionChange: null }), 'MSFT, up 5.0%, position $4,200.00');
+});
+
+test('nearestInDirection prefers items in line with the arrow', () => {
+  const items = [
+    { ticker: 'FAR_RIGHT', x: 300, y: 100 },
+    { ticker: 'UP_RIGHT', x: 150, y: 0 },
+    { ticker: 'LEFT', x: 0, y: 110 },
+    { ticker: 'BELOW', x: 110, y: 200 }
+  ];
+  const from = { x: 100, y: 100 };
+  assert.equal(keyboard.nearestInDirection(from, items, 'ArrowRight').ticker, 'FAR_RIGHT');
+  assert.equal(keyboard.nearestInDirection(from, items, 'ArrowLeft').ticker, 'LEFT');
+  assert.equal(keyboard.nearestInDirection(from, items, 'ArrowDown').ticker, 'BELOW');
+  assert.equal(keyboard.nearestInDirection(from, items, 'ArrowUp').ticker, 'UP_RIGHT');
+  assert.equal(keyboard.nearestInDirection({ x: 400, y: 100 }, items, 'ArrowRight'), null);
+});
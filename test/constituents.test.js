@@ -0,0 +1,238 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createConstituents,
+  validateConstituents,
+  loadBundled,
+  ConstituentsError
+} = require('../lib/constituents');
+const { createSlickchartsUniverseProvider } = require('../lib/providers/slickcharts');
+const { startUpstream } = require('./helpers/upstream');
+
+const HOUR = 60 * 60 * 1000;
+const bundled = loadBundled();
+
+/**
+ * The bundled list as the components page would show it: ticker, name
+ * and weight, no sector.
+ *
+ * @returns {Array<{ticker: string, name: string, weight: number}>}
+ */
+function scrapedList() {
+  return bundled.entries.map(({ ticker, name, weight }) => ({ ticker, name, weight }));
+}
+
+/**
+ * A logger that records instead of printing.
+ *
+ * @returns {{warn: Function, error: Function, warnings: string[], errors: string[]}}
+ */
+function recordingLogger() {
+  const warnings = [];
+  const errors = [];
+  return {
+    warnings,
+    errors,
+    warn: (...args) => warnings.push(args.join(' ')),
+    error: (...args) => errors.push(args.join(' '))
+  };
+}
+
+/**
+ * A path for a state file in a fresh temporary directory, removed after
+ * the test.
+ *
+ * @param {import('node:test').TestContext} t
+ * @returns {string}
+ */
+function tempStateFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'buble-one-constituents-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'constituents.json');
+}
+
+test('the bundled list is valid and complete', () => {
+  assert.match(bundled.version, /^\d{4}-\d{2}-\d{2}$/);
+  const tickers = bundled.entries.map((entry) => entry.ticker);
+  assert.ok(tickers.includes('BRK.B'));
+  assert.ok(bundled.entries.every((entry) => entry.name && entry.sector));
+  const weights = bundled.entries.map((entry) => entry.weight);
+  assert.deepEqual(weights, [...weights].sort((a, b) => b - a));
+});
+
+test('validateConstituents', async (t) => {
+  await t.test('sorts a valid list by descending weight', () => {
+    const list = scrapedList().reverse();
+    assert.equal(validateConstituents(list)[0].ticker, bundled.entries[0].ticker);
+  });
+
+  await t.test('rejects an empty list', () => {
+    assert.throws(() => validateConstituents([]), (err) =>
+      err instanceof ConstituentsError && /got 0/.test(err.problems[0]));
+  });
+
+  await t.test('reports malformed and duplicate tickers and missing weights', () => {
+    const list = scrapedList();
+    list[0] = { ...list[0], ticker: 'not a ticker' };
+    list[1] = { ...list[1], ticker: list[2].ticker };
+    list[3] = { ...list[3], weight: null };
+    assert.throws(() => validateConstituents(list), (err) => {
+      assert.equal(err.problems.length, 3);
+      assert.match(err.message, /Malformed tickers: "not a ticker"/);
+      assert.match(err.message, new RegExp(`Duplicate tickers: "${list[2].ticker}"`));
+      assert.match(err.message, new RegExp(`Missing or invalid weights: "${list[3].ticker}"`));
+      return true;
+    });
+  });
+
+  await t.test('rejects weights that do not add up to about 100%', () => {
+    const list = scrapedList().map((entry) => ({ ...entry, weight: entry.weight * 2 }));
+    assert.throws(() => validateConstituents(list), /expected about 100%/);
+  });
+});
+
+test('serves the bundled list without an upstream', async () => {
+  const constituents = createConstituents();
+  const universe = await constituents.getUniverse({ limit: 3 });
+  assert.deepEqual(universe, bundled.entries.slice(0, 3));
+  assert.equal(constituents.status().source, 'bundled');
+});
+
+test('refreshes, keeps sectors from the current list and saves the result', async (t) => {
+  const stateFile = tempStateFile(t);
+  const scraped = scrapedList();
+  // A new constituent replaces the smallest one.
+  scraped[scraped.length - 1] = { ticker: 'NEWCO', name: 'New Co', weight: 0.01 };
+  const logger = recordingLogger();
+  const constituents = createConstituents({
+    stateFile,
+    upstream: { name: 'stub', getUniverse: async () => scraped },
+    refreshInterval: HOUR,
+    now: () => Date.parse('2026-10-16T12:00:00Z'),
+    logger
+  });
+
+  await constituents.refresh();
+  const universe = await constituents.getUniverse();
+  assert.equal(universe.length, scraped.length);
+  assert.equal(universe[0].sector, bundled.entries[0].sector);
+  assert.equal(universe.find((entry) => entry.ticker === 'NEWCO').sector, undefined);
+  assert.match(logger.warnings[0], /without a sector: "NEWCO"/);
+  assert.deepEqual(
+    { source: constituents.status().source, version: constituents.status().version },
+    { source: 'stub', version: '2026-10-16' }
+  );
+  const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  assert.equal(saved.entries.length, scraped.length);
+});
+
+test('keeps the last good list and logs when a refresh breaks', async (t) => {
+  let clock = Date.parse('2026-10-16T12:00:00Z');
+  let scraped = scrapedList();
+  let scrapes = 0;
+  const logger = recordingLogger();
+  const constituents = createConstituents({
+    upstream: { name: 'stub', getUniverse: async () => { scrapes++; return scraped; } },
+    refreshInterval: HOUR,
+    now: () => clock,
+    logger
+  });
+  await constituents.refresh();
+
+  await t.test('an empty scrape is rejected', async () => {
+    scraped = [];
+    clock += HOUR;
+    await constituents.refresh();
+    const universe = await constituents.getUniverse();
+    assert.equal(universe.length, bundled.entries.length);
+    assert.match(logger.errors[0], /failed; keeping the stub list of 2026-10-16/);
+    assert.match(logger.errors[0], /Expected 480 to 520 constituents, got 0/);
+    assert.equal(constituents.status().refreshFailures, 1);
+    assert.equal(constituents.status().lastRefresh.ok, false);
+  });
+
+  await t.test('a failing upstream is rejected', async () => {
+    const failing = createConstituents({
+      upstream: { name: 'stub', getUniverse: async () => { throw new Error('503 Service Unavailable'); } },
+      refreshInterval: HOUR,
+      logger
+    });
+    await failing.refresh();
+    assert.equal((await failing.getUniverse()).length, bundled.entries.length);
+    assert.match(logger.errors[1], /keeping the bundled list .*503 Service Unavailable/);
+  });
+
+  await t.test('no refresh is attempted before the interval has passed', async () => {
+    const before = scrapes;
+    await constituents.getUniverse();
+    assert.equal(scrapes, before);
+    assert.equal(constituents.status().refreshFailures, 1);
+  });
+});
+
+test('serves the current list while a due refresh is still running', async () => {
+  let finish;
+  const constituents = createConstituents({
+    upstream: { name: 'stub', getUniverse: () => new Promise((resolve) => { finish = resolve; }) },
+    refreshInterval: HOUR,
+    now: () => Date.parse('2026-10-16T12:00:00Z'),
+    logger: recordingLogger()
+  });
+
+  // The upstream has not answered, yet the bundled list is served.
+  assert.deepEqual(await constituents.getUniverse({ limit: 1 }), bundled.entries.slice(0, 1));
+  assert.equal(constituents.status().source, 'bundled');
+  // Once it answers, the refreshed list takes over.
+  const settled = constituents.refresh();
+  await new Promise((resolve) => setImmediate(resolve));
+  finish(scrapedList());
+  await settled;
+  assert.equal(constituents.status().source, 'stub');
+});
+
+test('restores the last good refreshed list after a restart', async (t) => {
+  const stateFile = tempStateFile(t);
+  const scraped = scrapedList().map((entry) => ({ ...entry, name: `${entry.name} (scraped)` }));
+  const now = () => Date.parse('2026-10-16T12:00:00Z');
+  const first = createConstituents({
+    stateFile,
+    upstream: { name: 'stub', getUniverse: async () => scraped },
+    refreshInterval: HOUR,
+    now
+  });
+  await first.refresh();
+
+  let scrapes = 0;
+  const second = createConstituents({
+    stateFile,
+    upstream: { name: 'stub', getUniverse: async () => { scrapes++; return scraped; } },
+    refreshInterval: HOUR,
+    now
+  });
+  const [top] = await second.getUniverse({ limit: 1 });
+  assert.match(top.name, /\(scraped\)$/);
+  assert.equal(second.status().source, 'stub');
+  // The saved list is fresh, so the restart does not scrape again.
+  assert.equal(scrapes, 0);
+});
+
+test('rejects a components page whose table no longer parses', async (t) => {
+  // Only bare symbol links are left: no names or weights to check.
+  const links = scrapedList().map(({ ticker }) => `<li><a href="/symbol/${ticker}">${ticker}</a></li>`);
+  const upstream = await startUpstream({ page: `<html><ul>${links.join('')}</ul></html>` });
+  t.after(() => upstream.close());
+  const logger = recordingLogger();
+  const constituents = createConstituents({
+    upstream: createSlickchartsUniverseProvider({ url: `${upstream.url}/sp500` }),
+    refreshInterval: HOUR,
+    logger
+  });
+
+  await constituents.refresh();
+  const universe = await constituents.getUniverse();
+  assert.equal(universe[0].weight, bundled.entries[0].weight);
+  assert.match(logger.errors[0], /Missing or invalid weights/);
+});
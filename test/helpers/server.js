@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/*
+ * Start the app from server.js against the stub upstream. The server
+ * reads its configuration when it is first required, so each test file
+ * (a process of its own under `node --test`) starts it once, with the
+ * environment it needs.
+ */
+
+/**
+ * Set the environment, require the app and listen on a free port.
+ * Runtime state goes to a fresh temporary DATA_DIR, removed when the
+ * process exits (snapshots are still being written after the response
+ * that loaded them has been sent).
+ *
+ * @param {string} upstreamUrl Root of the stub upstream (see upstream.js)
+ * @param {Object<string, string|undefined>} [env] Extra variables;
+ *   `undefined` removes one
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}
+ */
+async function startServer(upstreamUrl, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'buble-one-test-'));
+  process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const settings = {
+    UNIVERSE_PROVIDER: 'slickcharts',
+    SLICKCHARTS_URL: `${upstreamUrl}/sp500`,
+    PRICE_PROVIDER: 'intrinio',
+    INTRINIO_API_KEY: 'test-key',
+    INTRINIO_BASE_URL: `${upstreamUrl}/intrinio`,
+    INTRINIO_RETRIES: '0',
+    COINGECKO_BASE_URL: `${upstreamUrl}/coingecko`,
+    DATA_DIR: dataDir,
+    ...env
+  };
+  for (const [name, value] of Object.entries(settings)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+
+  const app = require('../../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,81 @@
+const http = require('http');
+
+/*
+ * Local stand-in for the upstream sites behind the stock route:
+ * slickcharts' S&P 500 components page (served at `/sp500`), Intrinio's
+ * price API (under `/intrinio`) and CoinGecko (under `/coingecko`, only
+ * so nothing reaches the network). Tests describe the price responses
+ * per ticker; every request is recorded so tests can check what was
+ * asked for.
+ */
+
+/**
+ * Render a components page shaped like slickcharts': one table row per
+ * constituent, then a dropdown linking every ticker again, as the real
+ * page does.
+ *
+ * @param {Array<{ticker: string, name: string, weight: number}>} components
+ * @returns {string}
+ */
+function componentsPage(components) {
+  const rows = components.map(({ ticker, name, weight }, i) => `
+    <tr>
+      <td>${i + 1}</td>
+      <td><a href="/symbol/${ticker}">${name}</a></td>
+      <td><a href="/symbol/${ticker}">${ticker}</a></td>
+      <td>${weight}%</td>
+    </tr>`).join('');
+  const menu = components.map(({ ticker }) => `<li><a href="/symbol/${ticker}">${ticker}</a></li>`).join('');
+  return `<html><body><table><tbody>${rows}</tbody></table><ul class="dropdown">${menu}</ul></body></html>`;
+}
+
+/**
+ * Start the stub on a free local port.
+ *
+ * @param {object} options
+ * @param {Array<{ticker: string, name: string, weight: number}>} [options.components]
+ * @param {string} [options.page] HTML served at `/sp500` instead of a
+ *   components page
+ * @param {Object<string, {status?: number, body?: object}>} [options.prices]
+ *   Response to `/securities/{ticker}/prices` per ticker; unlisted
+ *   tickers are answered with 404
+ * @returns {Promise<{url: string, requests: URL[], close: function(): Promise<void>}>}
+ */
+async function startUpstream({ components = [], page, prices = {} } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+
+    /**
+     * @param {number} status
+     * @param {string} type
+     * @param {string} body
+     */
+    function send(status, type, body) {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    }
+
+    if (url.pathname === '/sp500') {
+      return send(200, 'text/html', page || componentsPage(components));
+    }
+    const series = /^\/intrinio\/securities\/([^/]+)\/prices$/.exec(url.pathname);
+    if (series) {
+      const ticker = decodeURIComponent(series[1]);
+      const reply = prices[ticker];
+      if (reply) {
+        return send(reply.status || 200, 'application/json', JSON.stringify(reply.body || {}));
+      }
+    }
+    send(404, 'application/json', JSON.stringify({ error: 'Not found' }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+module.exports = { startUpstream, componentsPage };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream } = require('./helpers/upstream');
+const { startServer } = require('./helpers/server');
+
+test('without INTRINIO_API_KEY', async (t) => {
+  const upstream = await startUpstream({
+    components: [{ ticker: 'MSFT', name: 'Microsoft Corp', weight: 7.1 }]
+  });
+  const server = await startServer(upstream.url, { INTRINIO_API_KEY: undefined });
+  t.after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  await t.test('GET /api/sp500 answers 500 naming the missing key', async () => {
+    const response = await fetch(`${server.url}/api/sp500`);
+    assert.equal(response.status, 500);
+    assert.match((await response.json()).error, /INTRINIO_API_KEY/);
+  });
+
+  await t.test('no price requests reach Intrinio', () => {
+    assert.equal(upstream.requests.some((url) => url.pathname.startsWith('/intrinio/securities/')), false);
+  });
+
+  await t.test('GET /readyz reports the server as not ready', async () => {
+    const response = await fetch(`${server.url}/readyz`);
+    const body = await response.json();
+    assert.equal(response.status, 503);
+    assert.equal(body.configuration.ok, false);
+  });
+
+  await t.test('GET /healthz still answers 200', async () => {
+    const response = await fetch(`${server.url}/healthz`);
+    assert.equal(response.status, 200);
+  });
+});
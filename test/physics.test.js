@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The physics is an ES module shared with the browser.
+let physics;
+test.before(async () => {
+  physics = await import('../public/js/field/physics.js');
+});
+
+const noFilters = { sector: '', direction: 'all', minChange: 0 };
+const free = { mode: 'free', anchors: new Map(), labels: [] };
+
+/**
+ * A data bubble at rest with its size already eased to its target.
+ *
+ * @param {object} stock
+ * @param {object} [state] Overrides, e.g. position or size
+ * @returns {object}
+ */
+function bubble(stock, state = {}) {
+  return {
+    stock,
+    ticker: stock.ticker,
+    changePercent: stock.changePercent || 0,
+    x: 0,
+    y: 0,
+    vx: 0,
+    vy: 0,
+    size: 50,
+    targetSize: 50,
+    releasedCooldown: 0,
+    filteredOut: false,
+    pinned: false,
+    ...state
+  };
+}
+
+/**
+ * A deterministic stand-in for Math.random.
+ *
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function seeded(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
+const area = (bubbles) => bubbles.reduce((sum, b) => sum + (Math.PI / 4) * b.targetSize * b.targetSize, 0);
+
+test('passesFilters applies sector, direction and minimum move', () => {
+  const stock = { ticker: 'AAPL', sector: 'Information Technology', changePercent: -1.5 };
+  assert.equal(physics.passesFilters(stock, noFilters), true);
+  assert.equal(physics.passesFilters(stock, { ...noFilters, sector: 'Financials' }), false);
+  assert.equal(physics.passesFilters(stock, { ...noFilters, direction: 'gainers' }), false);
+  assert.equal(physics.passesFilters(stock, { ...noFilters, direction: 'losers' }), true);
+  assert.equal(physics.passesFilters(stock, { ...noFilters, minChange: 2 }), false);
+});
+
+test('fitSizes fills half the field with sizes by the metric', () => {
+  const changes = [1, 4, 9, 16, 1, 4, 9, 16, 1, 4, 9, 16, 1, 4, 9, 16];
+  const bubbles = changes.map((change, i) => bubble({ ticker: 'T' + i, changePercent: change }));
+  physics.fitSizes(bubbles, { filters: noFilters, sizeMetric: 'change', width: 1000, height: 800 });
+  assert.ok(Math.abs(area(bubbles) - 0.5 * 1000 * 800) < 1);
+  // Areas are proportional to the metric, so diameters to its root.
+  assert.ok(Math.abs(bubbles[1].targetSize / bubbles[0].targetSize - 2) < 1e-9);
+  assert.ok(Math.abs(bubbles[3].targetSize / bubbles[2].targetSize - 4 / 3) < 1e-9);
+});
+
+test('the excess size metric uses the excess return, missing as zero', () => {
+  assert.equal(physics.SIZE_METRICS.excess({ changePercent: 1, excessChangePercent: -2.5 }), 2.5);
+  assert.equal(physics.SIZE_METRICS.excess({ changePercent: 1, excessChangePercent: null }), 0);
+  assert.equal(physics.SIZE_METRICS.excess({ changePercent: 1 }), 0);
+});
+
+test('the position value size metric is zero outside the portfolio', () => {
+  assert.equal(physics.SIZE_METRICS.positionValue({ changePercent: 1, positionValue: 4200 }), 4200);
+  assert.equal(physics.SIZE_METRICS.positionValue({ changePercent: 1, positionValue: null }), 0);
+  assert.equal(physics.SIZE_METRICS.positionValue({ changePercent: 1 }), 0);
+});
+
+test('fitSizes clamps to the size bounds and shrinks filtered bubbles', () => {
+  const bubbles = [
+    bubble({ ticker: 'BIG', changePercent: 100 }),
+    bubble({ ticker: 'TINY', changePercent: 0.0001 }),
+    bubble({ ticker: 'OUT', changePercent: -3 })
+  ];
+  physics.fitSizes(bubbles, { filters: { ...noFilters, direction: 'gainers' }, sizeMetric: 'change', width: 2000, height: 2000 });
+  assert.equal(bubbles[0].targetSize, 350);
+  assert.equal(bubbles[1].targetSize, 30);
+  assert.equal(bubbles[2].filteredOut, true);
+  assert.equal(bubbles[2].targetSize, 0);
+});
+
+test('step keeps bubbles inside the field and bounces them off the edges', () => {
+  const b = bubble({ ticker: 'A' }, { x: 195, y: 5, vx: 20, vy: -20 });
+  physics.step([b], { width: 200, height: 100, layout: free, random: seeded(1) });
+  assert.equal(b.x, 150);
+  assert.equal(b.y, 0);
+  assert.ok(b.vx < 0);
+  assert.ok(b.vy > 0);
+});
+
+test('step is reproducible with the same random source', () => {
+  const run = () => {
+    const bubbles = [0, 1, 2].map((i) => bubble({ ticker: 'T' + i }, { x: 100 + i * 20, y: 100 }));
+    const random = seeded(42);
+    for (let frame = 0; frame < 50; frame++) {
+      physics.step(bubbles, { width: 500, height: 500, layout: free, random });
+    }
+    return bubbles.map((b) => [b.x, b.y]);
+  };
+  assert.deepEqual(run(), run());
+});
+
+test('overlapping bubbles are pushed apart until they settle', () => {
+  const a = bubble({ ticker: 'A' }, { x: 100, y: 100 });
+  const b = bubble({ ticker: 'B' }, { x: 110, y: 100 });
+  for (let frame = 0; frame < 300; frame++) {
+    physics.step([a, b], { width: 400, height: 400, layout: free, random: () => 0.5 });
+  }
+  assert.ok(Math.abs(b.x - a.x) >= 49);
+});
+
+test('a pinned bubble holds still and the other takes the whole push', () => {
+  const pinned = bubble({ ticker: 'P' }, { x: 100, y: 100, pinned: true });
+  const other = bubble({ ticker: 'O' }, { x: 120, y: 100 });
+  physics.repel(pinned, other, new Set());
+  assert.equal(pinned.vx, 0);
+  assert.ok(other.vx > 0);
+  physics.step([pinned, other], { width: 400, height: 400, layout: free, random: seeded(7) });
+  assert.deepEqual([pinned.x, pinned.y], [100, 100]);
+});
+
+test('the dragged bubble accelerates towards the drag target', () => {
+  const b = bubble({ ticker: 'D' }, { x: 100, y: 100 });
+  physics.step([b], { width: 400, height: 400, layout: free, drags: [{ bubble: b, x: 200, y: 100 }] });
+  assert.ok(b.x > 100);
+  assert.equal(b.y, 100);
+});
+
+test('bubbles dragged by separate pointers follow their own targets', () => {
+  const left = bubble({ ticker: 'L' }, { x: 100, y: 100 });
+  const right = bubble({ ticker: 'R' }, { x: 300, y: 100 });
+  const idle = bubble({ ticker: 'I' }, { x: 200, y: 300 });
+  const drags = [{ bubble: left, x: 0, y: 100 }, { bubble: right, x: 350, y: 200 }];
+  physics.step([left, right, idle], { width: 400, height: 400, layout: free, drags, random: () => 0.5 });
+  assert.ok(left.x < 100);
+  assert.equal(left.y, 100);
+  assert.ok(right.x > 300 && right.y > 100);
+  assert.deepEqual([idle.x, idle.y], [200, 300]);
+});
+
+test('bubbleAt hits the topmost visible bubble inside its circle', () => {
+  const below = bubble({ ticker: 'BELOW' }, { x: 0, y: 0, size: 100 });
+  const above = bubble({ ticker: 'ABOVE' }, { x: 40, y: 40, size: 100 });
+  assert.equal(physics.bubbleAt([below, above], 60, 60), above);
+  assert.equal(physics.bubbleAt([below, above], 30, 30), below);
+  // The bounding box corner is outside the circle.
+  assert.equal(physics.bubbleAt([below, above], 2, 2), null);
+  above.filteredOut = true;
+  assert.equal(physics.bubbleAt([below, above], 60, 60), below);
+});
+
+test('computeLayout places a cluster per sector and labels the axis', () => {
+  const bubbles = [
+    bubble({ ticker: 'A', sector: 'Energy', changePercent: 1 }),
+    bubble({ ticker: 'B', sector: 'Energy', changePercent: 2 }),
+    bubble({ ticker: 'C', changePercent: -2 })
+  ];
+  const sectors = physics.computeLayout(bubbles, { mode: 'sector', width: 800, height: 600, maxAbsChange: 2 });
+  assert.deepEqual([...sectors.anchors.keys()], ['Energy', 'Other']);
+  assert.deepEqual(sectors.labels.map((label) => label.text), ['Energy', 'Other']);
+  const axis = physics.computeLayout(bubbles, { mode: 'axis', width: 800, height: 600, maxAbsChange: 2 });
+  assert.deepEqual(axis.labels.map((label) => label.text), ['Gainers +2.0%', '0%', 'Losers -2.0%']);
+  // A portfolio coloured by the dollars each position moved.
+  const dollars = physics.computeLayout(bubbles, { mode: 'axis', width: 800, height: 600, maxAbsChange: 1234.56, measure: 'positionChange' });
+  assert.deepEqual(dollars.labels.map((label) => label.text), ['Gainers +$1.2k', '$0', 'Losers -$1.2k']);
+  assert.equal(physics.computeLayout(bubbles, { mode: 'bogus', width: 800, height: 600, maxAbsChange: 2 }).mode, 'free');
+});
+
+test('the axis layout pulls gainers left and losers right', () => {
+  const gainer = bubble({ ticker: 'G', changePercent: 2 }, { x: 375, y: 100 });
+  const loser = bubble({ ticker: 'L', changePercent: -2 }, { x: 375, y: 300 });
+  const layout = physics.computeLayout([gainer, loser], { mode: 'axis', width: 800, height: 600, maxAbsChange: 2 });
+  physics.step([gainer, loser], { width: 800, height: 600, layout, random: () => 0.5 });
+  assert.ok(gainer.vx < 0);
+  assert.ok(loser.vx > 0);
+});
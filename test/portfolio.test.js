@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream } = require('./helpers/upstream');
+const { startServer } = require('./helpers/server');
+
+/**
+ * An Intrinio daily prices body, newest first.
+ *
+ * @param {Array<{date: string, close: number}>} rows
+ * @returns {{status: number, body: object}}
+ */
+function dailyPrices(rows) {
+  return { status: 200, body: { stock_prices: rows, security: { ticker: 'X' } } };
+}
+
+const upstreamOptions = {
+  components: [{ ticker: 'MSFT', name: 'Microsoft Corp', weight: 7.1 }],
+  prices: {
+    MSFT: dailyPrices([
+      { date: '2026-10-16', close: 420 },
+      { date: '2026-10-15', close: 400 }
+    ]),
+    // Held but not in the index.
+    PLTR: dailyPrices([
+      { date: '2026-10-16', close: 45 },
+      { date: '2026-10-15', close: 50 }
+    ]),
+    DOWN: { status: 503, body: { error: 'Service unavailable' } }
+  }
+};
+
+/**
+ * Upload a holdings CSV.
+ *
+ * @param {string} url Server root
+ * @param {string} csv
+ * @returns {Promise<Response>}
+ */
+function importHoldings(url, csv) {
+  return fetch(`${url}/api/holdings`, { method: 'PUT', headers: { 'Content-Type': 'text/csv' }, body: csv });
+}
+
+test('portfolio holdings', async (t) => {
+  const upstream = await startUpstream(upstreamOptions);
+  const server = await startServer(upstream.url);
+  t.after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  await t.test('starts with no holdings', async () => {
+    assert.deepEqual(await (await fetch(`${server.url}/api/holdings`)).json(), { holdings: [], updatedAt: null });
+    assert.deepEqual(await (await fetch(`${server.url}/api/portfolio?range=day`)).json(), []);
+  });
+
+  await t.test('imports a CSV, merging the lots of a ticker', async () => {
+    const response = await importHoldings(server.url, 'Symbol,Shares,Cost Basis\r\nmsft,6,"$1,800"\r\nPLTR,100,4000\r\nMSFT,4,1200\r\nDOWN,1,\r\n');
+    assert.equal(response.status, 200);
+    const { holdings } = await response.json();
+    assert.deepEqual(holdings, [
+      { ticker: 'MSFT', quantity: 10, costBasis: 3000 },
+      { ticker: 'PLTR', quantity: 100, costBasis: 4000 },
+      { ticker: 'DOWN', quantity: 1, costBasis: null }
+    ]);
+    assert.deepEqual((await (await fetch(`${server.url}/api/holdings`)).json()).holdings, holdings);
+  });
+
+  await t.test('values each position at the latest price', async () => {
+    const response = await fetch(`${server.url}/api/portfolio?range=day`);
+    assert.equal(response.status, 200);
+    const byTicker = Object.fromEntries((await response.json()).map((quote) => [quote.ticker, quote]));
+    assert.equal(byTicker.MSFT.name, 'Microsoft Corp');
+    assert.equal(byTicker.MSFT.positionValue, 4200);
+    assert.equal(byTicker.MSFT.positionChange, 200);
+    assert.equal(byTicker.MSFT.positionGain, 1200);
+    assert.equal(byTicker.PLTR.positionValue, 4500);
+    assert.equal(byTicker.PLTR.positionChange, -500);
+    assert.equal(byTicker.PLTR.positionGain, 500);
+    // No price, no position value.
+    assert.equal(byTicker.DOWN.positionValue, null);
+    assert.equal(byTicker.DOWN.positionGain, null);
+  });
+
+  await t.test('exports the positions as CSV', async () => {
+    const csv = await (await fetch(`${server.url}/api/portfolio.csv?range=day`)).text();
+    const [header, msft] = csv.split(/\r?\n/);
+    assert.equal(header, 'ticker,name,sector,quantity,costBasis,price,changePercent,positionValue,positionChange,positionGain,error');
+    assert.match(msft, /^MSFT,Microsoft Corp,[^,]*,10,3000,420,5,4200,200,1200,$/);
+  });
+
+  await t.test('rejects an invalid CSV with 400 and keeps the holdings', async () => {
+    const cases = [
+      ['ticker,quantity\nMSFT,10\nAAPL,-1\n', /Row 2: the quantity must be a positive number/],
+      ['ticker,quantity,cost basis\nMSFT,1,lots\n', /Row 1: the cost basis must be a number/],
+      ['ticker,quantity\nN O,1\n', /Row 1: invalid ticker "N O"/],
+      ['name,cost\nMSFT,1\n', /needs a ticker and a quantity column/]
+    ];
+    for (const [csv, message] of cases) {
+      const response = await importHoldings(server.url, csv);
+      assert.equal(response.status, 400);
+      assert.match((await response.json()).error, message);
+    }
+    const json = await fetch(`${server.url}/api/holdings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ holdings: [] })
+    });
+    assert.equal(json.status, 400);
+    assert.equal((await (await fetch(`${server.url}/api/holdings`)).json()).holdings.length, 3);
+  });
+
+  await t.test('clearing the holdings empties the portfolio', async () => {
+    const response = await fetch(`${server.url}/api/holdings`, { method: 'DELETE' });
+    assert.equal(response.status, 204);
+    assert.deepEqual(await (await fetch(`${server.url}/api/portfolio?range=day`)).json(), []);
+  });
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeChange } = require('../lib/ranges');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Newest-first daily records ending on 2026-10-16, one per close given
+ * (oldest first).
+ *
+ * @param {Array<number|null>} closes
+ * @returns {Array<{time: number, close: (number|null), percentChange: null, volume: number}>}
+ */
+function daily(closes) {
+  const latest = Date.parse('2026-10-16');
+  return closes
+    .map((close, i) => ({ time: latest - (closes.length - 1 - i) * DAY, close, percentChange: null, volume: 100 }))
+    .reverse();
+}
+
+test('day compares the latest close with the previous one', () => {
+  const { price, changePercent, volume } = computeChange(daily([200, 210]), 'day');
+  assert.equal(price, 210);
+  assert.equal(changePercent, 5);
+  assert.equal(volume, 100);
+});
+
+test('week compares with the last close on or before seven days back', () => {
+  // Closes for 2026-10-06 through 2026-10-16; the reference is 10-09.
+  const records = daily([80, 90, 95, 100, 101, 102, 103, 104, 105, 106, 125]);
+  const { price, changePercent, volume } = computeChange(records, 'week');
+  assert.equal(price, 125);
+  assert.equal(changePercent, 25);
+  // Traded after the reference close: 10-10 through 10-16.
+  assert.equal(volume, 700);
+});
+
+test('a series too short for the lookback uses its oldest close', () => {
+  const { changePercent } = computeChange(daily([50, 40]), 'month');
+  assert.equal(changePercent, -20);
+});
+
+test('day falls back to the upstream percent_change without a previous close', () => {
+  const records = [{ time: Date.parse('2026-10-16'), close: 99, percentChange: 1.25, volume: null }];
+  assert.deepEqual(computeChange(records, 'day'), { price: 99, changePercent: 1.25, volume: null });
+});
+
+test('day falls back to percent_change when the previous close is zero', () => {
+  const records = daily([0, 10]);
+  records[0].percentChange = 3;
+  assert.equal(computeChange(records, 'day').changePercent, 3);
+});
+
+test('ranges with a lookback do not use percent_change', () => {
+  const records = [{ time: Date.parse('2026-10-16'), close: 99, percentChange: 1.25, volume: null }];
+  assert.equal(computeChange(records, 'week').changePercent, null);
+});
+
+test('no records yield nulls', () => {
+  assert.deepEqual(computeChange([], 'day'), { price: null, changePercent: null, volume: null });
+});
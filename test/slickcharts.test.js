@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { parseComponentRows, createSlickchartsUniverseProvider } = require('../lib/providers/slickcharts');
+const { startUpstream, componentsPage } = require('./helpers/upstream');
+
+const COMPONENTS = [
+  { ticker: 'MSFT', name: 'Microsoft Corp', weight: 7.1 },
+  { ticker: 'BRK.B', name: 'Berkshire Hathaway Inc. Class B', weight: 1.7 },
+  { ticker: 'PG', name: 'Procter &amp; Gamble Company', weight: 0.9 }
+];
+
+test('parseComponentRows reads ticker, name and weight from each row', () => {
+  assert.deepEqual(parseComponentRows(componentsPage(COMPONENTS)), [
+    { ticker: 'MSFT', name: 'Microsoft Corp', weight: 7.1 },
+    { ticker: 'BRK.B', name: 'Berkshire Hathaway Inc. Class B', weight: 1.7 },
+    { ticker: 'PG', name: 'Procter & Gamble Company', weight: 0.9 }
+  ]);
+});
+
+test('parseComponentRows skips rows without a symbol link', () => {
+  const html = '<table><tr><th>Company</th></tr><tr><td><a href="/symbol/AAPL">Apple Inc.</a></td><td>6.5%</td></tr></table>';
+  assert.deepEqual(parseComponentRows(html), [{ ticker: 'AAPL', name: 'Apple Inc.', weight: 6.5 }]);
+});
+
+test('getUniverse', async (t) => {
+  const upstream = await startUpstream({ components: COMPONENTS });
+  t.after(() => upstream.close());
+
+  await t.test('lists each ticker once, in page order, keeping BRK.B whole', async () => {
+    const universe = await createSlickchartsUniverseProvider({ url: `${upstream.url}/sp500` }).getUniverse();
+    assert.deepEqual(universe.map((entry) => entry.ticker), ['MSFT', 'BRK.B', 'PG']);
+  });
+
+  await t.test('stops at the limit', async () => {
+    const universe = await createSlickchartsUniverseProvider({ url: `${upstream.url}/sp500` }).getUniverse({ limit: 2 });
+    assert.deepEqual(universe.map((entry) => entry.ticker), ['MSFT', 'BRK.B']);
+  });
+
+  await t.test('falls back to bare symbol links without a components table', async () => {
+    const links = ['AAPL', 'BRK.B', 'AAPL'].map((ticker) => `<li><a href="/symbol/${ticker}">${ticker}</a></li>`);
+    const page = await startUpstream({ page: `<ul>${links.join('')}</ul>` });
+    t.after(() => page.close());
+    const universe = await createSlickchartsUniverseProvider({ url: `${page.url}/sp500` }).getUniverse();
+    assert.deepEqual(universe, [{ ticker: 'AAPL', weight: null }, { ticker: 'BRK.B', weight: null }]);
+  });
+
+  await t.test('rejects when the page does not arrive in time', async () => {
+    // Accepts the connection but never answers.
+    const hung = http.createServer(() => {});
+    await new Promise((resolve) => hung.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+      hung.closeAllConnections();
+      return new Promise((resolve) => hung.close(resolve));
+    });
+    const provider = createSlickchartsUniverseProvider({ url: `http://127.0.0.1:${hung.address().port}/sp500`, timeout: 50 });
+    await assert.rejects(provider.getUniverse(), /no response within 50ms/);
+  });
+
+  await t.test('rejects when the page cannot be fetched', async () => {
+    const provider = createSlickchartsUniverseProvider({ url: `${upstream.url}/missing` });
+    await assert.rejects(provider.getUniverse(), /Failed to fetch tickers/);
+  });
+});
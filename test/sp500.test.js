@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream } = require('./helpers/upstream');
+const { startServer } = require('./helpers/server');
+
+/**
+ * An Intrinio daily prices body, newest first.
+ *
+ * @param {Array<{date: string, close: number, percent_change?: number}>} rows
+ * @returns {{status: number, body: object}}
+ */
+function dailyPrices(rows) {
+  return { status: 200, body: { stock_prices: rows, security: { ticker: 'X' } } };
+}
+
+const upstreamOptions = {
+  components: [
+    { ticker: 'MSFT', name: 'Microsoft Corp', weight: 7.1 },
+    { ticker: 'BRK.B', name: 'Berkshire Hathaway Inc. Class B', weight: 1.7 },
+    { ticker: 'NEW', name: 'Newly Listed Inc', weight: 0.2 },
+    { ticker: 'DOWN', name: 'Unavailable Corp', weight: 0.1 }
+  ],
+  prices: {
+    MSFT: dailyPrices([
+      { date: '2026-10-16', close: 420, percent_change: 9.9 },
+      { date: '2026-10-15', close: 400, percent_change: 0.5 }
+    ]),
+    'BRK.B': dailyPrices([
+      { date: '2026-10-16', close: 441 },
+      { date: '2026-10-15', close: 450 }
+    ]),
+    // A single bar: no previous close to compare with.
+    NEW: dailyPrices([{ date: '2026-10-16', close: 12, percent_change: 4.5 }]),
+    DOWN: { status: 503, body: { error: 'Service unavailable' } },
+    // The benchmark, not a constituent itself.
+    SPY: dailyPrices([
+      { date: '2026-10-16', close: 490 },
+      { date: '2026-10-15', close: 500 }
+    ])
+  }
+};
+
+test('GET /api/sp500', async (t) => {
+  const upstream = await startUpstream(upstreamOptions);
+  const server = await startServer(upstream.url);
+  t.after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  const response = await fetch(`${server.url}/api/sp500?range=day`);
+  const quotes = await response.json();
+  const byTicker = Object.fromEntries(quotes.map((quote) => [quote.ticker, quote]));
+
+  await t.test('answers 200 even when some tickers fail', () => {
+    assert.equal(response.status, 200);
+  });
+
+  await t.test('quotes each constituent once, in page order, including BRK.B', () => {
+    assert.deepEqual(quotes.map((quote) => quote.ticker), ['MSFT', 'BRK.B', 'NEW', 'DOWN']);
+    assert.equal(byTicker['BRK.B'].name, 'Berkshire Hathaway Inc. Class B');
+    assert.equal(byTicker['BRK.B'].weight, 1.7);
+  });
+
+  await t.test('requests BRK.B prices under its dotted ticker with the API key', () => {
+    const request = upstream.requests.find((url) => url.pathname === '/intrinio/securities/BRK.B/prices');
+    assert.ok(request, 'BRK.B prices were requested');
+    assert.equal(request.searchParams.get('api_key'), 'test-key');
+  });
+
+  await t.test('computes the change from the two latest closes', () => {
+    assert.equal(byTicker.MSFT.price, 420);
+    assert.equal(byTicker.MSFT.changePercent, 5);
+    assert.equal(byTicker['BRK.B'].price, 441);
+    assert.equal(byTicker['BRK.B'].changePercent, -2);
+  });
+
+  await t.test('falls back to percent_change without a previous close', () => {
+    assert.equal(byTicker.NEW.price, 12);
+    assert.equal(byTicker.NEW.changePercent, 4.5);
+  });
+
+  await t.test('reports a failed ticker with null values and a reason', () => {
+    assert.equal(byTicker.DOWN.price, null);
+    assert.equal(byTicker.DOWN.changePercent, null);
+    assert.equal(byTicker.DOWN.error, 'upstream_error');
+    assert.equal(byTicker.MSFT.error, undefined);
+  });
+
+  await t.test('serves the second request from the cache', async () => {
+    const cached = await fetch(`${server.url}/api/sp500?range=day`);
+    assert.equal(cached.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(await cached.json(), quotes);
+  });
+
+  await t.test('rejects an unknown range with 400', async () => {
+    const rejected = await fetch(`${server.url}/api/sp500?range=decade`);
+    assert.equal(rejected.status, 400);
+    assert.match((await rejected.json()).error, /Unknown range "decade"/);
+  });
+
+  await t.test('adds the excess return over a benchmark', async () => {
+    const relative = await fetch(`${server.url}/api/sp500?range=day&relativeTo=spy`);
+    assert.equal(relative.status, 200);
+    assert.equal(relative.headers.get('x-benchmark'), 'SPY');
+    assert.equal(relative.headers.get('x-benchmark-change'), '-2');
+    const excess = Object.fromEntries((await relative.json()).map((quote) => [quote.ticker, quote]));
+    assert.equal(excess.MSFT.changePercent, 5);
+    assert.equal(excess.MSFT.excessChangePercent, 7);
+    assert.equal(excess['BRK.B'].excessChangePercent, 0);
+    assert.equal(excess.NEW.excessChangePercent, 6.5);
+    assert.equal(excess.DOWN.excessChangePercent, null);
+    assert.ok(Object.values(excess).every((quote) => quote.benchmark === 'SPY'));
+    // The plain snapshot is left as it was.
+    const plain = await (await fetch(`${server.url}/api/sp500?range=day`)).json();
+    assert.equal(plain[0].excessChangePercent, undefined);
+  });
+
+  await t.test('exports the benchmark and excess return columns', async () => {
+    const csv = await (await fetch(`${server.url}/api/sp500.csv?range=day&relativeTo=SPY`)).text();
+    const [header, msft] = csv.split(/\r?\n/);
+    assert.equal(header, 'ticker,name,sector,price,changePercent,benchmark,excessChangePercent,marketCap,volume,weight,error');
+    assert.match(msft, /^MSFT,Microsoft Corp,[^,]*,420,5,SPY,7,/);
+  });
+
+  await t.test('rejects a benchmark that is not a ticker with 400', async () => {
+    const rejected = await fetch(`${server.url}/api/sp500?relativeTo=${encodeURIComponent('S P Y')}`);
+    assert.equal(rejected.status, 400);
+    assert.match((await rejected.json()).error, /Invalid benchmark "S P Y"/);
+  });
+
+  await t.test('fails when the benchmark cannot be quoted', async () => {
+    const failed = await fetch(`${server.url}/api/sp500?range=day&relativeTo=NOPE`);
+    assert.equal(failed.status, 500);
+    assert.match((await failed.json()).error, /No day change for benchmark NOPE/);
+  });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The treemap layout is an ES module shared with the browser.
+let treemap;
+test.before(async () => {
+  treemap = await import('../public/js/field/treemap.js');
+});
+
+const noFilters = { sector: '', direction: 'all', minChange: 0 };
+
+const stocks = [
+  { ticker: 'AAPL', sector: 'Information Technology', weight: 6, marketCap: 3000, changePercent: 1.2 },
+  { ticker: 'MSFT', sector: 'Information Technology', weight: 7, marketCap: 3500, changePercent: -0.4 },
+  { ticker: 'JPM', sector: 'Financials', weight: 1.5, marketCap: 600, changePercent: 2.5 },
+  { ticker: 'XOM', sector: 'Energy', weight: 0.9, marketCap: 480, changePercent: -3 },
+  { ticker: 'NEW', weight: 0.5, marketCap: 100, changePercent: 0 }
+];
+
+const area = (rect) => rect.w * rect.h;
+
+/**
+ * Whether two rectangles share more than an edge.
+ *
+ * @param {{x: number, y: number, w: number, h: number}} a
+ * @param {{x: number, y: number, w: number, h: number}} b
+ * @returns {boolean}
+ */
+function overlap(a, b) {
+  const eps = 1e-9;
+  return a.x < b.x + b.w - eps && b.x < a.x + a.w - eps && a.y < b.y + b.h - eps && b.y < a.y + a.h - eps;
+}
+
+test('squarify fills the rectangle with areas proportional to the values', () => {
+  const values = [6, 6, 4, 3, 2, 2, 1];
+  const rects = treemap.squarify(values, { x: 10, y: 20, w: 600, h: 400 });
+  const total = values.reduce((sum, value) => sum + value, 0);
+  rects.forEach((rect, i) => {
+    assert.ok(Math.abs(area(rect) - (values[i] / total) * 600 * 400) < 1e-6);
+    assert.ok(rect.x >= 10 && rect.y >= 20 && rect.x + rect.w <= 610 + 1e-9 && rect.y + rect.h <= 420 + 1e-9);
+  });
+  for (let i = 0; i < rects.length; i++) {
+    for (let j = i + 1; j < rects.length; j++) {
+      assert.equal(overlap(rects[i], rects[j]), false);
+    }
+  }
+  // Squarified tiles stay far from slivers.
+  assert.ok(rects.every((rect) => Math.max(rect.w / rect.h, rect.h / rect.w) < 3));
+});
+
+test('squarify gives empty rectangles when there is nothing to split', () => {
+  assert.deepEqual(treemap.squarify([1, 2], { x: 5, y: 5, w: 0, h: 100 }), [
+    { x: 5, y: 5, w: 0, h: 0 },
+    { x: 5, y: 5, w: 0, h: 0 }
+  ]);
+});
+
+test('treemapMetric falls back to a metric the dataset has', () => {
+  assert.equal(treemap.treemapMetric('marketCap', stocks), 'marketCap');
+  assert.equal(treemap.treemapMetric('change', stocks), 'weight');
+  const coins = [{ ticker: 'BTC', marketCap: 2e12 }];
+  assert.equal(treemap.treemapMetric('weight', coins), 'marketCap');
+  assert.equal(treemap.treemapMetric('weight', [{ ticker: 'X' }]), null);
+});
+
+test('layoutTreemap groups tiles by sector, largest first', () => {
+  const layout = treemap.layoutTreemap(stocks, { width: 800, height: 600, sizeMetric: 'weight', filters: noFilters });
+  assert.equal(layout.metric, 'weight');
+  assert.deepEqual(layout.sectors.map((sector) => sector.name), ['Information Technology', 'Financials', 'Energy', 'Other']);
+  const tech = layout.sectors[0];
+  assert.deepEqual(tech.tiles.map((tile) => tile.stock.ticker), ['MSFT', 'AAPL']);
+  for (const sector of layout.sectors) {
+    for (const tile of sector.tiles) {
+      assert.ok(tile.x >= sector.x - 1e-9 && tile.x + tile.w <= sector.x + sector.w + 1e-9);
+      // Tiles start below the sector name when there is room for it.
+      assert.ok(tile.y >= sector.y + (sector.header ? 18 : 0) - 1e-9);
+    }
+  }
+  assert.equal(treemap.tileAt(layout, tech.tiles[0].x + 1, tech.tiles[0].y + 1).stock.ticker, 'MSFT');
+  assert.equal(treemap.tileAt(layout, tech.x + 1, tech.y + 1), null);
+});
+
+test('layoutTreemap leaves out filtered stocks', () => {
+  const layout = treemap.layoutTreemap(stocks, {
+    width: 800,
+    height: 600,
+    sizeMetric: 'marketCap',
+    filters: { ...noFilters, direction: 'gainers' }
+  });
+  const tickers = layout.sectors.flatMap((sector) => sector.tiles.map((tile) => tile.stock.ticker));
+  assert.deepEqual(tickers.sort(), ['AAPL', 'JPM']);
+});
+
+test('changeScale ignores outliers and quiet days', () => {
+  assert.equal(treemap.changeScale(stocks), 3);
+  const outlier = [...Array(9)].map(() => ({ changePercent: 1 })).concat([{ changePercent: 40 }]);
+  assert.equal(treemap.changeScale(outlier), 40);
+  assert.equal(treemap.changeScale(outlier.concat([...Array(10)].map(() => ({ changePercent: -1 })))), 1);
+  // A quiet dataset is not painted at full strength.
+  assert.equal(treemap.changeScale([{ changePercent: 0.1 }]), 0.5);
+});
+
+test('changeScale can grade another measure of the move', () => {
+  const relative = stocks.map((stock, i) => ({ ...stock, excessChangePercent: i - 10 }));
+  assert.equal(treemap.changeScale(relative, (stock) => stock.excessChangePercent), 10);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startUpstream } = require('./helpers/upstream');
+const { startServer } = require('./helpers/server');
+
+/**
+ * Send a raw body as JSON.
+ *
+ * @param {string} url
+ * @param {string} method
+ * @param {string} body
+ * @returns {Promise<Response>}
+ */
+function sendJson(url, method, body) {
+  return fetch(url, { method, headers: { 'Content-Type': 'application/json' }, body });
+}
+
+test('JSON request bodies', async (t) => {
+  const upstream = await startUpstream();
+  const server = await startServer(upstream.url);
+  t.after(async () => {
+    await server.close();
+    await upstream.close();
+  });
+
+  await t.test('creates a watchlist from a valid body', async () => {
+    const response = await sendJson(`${server.url}/api/watchlists`, 'POST', JSON.stringify({ name: 'Chips', tickers: ['nvda'] }));
+    assert.equal(response.status, 201);
+    assert.deepEqual((await response.json()).tickers, ['NVDA']);
+  });
+
+  await t.test('rejects a malformed body with a JSON 400', async () => {
+    for (const [method, path] of [['POST', '/api/watchlists'], ['POST', '/api/alerts/rules']]) {
+      const response = await sendJson(`${server.url}${path}`, method, '{"name": ');
+      assert.equal(response.status, 400);
+      assert.match(response.headers.get('content-type'), /application\/json/);
+      assert.deepEqual(await response.json(), { error: 'Invalid JSON body' });
+    }
+  });
+});
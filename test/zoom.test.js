@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The zoom helpers are an ES module shared with the browser.
+let zoom;
+test.before(async () => {
+  zoom = await import('../public/js/field/zoom.js');
+});
+
+test('toField undoes toScreen', () => {
+  const view = { scale: 2, x: -100, y: -50 };
+  assert.deepEqual(zoom.toScreen(view, 100, 100), { x: 100, y: 150 });
+  assert.deepEqual(zoom.toField(view, 100, 150), { x: 100, y: 100 });
+  assert.deepEqual(zoom.toField(zoom.identityView(), 30, 40), { x: 30, y: 40 });
+});
+
+test('clampView keeps the field covering the container', () => {
+  assert.deepEqual(zoom.clampView({ scale: 0.5, x: 20, y: 20 }, 800, 600), { scale: 1, x: 0, y: 0 });
+  assert.deepEqual(zoom.clampView({ scale: 2, x: -1000, y: 10 }, 800, 600), { scale: 2, x: -800, y: 0 });
+  assert.equal(zoom.clampView({ scale: 10, x: 0, y: 0 }, 800, 600).scale, zoom.MAX_ZOOM);
+});
+
+test('pinchView zooms about the fingers and keeps that point under them', () => {
+  const start = zoom.identityView();
+  const view = zoom.pinchView(start, { x: 200, y: 300, distance: 100 }, { x: 200, y: 300, distance: 200 }, 800, 600);
+  assert.equal(view.scale, 2);
+  assert.deepEqual(zoom.toField(view, 200, 300), { x: 200, y: 300 });
+  // Moving both fingers pans, carrying the same field point along.
+  const panned = zoom.pinchView(view, { x: 200, y: 300, distance: 200 }, { x: 260, y: 250, distance: 200 }, 800, 600);
+  assert.equal(panned.scale, 2);
+  assert.deepEqual(zoom.toField(panned, 260, 250), { x: 200, y: 300 });
+});
+
+test('pinchView pans with one finger and stops at the field edges', () => {
+  const view = { scale: 2, x: -400, y: -300 };
+  assert.deepEqual(zoom.pinchView(view, { x: 100, y: 100, distance: null }, { x: 150, y: 90, distance: null }, 800, 600), {
+    scale: 2,
+    x: -350,
+    y: -310
+  });
+  // Unzoomed, there is nothing to pan to.
+  assert.deepEqual(
+    zoom.pinchView(zoom.identityView(), { x: 100, y: 100, distance: null }, { x: 300, y: 300, distance: null }, 800, 600),
+    { scale: 1, x: 0, y: 0 }
+  );
+  // Pinching in past the limit stops at the unzoomed field.
+  assert.deepEqual(zoom.pinchView(view, { x: 400, y: 300, distance: 200 }, { x: 400, y: 300, distance: 50 }, 800, 600), {
+    scale: 1,
+    x: 0,
+    y: 0
+  });
+});